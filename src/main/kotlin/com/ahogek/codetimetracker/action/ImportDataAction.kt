@@ -43,6 +43,9 @@ class ImportDataAction : AnAction("Import Data", "Import coding sessions from JS
                     appendLine("Imported: ${result.imported}")
                     appendLine("Skipped: ${result.skipped}")
                     if (result.failed > 0) appendLine("Failed: ${result.failed}")
+                    if (result.importedMappings > 0) {
+                        appendLine("Project aliases and groups: ${result.importedMappings}")
+                    }
                 }
                 Messages.showInfoMessage(project, message, "Import Successful")
             } else {
@@ -1,6 +1,8 @@
 package com.ahogek.codetimetracker.database
 
 import com.ahogek.codetimetracker.model.*
+import com.ahogek.codetimetracker.topics.TimeTrackerTopics
+import com.intellij.openapi.application.ApplicationManager
 import java.time.Duration
 import java.time.LocalDate
 import java.time.LocalDateTime
@@ -20,8 +22,20 @@ object DatabaseManager {
         connectionManager.initialize()
     }
 
+    /**
+     * Saves tracked sessions in the background and notifies [TimeTrackerTopics.SESSIONS_SAVED_TOPIC] afterwards,
+     * so open views can pick up the new data.
+     */
     fun saveSessions(sessions: List<CodingSession>, onComplete: () -> Unit) {
-        sessionRepository.saveSessions(sessions, onComplete)
+        sessionRepository.saveSessions(sessions) {
+            onComplete()
+            val application = ApplicationManager.getApplication()
+            if (sessions.isNotEmpty() && !application.isDisposed) {
+                application.messageBus
+                    .syncPublisher(TimeTrackerTopics.SESSIONS_SAVED_TOPIC)
+                    .onSessionsSaved(sessions)
+            }
+        }
     }
 
     fun shutdown() {
@@ -32,56 +46,104 @@ object DatabaseManager {
         return sessionRepository.getUserIdFromDatabase()
     }
 
-    fun getTotalCodingTime(projectName: String? = null): Duration {
-        return statsRepository.getTotalCodingTime(projectName)
+    fun getTotalCodingTime(projectName: String? = null, filter: SessionFilter = SessionFilter.NONE): Duration {
+        return statsRepository.getTotalCodingTime(projectName, filter)
     }
 
     fun getCodingTimeForPeriod(
-        startTime: LocalDateTime, endTime: LocalDateTime, projectName: String? = null
+        startTime: LocalDateTime, endTime: LocalDateTime, projectName: String? = null,
+        filter: SessionFilter = SessionFilter.NONE
     ): Duration {
-        return statsRepository.getCodingTimeForPeriod(startTime, endTime, projectName)
+        return statsRepository.getCodingTimeForPeriod(startTime, endTime, projectName, filter)
     }
 
-    fun getDailyCodingTimeForHeatmap(startTime: LocalDateTime, endTime: LocalDateTime): List<DailySummary> {
-        return statsRepository.getDailyCodingTimeForHeatmap(startTime, endTime)
+    fun getDailyCodingTimeForHeatmap(
+        startTime: LocalDateTime, endTime: LocalDateTime, filter: SessionFilter = SessionFilter.NONE
+    ): List<DailySummary> {
+        return statsRepository.getDailyCodingTimeForHeatmap(startTime, endTime, filter)
     }
 
-    fun getCodingStreaks(startTime: LocalDateTime, endTime: LocalDateTime): CodingStreaks {
-        return statsRepository.getCodingStreaks(startTime, endTime)
+    fun getCodingStreaks(
+        startTime: LocalDateTime, endTime: LocalDateTime, filter: SessionFilter = SessionFilter.NONE
+    ): CodingStreaks {
+        return statsRepository.getCodingStreaks(startTime, endTime, filter)
+    }
+
+    fun getGoalStreaks(
+        startTime: LocalDateTime, endTime: LocalDateTime, dailyGoal: Duration,
+        filter: SessionFilter = SessionFilter.NONE
+    ): CodingStreaks {
+        return statsRepository.getGoalStreaks(startTime, endTime, dailyGoal, filter)
+    }
+
+    fun getStreakHistory(
+        startTime: LocalDateTime, endTime: LocalDateTime, minimumDaily: Duration = Duration.ZERO,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<CodingStreakRange> {
+        return statsRepository.getStreakHistory(startTime, endTime, minimumDaily, filter)
     }
 
     fun getDailyHourDistribution(
-        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE
     ): List<HourlyDistribution> {
-        return statsRepository.getDailyHourDistribution(startTime, endTime)
+        return statsRepository.getDailyHourDistribution(startTime, endTime, filter)
     }
 
     fun getOverallHourlyDistributionWithTotalDays(
-        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE,
+        halfHour: Boolean = false
     ): HourlyDistributionResult {
-        return statsRepository.getOverallHourlyDistributionWithTotalDays(startTime, endTime)
+        return statsRepository.getOverallHourlyDistributionWithTotalDays(startTime, endTime, filter, halfHour)
     }
 
     fun getLanguageDistribution(
-        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE
     ): List<LanguageUsage> {
-        return statsRepository.getLanguageDistribution(startTime, endTime)
+        return statsRepository.getLanguageDistribution(startTime, endTime, filter)
+    }
+
+    fun getDailyLanguageUsage(
+        startTime: LocalDateTime, endTime: LocalDateTime, filter: SessionFilter = SessionFilter.NONE
+    ): List<DailyLanguageUsage> {
+        return statsRepository.getDailyLanguageUsage(startTime, endTime, filter)
+    }
+
+    fun getDailyProjectUsage(
+        startTime: LocalDateTime, endTime: LocalDateTime, filter: SessionFilter = SessionFilter.NONE
+    ): List<DailyProjectUsage> {
+        return statsRepository.getDailyProjectUsage(startTime, endTime, filter)
     }
 
     fun getProjectDistribution(
-        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE
     ): List<ProjectUsage> {
-        return statsRepository.getProjectDistribution(startTime, endTime)
+        return statsRepository.getProjectDistribution(startTime, endTime, filter)
+    }
+
+    fun getDistribution(
+        dimension: SessionDimension, startTime: LocalDateTime? = null, endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<DimensionUsage> {
+        return statsRepository.getDistribution(dimension, startTime, endTime, filter)
+    }
+
+    fun getIdeLanguageUsage(
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE
+    ): List<IdeLanguageUsage> {
+        return statsRepository.getIdeLanguageUsage(startTime, endTime, filter)
     }
 
     fun getTimeOfDayDistribution(
-        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE,
+        buckets: List<TimeOfDayBucket> = TimeOfDayBucket.DEFAULTS
     ): List<TimeOfDayUsage> {
-        return statsRepository.getTimeOfDayDistribution(startTime, endTime)
+        return statsRepository.getTimeOfDayDistribution(startTime, endTime, filter, buckets)
     }
 
-    fun getSessions(startTime: LocalDateTime? = null, endTime: LocalDateTime? = null): List<CodingSession> {
-        return sessionRepository.getSessions(startTime, endTime)
+    fun getSessions(
+        startTime: LocalDateTime? = null, endTime: LocalDateTime? = null, filter: SessionFilter = SessionFilter.NONE
+    ): List<CodingSession> {
+        return sessionRepository.getSessions(startTime, endTime, filter)
     }
 
     fun getAllSessionUuids(): Set<String> {
@@ -96,11 +158,11 @@ object DatabaseManager {
         return sessionRepository.getRecordCount()
     }
 
-    fun getAllActiveSessionTimes(): List<SessionSummaryDTO> {
-        return sessionRepository.getAllActiveSessionTimes()
+    fun getAllActiveSessionTimes(filter: SessionFilter = SessionFilter.NONE): List<SessionSummaryDTO> {
+        return sessionRepository.getAllActiveSessionTimes(filter)
     }
 
-    fun getFirstRecordDate(): LocalDate? {
-        return sessionRepository.getFirstRecordDate()
+    fun getFirstRecordDate(filter: SessionFilter = SessionFilter.NONE): LocalDate? {
+        return sessionRepository.getFirstRecordDate(filter)
     }
 }
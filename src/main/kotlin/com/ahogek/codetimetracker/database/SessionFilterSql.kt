@@ -0,0 +1,28 @@
+package com.ahogek.codetimetracker.database
+
+import com.ahogek.codetimetracker.model.SessionFilter
+import java.sql.PreparedStatement
+
+/**
+ * Appends one `column IN (?, ...)` condition per filtered dimension.
+ * Must be paired with [setFilterParams] using the same filter.
+ */
+internal fun MutableList<String>.addFilterConditions(filter: SessionFilter) {
+    filter.activeDimensions().forEach { (dimension, values) ->
+        add("${dimension.column} IN (${values.joinToString(", ") { "?" }})")
+    }
+}
+
+/**
+ * Binds the values of the conditions added by [addFilterConditions].
+ *
+ * @param startIndex Index of the first filter parameter
+ * @return The index following the last bound parameter
+ */
+internal fun PreparedStatement.setFilterParams(startIndex: Int, filter: SessionFilter): Int {
+    var paramIndex = startIndex
+    filter.activeDimensions().forEach { (_, values) ->
+        values.forEach { setString(paramIndex++, it) }
+    }
+    return paramIndex
+}
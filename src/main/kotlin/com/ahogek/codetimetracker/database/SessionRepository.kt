@@ -1,6 +1,7 @@
 package com.ahogek.codetimetracker.database
 
 import com.ahogek.codetimetracker.model.CodingSession
+import com.ahogek.codetimetracker.model.SessionFilter
 import com.ahogek.codetimetracker.model.SessionSummaryDTO
 import com.ahogek.codetimetracker.user.UserManager
 import com.intellij.openapi.application.ApplicationManager
@@ -112,7 +113,11 @@ class SessionRepository(private val connectionManager: ConnectionManager) {
         return importedCount
     }
 
-    fun getSessions(startTime: LocalDateTime? = null, endTime: LocalDateTime? = null): List<CodingSession> {
+    fun getSessions(
+        startTime: LocalDateTime? = null,
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<CodingSession> {
         val conditions = mutableListOf("is_deleted = 0")
         if (startTime != null) {
             conditions.add("end_time > ?")
@@ -120,6 +125,7 @@ class SessionRepository(private val connectionManager: ConnectionManager) {
         if (endTime != null) {
             conditions.add("start_time < ?")
         }
+        conditions.addFilterConditions(filter)
 
         val sql = """
             SELECT
@@ -139,8 +145,9 @@ class SessionRepository(private val connectionManager: ConnectionManager) {
                         pstmt.setString(paramIndex++, dateTimeFormatter.format(startTime))
                     }
                     if (endTime != null) {
-                        pstmt.setString(paramIndex, dateTimeFormatter.format(endTime))
+                        pstmt.setString(paramIndex++, dateTimeFormatter.format(endTime))
                     }
+                    pstmt.setFilterParams(paramIndex, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             sessions.add(
@@ -194,11 +201,14 @@ class SessionRepository(private val connectionManager: ConnectionManager) {
         return uuids
     }
 
-    fun getAllActiveSessionTimes(): List<SessionSummaryDTO> {
+    fun getAllActiveSessionTimes(filter: SessionFilter = SessionFilter.NONE): List<SessionSummaryDTO> {
+        val conditions = mutableListOf("is_deleted = 0")
+        conditions.addFilterConditions(filter)
+
         val sql = """
         SELECT start_time, end_time
         FROM coding_sessions
-        WHERE is_deleted = 0
+        WHERE ${conditions.joinToString(" AND ")}
         ORDER BY start_time
     """.trimIndent()
 
@@ -207,6 +217,7 @@ class SessionRepository(private val connectionManager: ConnectionManager) {
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
+                    pstmt.setFilterParams(1, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             sessions.add(
@@ -249,12 +260,15 @@ class SessionRepository(private val connectionManager: ConnectionManager) {
         }
     }
 
-    fun getFirstRecordDate(): LocalDate? {
-        val sql = "SELECT MIN(start_time) as first_date FROM coding_sessions WHERE is_deleted = 0"
+    fun getFirstRecordDate(filter: SessionFilter = SessionFilter.NONE): LocalDate? {
+        val conditions = mutableListOf("is_deleted = 0")
+        conditions.addFilterConditions(filter)
+        val sql = "SELECT MIN(start_time) as first_date FROM coding_sessions WHERE ${conditions.joinToString(" AND ")}"
 
         return try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
+                    pstmt.setFilterParams(1, filter)
                     pstmt.executeQuery().use { rs ->
                         if (rs.next()) {
                             val timestamp = rs.getString("first_date")
@@ -28,11 +28,12 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
             "SELECT MIN(start_time), MAX(end_time) FROM coding_sessions WHERE is_deleted=0"
     }
 
-    fun getTotalCodingTime(projectName: String? = null): Duration {
+    fun getTotalCodingTime(projectName: String? = null, filter: SessionFilter = SessionFilter.NONE): Duration {
         val conditions = mutableListOf("is_deleted = 0")
         if (projectName != null) {
             conditions.add("project_name = ?")
         }
+        conditions.addFilterConditions(filter)
 
         val sql = "SELECT start_time, end_time FROM coding_sessions WHERE ${conditions.joinToString(" AND ")}"
         val intervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
@@ -40,9 +41,11 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
+                    var paramIndex = 1
                     if (projectName != null) {
-                        pstmt.setString(1, projectName)
+                        pstmt.setString(paramIndex++, projectName)
                     }
+                    pstmt.setFilterParams(paramIndex, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             val start = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
@@ -63,13 +66,15 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
     fun getCodingTimeForPeriod(
         startTime: LocalDateTime,
         endTime: LocalDateTime,
-        projectName: String? = null
+        projectName: String? = null,
+        filter: SessionFilter = SessionFilter.NONE
     ): Duration {
-        val sql = if (projectName != null) {
-            "$SQL_SELECT_SESSIONS_IN_RANGE AND project_name = ?"
-        } else {
-            SQL_SELECT_SESSIONS_IN_RANGE
+        val conditions = mutableListOf<String>()
+        if (projectName != null) {
+            conditions.add("project_name = ?")
         }
+        conditions.addFilterConditions(filter)
+        val sql = SQL_SELECT_SESSIONS_IN_RANGE + conditions.joinToString("") { " AND $it" }
 
         val intervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
 
@@ -78,7 +83,9 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
                 conn.prepareStatement(sql).use { pstmt ->
                     pstmt.setString(1, dateTimeFormatter.format(startTime))
                     pstmt.setString(2, dateTimeFormatter.format(endTime))
-                    projectName?.let { pstmt.setString(3, it) }
+                    var paramIndex = 3
+                    projectName?.let { pstmt.setString(paramIndex++, it) }
+                    pstmt.setFilterParams(paramIndex, filter)
 
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
@@ -103,8 +110,12 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         return TimeRangeUtils.calculateMergedDuration(intervals)
     }
 
-    fun getDailyCodingTimeForHeatmap(startTime: LocalDateTime, endTime: LocalDateTime): List<DailySummary> {
-        val sql = SQL_SELECT_SESSIONS_IN_RANGE.trimIndent()
+    fun getDailyCodingTimeForHeatmap(
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<DailySummary> {
+        val sql = sessionsInRangeSql(filter)
         val dailyMap = mutableMapOf<LocalDate, Long>()
 
         try {
@@ -112,6 +123,7 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
                 conn.prepareStatement(sql).use { pstmt ->
                     pstmt.setString(1, dateTimeFormatter.format(startTime))
                     pstmt.setString(2, dateTimeFormatter.format(endTime))
+                    pstmt.setFilterParams(3, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             val sessionStart = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
@@ -156,14 +168,19 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         return result
     }
 
-    fun getCodingStreaks(startTime: LocalDateTime, endTime: LocalDateTime): CodingStreaks {
-        val sql = SQL_SELECT_SESSIONS_IN_RANGE
+    fun getCodingStreaks(
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        filter: SessionFilter = SessionFilter.NONE
+    ): CodingStreaks {
+        val sql = sessionsInRangeSql(filter)
         val codingDates = mutableSetOf<LocalDate>()
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
                     pstmt.setString(1, dateTimeFormatter.format(startTime))
                     pstmt.setString(2, dateTimeFormatter.format(endTime))
+                    pstmt.setFilterParams(3, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             val sessionStart = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
@@ -191,14 +208,65 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         return getCodingStreaks(startTime, endTime)
     }
 
+    /**
+     * Computes streaks of consecutive days on which the daily goal was met,
+     * using the same per-day totals as the heatmap.
+     *
+     * @param dailyGoal Minimum coding time for a day to count
+     */
+    fun getGoalStreaks(
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        dailyGoal: Duration,
+        filter: SessionFilter = SessionFilter.NONE
+    ): CodingStreaks {
+        val goalDates = getDailyCodingTimeForHeatmap(startTime, endTime, filter)
+            .filter { it.totalDuration >= dailyGoal }
+            .map { it.date }
+        return calculateCodingStreaks(goalDates.sortedDescending())
+    }
+
+    /**
+     * Lists every streak of consecutive days on which at least [minimumDaily] was coded,
+     * using the same per-day totals as the heatmap.
+     *
+     * @param minimumDaily Minimum coding time for a day to count, zero for any activity
+     * @return The streaks, most recent first
+     */
+    fun getStreakHistory(
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        minimumDaily: Duration = Duration.ZERO,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<CodingStreakRange> {
+        val days = getDailyCodingTimeForHeatmap(startTime, endTime, filter)
+            .filter { it.totalDuration >= minimumDaily }
+            .sortedBy { it.date }
+
+        val streaks = mutableListOf<CodingStreakRange>()
+        days.forEach { day ->
+            val last = streaks.lastOrNull()
+            if (last != null && last.endDate.plusDays(1) == day.date) {
+                streaks[streaks.lastIndex] = last.copy(
+                    endDate = day.date,
+                    totalDuration = last.totalDuration + day.totalDuration
+                )
+            } else {
+                streaks.add(CodingStreakRange(day.date, day.date, day.totalDuration))
+            }
+        }
+        return streaks.reversed()
+    }
+
     fun getDailyHourDistribution(
         startTime: LocalDateTime? = null,
-        endTime: LocalDateTime? = null
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
     ): List<HourlyDistribution> {
         val (actualStart, actualEnd) = determineTimeRange(startTime, endTime)
             ?: return emptyList()
 
-        val distributionMap = fetchDailyHourlyData(actualStart, actualEnd)
+        val distributionMap = fetchDailyHourlyData(actualStart, actualEnd, filter)
         val weekdayCount = calculateWeekdayCount(actualStart, actualEnd)
 
         return buildDailyHourlyDistribution(distributionMap, weekdayCount)
@@ -239,15 +307,17 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
 
     private fun fetchDailyHourlyData(
         actualStart: LocalDateTime,
-        actualEnd: LocalDateTime
+        actualEnd: LocalDateTime,
+        filter: SessionFilter
     ): Map<Pair<Int, Int>, Long> {
         val distributionMap = mutableMapOf<Pair<Int, Int>, Long>()
 
         try {
             connectionManager.withConnection { conn ->
-                conn.prepareStatement(SQL_SELECT_SESSIONS_IN_RANGE).use { pstmt ->
+                conn.prepareStatement(sessionsInRangeSql(filter)).use { pstmt ->
                     pstmt.setString(1, dateTimeFormatter.format(actualStart))
                     pstmt.setString(2, dateTimeFormatter.format(actualEnd))
+                    pstmt.setFilterParams(3, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             processDailyHourlySession(
@@ -339,16 +409,31 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         return result
     }
 
+    /**
+     * Binds the time parameters added by [checkTimeParams].
+     * @return The index following the last bound parameter
+     */
     private fun checkTimeParamsInStatement(
         pstmt: PreparedStatement, startTime: LocalDateTime?, endTime: LocalDateTime?
-    ) {
+    ): Int {
         var paramIndex = 1
         if (startTime != null) {
             pstmt.setString(paramIndex++, dateTimeFormatter.format(startTime))
         }
         if (endTime != null) {
-            pstmt.setString(paramIndex, dateTimeFormatter.format(endTime))
+            pstmt.setString(paramIndex++, dateTimeFormatter.format(endTime))
         }
+        return paramIndex
+    }
+
+    /**
+     * Returns [SQL_SELECT_SESSIONS_IN_RANGE] narrowed down by the filter.
+     * The filter parameters start at index 3, after the two time parameters.
+     */
+    private fun sessionsInRangeSql(filter: SessionFilter): String {
+        val conditions = mutableListOf<String>()
+        conditions.addFilterConditions(filter)
+        return SQL_SELECT_SESSIONS_IN_RANGE + conditions.joinToString("") { " AND $it" }
     }
 
     private fun checkTimeParams(
@@ -362,14 +447,24 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         }
     }
 
+    /**
+     * Computes the average coding time per time-of-day slot.
+     *
+     * @param halfHour If true, the day is split into 48 half-hour slots (minute 0 or 30),
+     *                 otherwise into 24 full hours
+     */
     fun getOverallHourlyDistributionWithTotalDays(
         startTime: LocalDateTime? = null,
-        endTime: LocalDateTime? = null
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE,
+        halfHour: Boolean = false
     ): HourlyDistributionResult {
+        // Keyed by the slot's minute of the day (e.g. 630 for 10:30)
         val hourlyMap = mutableMapOf<Int, Long>()
         val activeDays = mutableSetOf<LocalDate>()
+        val slotMinutes = if (halfHour) 30 else 60
 
-        fetchAndProcessHourlySessions(startTime, endTime, hourlyMap, activeDays)
+        fetchAndProcessHourlySessions(startTime, endTime, filter, slotMinutes, hourlyMap, activeDays)
 
         val totalDays = calculateTotalDays(startTime, endTime, activeDays)
         val distribution = buildHourlyDistribution(hourlyMap, totalDays)
@@ -380,11 +475,14 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
     private fun fetchAndProcessHourlySessions(
         startTime: LocalDateTime?,
         endTime: LocalDateTime?,
+        filter: SessionFilter,
+        slotMinutes: Int,
         hourlyMap: MutableMap<Int, Long>,
         activeDays: MutableSet<LocalDate>
     ) {
         val conditions = mutableListOf(SQL_IS_NOT_DELETED)
         checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
 
         val sql = """
             SELECT start_time, end_time
@@ -395,7 +493,8 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
-                    checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             processSessionForHourly(
@@ -403,6 +502,7 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
                                 rs.getString("end_time"),
                                 startTime,
                                 endTime,
+                                slotMinutes,
                                 hourlyMap,
                                 activeDays
                             )
@@ -420,6 +520,7 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         endTimeStr: String,
         rangeStart: LocalDateTime?,
         rangeEnd: LocalDateTime?,
+        slotMinutes: Int,
         hourlyMap: MutableMap<Int, Long>,
         activeDays: MutableSet<LocalDate>
     ) {
@@ -430,8 +531,8 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         val effectiveEnd = if (rangeEnd != null) minOf(end, rangeEnd) else end
 
         if (effectiveStart.isBefore(effectiveEnd)) {
-            splitSessionByFullHour(effectiveStart, effectiveEnd).forEach { (hour, duration, dates) ->
-                hourlyMap[hour] = hourlyMap.getOrDefault(hour, 0L) + duration.toSeconds()
+            splitSessionBySlot(effectiveStart, effectiveEnd, slotMinutes).forEach { (slot, duration, dates) ->
+                hourlyMap[slot] = hourlyMap.getOrDefault(slot, 0L) + duration.toSeconds()
                 activeDays.addAll(dates)
             }
         }
@@ -455,22 +556,27 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         hourlyMap: Map<Int, Long>,
         totalDays: Int
     ): List<HourlyUsage> {
-        return hourlyMap.map { (hour, totalSeconds) ->
+        return hourlyMap.map { (slot, totalSeconds) ->
             val avgSeconds = totalSeconds / totalDays
-            HourlyUsage(hour, 0, Duration.ofSeconds(avgSeconds))
-        }.sortedBy { it.hour }
+            HourlyUsage(slot / 60, slot % 60, Duration.ofSeconds(avgSeconds))
+        }.sortedWith(compareBy<HourlyUsage> { it.hour }.thenBy { it.minute })
     }
 
-    private fun splitSessionByFullHour(
-        start: LocalDateTime, end: LocalDateTime
+    /**
+     * Splits a session at slot boundaries (full or half hours).
+     * Each segment is returned with the minute of the day its slot starts at.
+     */
+    private fun splitSessionBySlot(
+        start: LocalDateTime, end: LocalDateTime, slotMinutes: Int
     ): List<Triple<Int, Duration, Set<LocalDate>>> {
         val result = mutableListOf<Triple<Int, Duration, Set<LocalDate>>>()
         var current = start
 
         while (current.isBefore(end)) {
-            val hour = current.hour
-            val nextHour = current.withMinute(0).withSecond(0).withNano(0).plusHours(1)
-            val segmentEnd = if (nextHour.isAfter(end)) end else nextHour
+            val slotMinute = current.minute / slotMinutes * slotMinutes
+            val slot = current.hour * 60 + slotMinute
+            val nextSlot = current.withMinute(slotMinute).withSecond(0).withNano(0).plusMinutes(slotMinutes.toLong())
+            val segmentEnd = if (nextSlot.isAfter(end)) end else nextSlot
             val duration = Duration.between(current, segmentEnd)
             if (!duration.isZero) {
                 val dates = mutableSetOf<LocalDate>()
@@ -480,7 +586,7 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
                     temp = temp.plusDays(1).withHour(0).withMinute(0).withSecond(0).withNano(0)
                     if (temp.isAfter(segmentEnd)) break
                 }
-                result.add(Triple(hour, duration, dates))
+                result.add(Triple(slot, duration, dates))
             }
             current = segmentEnd
         }
@@ -490,10 +596,12 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
 
     fun getLanguageDistribution(
         startTime: LocalDateTime? = null,
-        endTime: LocalDateTime? = null
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
     ): List<LanguageUsage> {
         val conditions = mutableListOf(SQL_IS_NOT_DELETED)
         checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
 
         val sql = """
             SELECT language, start_time, end_time
@@ -501,14 +609,18 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
             WHERE ${conditions.joinToString(" AND ")}
         """
         val map = mutableMapOf<String, Long>()
+        val counts = mutableMapOf<String, Int>()
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
-                    checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             val language = rs.getString("language")
-                            sessionOp(rs, startTime, endTime, map, language)
+                            if (sessionOp(rs, startTime, endTime, map, language)) {
+                                counts.merge(language, 1, Int::plus)
+                            }
                         }
                     }
                 }
@@ -517,16 +629,96 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
             log.error("Failed to compute language distribution.", e)
         }
         return map.map { (language, totalSeconds) ->
-            LanguageUsage(language, Duration.ofSeconds(totalSeconds))
+            LanguageUsage(language, Duration.ofSeconds(totalSeconds), counts[language] ?: 0)
         }.sortedByDescending { it.totalDuration }
     }
 
+    /**
+     * Computes the coding time per language for every day of the range.
+     * Sessions spanning midnight are split between the days they cover.
+     *
+     * @return The usages sorted by date, with only the days and languages that have coding time
+     */
+    fun getDailyLanguageUsage(
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<DailyLanguageUsage> {
+        return sumDailyUsage(SessionDimension.LANGUAGE, startTime, endTime, filter).map { (key, totalSeconds) ->
+            DailyLanguageUsage(key.first, key.second, Duration.ofSeconds(totalSeconds))
+        }.sortedBy { it.date }
+    }
+
+    /**
+     * Computes the coding time per project for every day of the range.
+     * Sessions spanning midnight are split between the days they cover.
+     *
+     * @return The usages sorted by date, with only the days and projects that have coding time
+     */
+    fun getDailyProjectUsage(
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<DailyProjectUsage> {
+        return sumDailyUsage(SessionDimension.PROJECT, startTime, endTime, filter).map { (key, totalSeconds) ->
+            DailyProjectUsage(key.first, key.second, Duration.ofSeconds(totalSeconds))
+        }.sortedBy { it.date }
+    }
+
+    /**
+     * Sums the coding seconds of the range per day and value of a dimension.
+     */
+    private fun sumDailyUsage(
+        dimension: SessionDimension,
+        startTime: LocalDateTime,
+        endTime: LocalDateTime,
+        filter: SessionFilter
+    ): Map<Pair<LocalDate, String>, Long> {
+        val conditions = mutableListOf(SQL_IS_NOT_DELETED)
+        checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
+
+        val sql = """
+            SELECT ${dimension.column}, start_time, end_time
+            FROM coding_sessions
+            WHERE ${conditions.joinToString(" AND ")}
+        """
+        val map = mutableMapOf<Pair<LocalDate, String>, Long>()
+        try {
+            connectionManager.withConnection { conn ->
+                conn.prepareStatement(sql).use { pstmt ->
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
+                    pstmt.executeQuery().use { rs ->
+                        while (rs.next()) {
+                            val value = rs.getString(dimension.column)
+                            val sessionStart = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
+                            val sessionEnd = LocalDateTime.parse(rs.getString("end_time"), dateTimeFormatter)
+                            calculateEffectiveRange(sessionStart, sessionEnd, startTime, endTime)
+                                ?.let { (effectiveStart, effectiveEnd) ->
+                                    splitSessionByDay(effectiveStart, effectiveEnd).forEach { (date, duration) ->
+                                        val key = date to value
+                                        map[key] = map.getOrDefault(key, 0L) + duration.toSeconds()
+                                    }
+                                }
+                        }
+                    }
+                }
+            }
+        } catch (e: Exception) {
+            log.error("Failed to compute daily ${dimension.name.lowercase()} usage.", e)
+        }
+        return map
+    }
+
     fun getProjectDistribution(
         startTime: LocalDateTime? = null,
-        endTime: LocalDateTime? = null
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
     ): List<ProjectUsage> {
         val conditions = mutableListOf(SQL_IS_NOT_DELETED)
         checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
 
         val sql = """
             SELECT project_name, start_time, end_time
@@ -534,14 +726,18 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
             WHERE ${conditions.joinToString(" AND ")}
         """
         val map = mutableMapOf<String, Long>()
+        val counts = mutableMapOf<String, Int>()
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
-                    checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
                             val projectName = rs.getString("project_name")
-                            sessionOp(rs, startTime, endTime, map, projectName)
+                            if (sessionOp(rs, startTime, endTime, map, projectName)) {
+                                counts.merge(projectName, 1, Int::plus)
+                            }
                         }
                     }
                 }
@@ -550,31 +746,136 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
             log.error("Failed to compute project distribution.", e)
         }
         return map.map { (projectName, totalSeconds) ->
-            ProjectUsage(projectName, Duration.ofSeconds(totalSeconds))
+            ProjectUsage(projectName, Duration.ofSeconds(totalSeconds), counts[projectName] ?: 0)
+        }.sortedByDescending { it.totalDuration }
+    }
+
+    /**
+     * Sums the coding time and the sessions per value of a dimension, e.g. per IDE or per operating system.
+     *
+     * @return The usages, largest first
+     */
+    fun getDistribution(
+        dimension: SessionDimension,
+        startTime: LocalDateTime? = null,
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<DimensionUsage> {
+        val conditions = mutableListOf(SQL_IS_NOT_DELETED)
+        checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
+
+        val sql = """
+            SELECT ${dimension.column}, start_time, end_time
+            FROM coding_sessions
+            WHERE ${conditions.joinToString(" AND ")}
+        """
+        val map = mutableMapOf<String, Long>()
+        val counts = mutableMapOf<String, Int>()
+        try {
+            connectionManager.withConnection { conn ->
+                conn.prepareStatement(sql).use { pstmt ->
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
+                    pstmt.executeQuery().use { rs ->
+                        while (rs.next()) {
+                            val value = rs.getString(dimension.column)
+                            if (sessionOp(rs, startTime, endTime, map, value)) {
+                                counts.merge(value, 1, Int::plus)
+                            }
+                        }
+                    }
+                }
+            }
+        } catch (e: Exception) {
+            log.error("Failed to compute ${dimension.name.lowercase()} distribution.", e)
+        }
+        return map.map { (value, totalSeconds) ->
+            DimensionUsage(value, Duration.ofSeconds(totalSeconds), counts[value] ?: 0)
         }.sortedByDescending { it.totalDuration }
     }
 
+    /**
+     * Sums the coding time per IDE and language.
+     *
+     * @return The usages, largest first
+     */
+    fun getIdeLanguageUsage(
+        startTime: LocalDateTime? = null,
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
+    ): List<IdeLanguageUsage> {
+        val conditions = mutableListOf(SQL_IS_NOT_DELETED)
+        checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
+
+        val sql = """
+            SELECT ide_name, language, start_time, end_time
+            FROM coding_sessions
+            WHERE ${conditions.joinToString(" AND ")}
+        """
+        val map = mutableMapOf<Pair<String, String>, Long>()
+        try {
+            connectionManager.withConnection { conn ->
+                conn.prepareStatement(sql).use { pstmt ->
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
+                    pstmt.executeQuery().use { rs ->
+                        while (rs.next()) {
+                            val key = rs.getString("ide_name") to rs.getString("language")
+                            val sessionStart = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
+                            val sessionEnd = LocalDateTime.parse(rs.getString("end_time"), dateTimeFormatter)
+                            calculateEffectiveRange(sessionStart, sessionEnd, startTime, endTime)
+                                ?.let { (effectiveStart, effectiveEnd) ->
+                                    val seconds = Duration.between(effectiveStart, effectiveEnd).toSeconds()
+                                    map[key] = map.getOrDefault(key, 0L) + seconds
+                                }
+                        }
+                    }
+                }
+            }
+        } catch (e: Exception) {
+            log.error("Failed to compute IDE language usage.", e)
+        }
+        return map.map { (key, totalSeconds) ->
+            IdeLanguageUsage(key.first, key.second, Duration.ofSeconds(totalSeconds))
+        }.sortedByDescending { it.totalDuration }
+    }
+
+    /**
+     * Adds the time of the session within the range to its key.
+     *
+     * @return Whether the session overlaps the range
+     */
     private fun sessionOp(
         rs: ResultSet,
         startTime: LocalDateTime?,
         endTime: LocalDateTime?,
         map: MutableMap<String, Long>,
         key: String
-    ) {
+    ): Boolean {
         val sessionStart = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
         val sessionEnd = LocalDateTime.parse(rs.getString("end_time"), dateTimeFormatter)
 
-        calculateEffectiveRange(sessionStart, sessionEnd, startTime, endTime)?.let { (effectiveStart, effectiveEnd) ->
-            map[key] = map.getOrDefault(key, 0L) + Duration.between(effectiveStart, effectiveEnd).toSeconds()
-        }
+        val (effectiveStart, effectiveEnd) = calculateEffectiveRange(sessionStart, sessionEnd, startTime, endTime)
+            ?: return false
+        map[key] = map.getOrDefault(key, 0L) + Duration.between(effectiveStart, effectiveEnd).toSeconds()
+        return true
     }
 
+    /**
+     * Sums the coding time per part of the day. A minute in several buckets counts toward the first one,
+     * a minute in none toward [TimeOfDayBucket.UNASSIGNED].
+     */
     fun getTimeOfDayDistribution(
         startTime: LocalDateTime? = null,
-        endTime: LocalDateTime? = null
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE,
+        buckets: List<TimeOfDayBucket> = TimeOfDayBucket.DEFAULTS
     ): List<TimeOfDayUsage> {
         val conditions = mutableListOf(SQL_IS_NOT_DELETED)
         checkTimeParams(conditions, startTime, endTime)
+        conditions.addFilterConditions(filter)
 
         val sql = """
         SELECT start_time, end_time
@@ -586,10 +887,11 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         try {
             connectionManager.withConnection { conn ->
                 conn.prepareStatement(sql).use { pstmt ->
-                    checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    val paramIndex = checkTimeParamsInStatement(pstmt, startTime, endTime)
+                    pstmt.setFilterParams(paramIndex, filter)
                     pstmt.executeQuery().use { rs ->
                         while (rs.next()) {
-                            processTimeOfDaySession(rs, startTime, endTime, distributionMap)
+                            processTimeOfDaySession(rs, startTime, endTime, buckets, distributionMap)
                         }
                     }
                 }
@@ -607,13 +909,14 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
         rs: ResultSet,
         rangeStart: LocalDateTime?,
         rangeEnd: LocalDateTime?,
+        buckets: List<TimeOfDayBucket>,
         distributionMap: MutableMap<String, Long>
     ) {
         val sessionStart = LocalDateTime.parse(rs.getString("start_time"), dateTimeFormatter)
         val sessionEnd = LocalDateTime.parse(rs.getString("end_time"), dateTimeFormatter)
 
         calculateEffectiveRange(sessionStart, sessionEnd, rangeStart, rangeEnd)?.let { (effectiveStart, effectiveEnd) ->
-            splitSessionByTimeOfDay(effectiveStart, effectiveEnd).forEach { (timeOfDay, duration) ->
+            splitSessionByTimeOfDay(effectiveStart, effectiveEnd, buckets).forEach { (timeOfDay, duration) ->
                 distributionMap[timeOfDay] = distributionMap.getOrDefault(timeOfDay, 0L) + duration.toSeconds()
             }
         }
@@ -637,32 +940,21 @@ class StatsRepository(private val connectionManager: ConnectionManager) {
 
     private fun splitSessionByTimeOfDay(
         start: LocalDateTime,
-        end: LocalDateTime
+        end: LocalDateTime,
+        buckets: List<TimeOfDayBucket>
     ): List<Pair<String, Duration>> {
         val result = mutableListOf<Pair<String, Duration>>()
+        // Between two consecutive boundaries the time falls into the same bucket
+        val boundaries = buckets.flatMap { listOf(it.start, it.end) }.toSortedSet()
         var current = start
 
         while (current.isBefore(end)) {
-            val hour = current.hour
-            val timeOfDay = when (hour) {
-                in 0..5 -> "Night"
-                in 6..11 -> "Morning"
-                in 12..17 -> "Daytime"
-                else -> "Evening"
-            }
+            val time = current.toLocalTime()
+            val timeOfDay = buckets.firstOrNull { time in it }?.name ?: TimeOfDayBucket.UNASSIGNED
 
-            val nextBoundaryHour = when (hour) {
-                in 0..5 -> 6
-                in 6..11 -> 12
-                in 12..17 -> 18
-                else -> 24
-            }
-
-            val nextBoundary = if (nextBoundaryHour == 24) {
-                current.plusDays(1).withHour(0).withMinute(0).withSecond(0).withNano(0)
-            } else {
-                current.withHour(nextBoundaryHour).withMinute(0).withSecond(0).withNano(0)
-            }
+            val nextBoundary = boundaries.firstOrNull { it > time }
+                ?.let { current.toLocalDate().atTime(it) }
+                ?: current.toLocalDate().plusDays(1).atStartOfDay()
 
             val segmentEnd = if (nextBoundary.isAfter(end)) end else nextBoundary
             val duration = Duration.between(current, segmentEnd)
@@ -0,0 +1,19 @@
+package com.ahogek.codetimetracker.listeners
+
+import com.ahogek.codetimetracker.settings.DashboardSettings
+
+/**
+ * Listener interface for changes to the statistics dashboard settings
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 14:12:52
+ */
+fun interface DashboardSettingsListener {
+
+    /**
+     * Called after the settings have been applied in the settings dialog
+     *
+     * @param settings The updated settings state
+     */
+    fun onSettingsChanged(settings: DashboardSettings.State)
+}
@@ -0,0 +1,20 @@
+package com.ahogek.codetimetracker.listeners
+
+import com.ahogek.codetimetracker.model.CodingSession
+
+/**
+ * Listener interface for session persistence events
+ * Implement this interface to refresh views that read tracked time from the database
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 14:12:37
+ */
+fun interface SessionsSavedListener {
+
+    /**
+     * Called after tracked sessions have been written to the database
+     *
+     * @param sessions The sessions that were saved
+     */
+    fun onSessionsSaved(sessions: List<CodingSession>)
+}
@@ -0,0 +1,58 @@
+package com.ahogek.codetimetracker.model
+
+/**
+ * Attributes of a coding session the statistics dashboard can be filtered by.
+ *
+ * @property column The coding_sessions column holding the attribute
+ */
+enum class SessionDimension(val column: String) {
+    PROJECT("project_name"),
+    LANGUAGE("language"),
+    IDE("ide_name"),
+    PLATFORM("platform")
+}
+
+/**
+ * Cross-filter applied to the statistics queries, e.g. set by clicking a pie slice in the dashboard.
+ *
+ * Values within one dimension are OR'd, dimensions are AND'd:
+ * `{PROJECT: [foo, bar], LANGUAGE: [Kotlin]}` keeps sessions of foo or bar written in Kotlin.
+ *
+ * @property values Selected values per dimension; an empty set means the dimension is not filtered
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 11:26:48
+ */
+data class SessionFilter(
+    val values: Map<SessionDimension, Set<String>> = emptyMap()
+) {
+
+    fun isEmpty(): Boolean = values.values.all { it.isEmpty() }
+
+    /**
+     * Returns the filtered dimensions in declaration order with their values sorted,
+     * so the generated SQL and its positional parameters always line up.
+     */
+    fun activeDimensions(): List<Pair<SessionDimension, List<String>>> {
+        return SessionDimension.entries.mapNotNull { dimension ->
+            values[dimension]?.takeIf { it.isNotEmpty() }?.let { dimension to it.sorted() }
+        }
+    }
+
+    /**
+     * Returns a copy without the given dimension.
+     * Used by the distribution chart of that dimension, which keeps showing every slice
+     * so the selection can be extended or changed.
+     */
+    fun without(dimension: SessionDimension): SessionFilter = SessionFilter(values - dimension)
+
+    /**
+     * Returns a copy restricted to a single value of the given dimension, replacing its selected values.
+     * Used to list the sessions of one clicked value within the rest of the filter.
+     */
+    fun only(dimension: SessionDimension, value: String): SessionFilter =
+        SessionFilter(values + (dimension to setOf(value)))
+
+    companion object {
+        val NONE = SessionFilter()
+    }
+}
@@ -2,6 +2,8 @@ package com.ahogek.codetimetracker.model
 
 import java.time.Duration
 import java.time.LocalDate
+import java.time.LocalTime
+import java.time.temporal.ChronoUnit
 
 /**
  * Represents the total coding duration for a single day.
@@ -26,6 +28,21 @@ data class CodingStreaks(
     val maxStreak: Int
 )
 
+/**
+ * One run of consecutive coding days
+ *
+ * @property startDate The first day of the streak
+ * @property endDate The last day of the streak (inclusive)
+ * @property totalDuration The coding time of all days of the streak
+ */
+data class CodingStreakRange(
+    val startDate: LocalDate,
+    val endDate: LocalDate,
+    val totalDuration: Duration
+) {
+    val days: Int get() = ChronoUnit.DAYS.between(startDate, endDate).toInt() + 1
+}
+
 /**
  * Represents coding activity within a specific hour of a specific day of the week.
  *
@@ -82,8 +99,23 @@ data class HourlyDistributionResult(
  *
  * @property language The name of the programming language.
  * @property totalDuration The total time spent coding in this language.
+ * @property sessionCount The number of sessions in this language.
  */
 data class LanguageUsage(
+    val language: String,
+    val totalDuration: Duration,
+    val sessionCount: Int = 0
+)
+
+/**
+ * Represents the coding time spent in a language on a single day.
+ *
+ * @property date The specific date of the usage.
+ * @property language The name of the programming language.
+ * @property totalDuration The time spent coding in this language on that date.
+ */
+data class DailyLanguageUsage(
+    val date: LocalDate,
     val language: String,
     val totalDuration: Duration
 )
@@ -93,8 +125,49 @@ data class LanguageUsage(
  *
  * @property projectName The name of the project.
  * @property totalDuration The total time spent on this project.
+ * @property sessionCount The number of sessions of this project.
  */
 data class ProjectUsage(
+    val projectName: String,
+    val totalDuration: Duration,
+    val sessionCount: Int = 0
+)
+
+/**
+ * Represents the total coding time for one value of a [SessionDimension], e.g. an IDE or an operating system.
+ *
+ * @property value The value of the dimension, e.g. "IntelliJ IDEA".
+ * @property totalDuration The total time spent coding with this value.
+ * @property sessionCount The number of sessions with this value.
+ */
+data class DimensionUsage(
+    val value: String,
+    val totalDuration: Duration,
+    val sessionCount: Int = 0
+)
+
+/**
+ * Represents the coding time spent in a language within one IDE.
+ *
+ * @property ideName The name of the IDE.
+ * @property language The name of the programming language.
+ * @property totalDuration The time spent coding in this language within the IDE.
+ */
+data class IdeLanguageUsage(
+    val ideName: String,
+    val language: String,
+    val totalDuration: Duration
+)
+
+/**
+ * Represents the coding time spent on a project on a single day.
+ *
+ * @property date The specific date of the usage.
+ * @property projectName The name of the project.
+ * @property totalDuration The time spent on this project on that date.
+ */
+data class DailyProjectUsage(
+    val date: LocalDate,
     val projectName: String,
     val totalDuration: Duration
 )
@@ -102,10 +175,46 @@ data class ProjectUsage(
 /**
  * Represents coding time distribution across different parts of the day.
  *
- * @property timeOfDay The name of the period (e.g., "Morning", "Daytime", "Evening", "Night").
+ * @property timeOfDay The name of the period (e.g., "Morning", "Daytime", "Evening", "Night"),
+ *                     [TimeOfDayBucket.UNASSIGNED] for time outside every period.
  * @property totalDuration The total time spent during this period.
  */
 data class TimeOfDayUsage(
     val timeOfDay: String,
     val totalDuration: Duration
-)
\ No newline at end of file
+)
+
+/**
+ * A part of the day the time of day distribution sums coding time into.
+ * A bucket whose end is not after its start wraps past midnight, e.g. 22:00-06:00.
+ *
+ * @property name The name of the bucket
+ * @property start The first minute of the bucket
+ * @property end The end of the bucket (exclusive)
+ */
+data class TimeOfDayBucket(
+    val name: String,
+    val start: LocalTime,
+    val end: LocalTime
+) {
+    operator fun contains(time: LocalTime): Boolean {
+        return if (start < end) time >= start && time < end else time >= start || time < end
+    }
+
+    companion object {
+        /**
+         * Name under which time outside every bucket is summed up
+         */
+        const val UNASSIGNED = ""
+
+        /**
+         * Four quarters of the day, used unless the user defines their own buckets
+         */
+        val DEFAULTS = listOf(
+            TimeOfDayBucket("Morning", LocalTime.of(6, 0), LocalTime.NOON),
+            TimeOfDayBucket("Daytime", LocalTime.NOON, LocalTime.of(18, 0)),
+            TimeOfDayBucket("Evening", LocalTime.of(18, 0), LocalTime.MIDNIGHT),
+            TimeOfDayBucket("Night", LocalTime.MIDNIGHT, LocalTime.of(6, 0))
+        )
+    }
+}
\ No newline at end of file
@@ -2,11 +2,14 @@ package com.ahogek.codetimetracker.service
 
 import com.ahogek.codetimetracker.database.DatabaseManager
 import com.ahogek.codetimetracker.model.CodingSession
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.topics.TimeTrackerTopics
 import com.ahogek.codetimetracker.util.DurationAdapter
 import com.ahogek.codetimetracker.util.LocalDateTimeAdapter
 import com.google.gson.Gson
 import com.google.gson.GsonBuilder
 import com.google.gson.reflect.TypeToken
+import com.intellij.openapi.application.ApplicationManager
 import com.intellij.openapi.diagnostic.Logger
 import java.io.File
 import java.time.Duration
@@ -35,7 +38,11 @@ object DataExportImportService {
         val exportVersion: String = "1.0",
         val exportTime: String,
         val totalSessions: Int,
-        val sessions: List<ExportSession>
+        val sessions: List<ExportSession>,
+        /**
+         * Project aliases and groups of the dashboard; missing in files exported by earlier versions
+         */
+        val projectMappings: List<ExportProjectMapping>? = null
     )
 
     /**
@@ -53,6 +60,16 @@ object DataExportImportService {
         val lastModified: String
     )
 
+    /**
+     * Project alias and group for export, see [DashboardSettings.ProjectMappingEntry];
+     * a blank alias or group may also be left out of the file
+     */
+    data class ExportProjectMapping(
+        val project: String,
+        val alias: String?,
+        val group: String?
+    )
+
     /**
      * Exports all coding sessions to a JSON file
      *
@@ -84,7 +101,10 @@ object DataExportImportService {
             val exportData = ExportData(
                 exportTime = LocalDateTime.now().format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                 totalSessions = exportSessions.size,
-                sessions = exportSessions
+                sessions = exportSessions,
+                projectMappings = DashboardSettings.getInstance().state.projectMappings.map { entry ->
+                    ExportProjectMapping(entry.project, entry.alias, entry.group)
+                }
             )
 
             // Write to file
@@ -100,7 +120,8 @@ object DataExportImportService {
 
     /**
      * Imports coding sessions from a JSON file.
-     * Only imports sessions that don't already exist (based on sessionUuid).
+     * Only imports sessions that don't already exist (based on sessionUuid),
+     * and only the project aliases and groups of projects that are not mapped yet.
      *
      * @param sourceFile The file to import from
      * @return ImportResult containing statistics
@@ -157,6 +178,8 @@ object DataExportImportService {
                 importedCount = result
             }
 
+            val importedMappings = importProjectMappings(exportData.projectMappings.orEmpty())
+
             log.info("Import completed: $importedCount imported, $skippedCount skipped from ${exportData.totalSessions} total")
 
             ImportResult(
@@ -164,7 +187,8 @@ object DataExportImportService {
                 totalInFile = exportData.totalSessions,
                 imported = importedCount,
                 skipped = skippedCount,
-                failed = 0
+                failed = 0,
+                importedMappings = importedMappings
             )
         } catch (e: Exception) {
             log.error("Failed to import data", e)
@@ -179,6 +203,29 @@ object DataExportImportService {
         }
     }
 
+    /**
+     * Adds the project aliases and groups of an import to the dashboard settings,
+     * keeping the existing mapping of a project that is already mapped.
+     *
+     * @return Number of mappings added
+     */
+    private fun importProjectMappings(mappings: List<ExportProjectMapping>): Int {
+        val settings = DashboardSettings.getInstance().state
+        val mapped = settings.projectMappings.map { it.project }.toMutableSet()
+        val added = mappings
+            .filter { it.project.isNotBlank() && mapped.add(it.project) }
+            .map { DashboardSettings.ProjectMappingEntry(it.project, it.alias.orEmpty(), it.group.orEmpty()) }
+        if (added.isEmpty()) {
+            return 0
+        }
+
+        settings.projectMappings = (settings.projectMappings + added).toMutableList()
+        ApplicationManager.getApplication().messageBus
+            .syncPublisher(TimeTrackerTopics.DASHBOARD_SETTINGS_TOPIC)
+            .onSettingsChanged(settings)
+        return added.size
+    }
+
     /**
      * Result of import operation
      */
@@ -188,6 +235,7 @@ object DataExportImportService {
         val imported: Int,
         val skipped: Int,
         val failed: Int,
-        val errorMessage: String? = null
+        val errorMessage: String? = null,
+        val importedMappings: Int = 0
     )
 }
\ No newline at end of file
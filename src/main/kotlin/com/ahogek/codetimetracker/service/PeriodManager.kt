@@ -1,6 +1,8 @@
 package com.ahogek.codetimetracker.service
 
 import com.ahogek.codetimetracker.model.TimePeriod
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.util.TimeRangeUtils
 import com.intellij.openapi.diagnostic.Logger
 import java.time.DayOfWeek
 import java.time.LocalDateTime
@@ -37,7 +39,7 @@ class PeriodManager {
     private fun initializePeriods() {
         val now = LocalDateTime.now()
         periodStartTimes[TimePeriod.TODAY] = now.truncatedTo(ChronoUnit.DAYS)
-        periodStartTimes[TimePeriod.THIS_WEEK] = now.with(DayOfWeek.MONDAY).truncatedTo(ChronoUnit.DAYS)
+        periodStartTimes[TimePeriod.THIS_WEEK] = TimeRangeUtils.getWeekStart(now.toLocalDate(), firstDayOfWeek())
         periodStartTimes[TimePeriod.THIS_MONTH] = now.withDayOfMonth(1).truncatedTo(ChronoUnit.DAYS)
         periodStartTimes[TimePeriod.THIS_YEAR] = now.withDayOfYear(1).truncatedTo(ChronoUnit.DAYS)
 
@@ -85,9 +87,14 @@ class PeriodManager {
         val now = LocalDateTime.now()
         return when (period) {
             TimePeriod.TODAY -> now.truncatedTo(ChronoUnit.DAYS)
-            TimePeriod.THIS_WEEK -> now.with(DayOfWeek.MONDAY).truncatedTo(ChronoUnit.DAYS)
+            TimePeriod.THIS_WEEK -> TimeRangeUtils.getWeekStart(now.toLocalDate(), firstDayOfWeek())
             TimePeriod.THIS_MONTH -> now.withDayOfMonth(1).truncatedTo(ChronoUnit.DAYS)
             TimePeriod.THIS_YEAR -> now.withDayOfYear(1).truncatedTo(ChronoUnit.DAYS)
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * The configured first day of week, so a week reset follows the dashboard's This Week
+     */
+    private fun firstDayOfWeek(): DayOfWeek = DashboardSettings.getInstance().state.firstDayOfWeek
+}
@@ -57,6 +57,20 @@ class TimeTrackerService : Disposable {
         return lastActivityTime.get()
     }
 
+    /**
+     * Whether the user is currently considered active, i.e. tracking has not been paused by idle detection
+     */
+    fun isTracking(): Boolean {
+        return isUserActive.get()
+    }
+
+    /**
+     * Returns a snapshot of the sessions being tracked and not yet persisted, most recently active first
+     */
+    fun getActiveSessions(): List<CodingSession> {
+        return activeSessions.values.flatMap { it.values }.sortedByDescending { it.endTime }
+    }
+
     init {
         log.info("TimeTrackerService initialized on platform: $platform")
 
@@ -271,6 +285,15 @@ class TimeTrackerService : Disposable {
         return uiDisplayTime[period]?.get() ?: 0L
     }
 
+    /**
+     * Get the tracked time of the active sessions that has not been persisted yet
+     *
+     * @return The accumulated time in milliseconds since the sessions were last saved
+     */
+    fun getUnsavedTrackingTime(): Long {
+        return totalSessionTime.get()
+    }
+
     /**
      * Add time to both UI display and total session time
      * Called when tracking activity is detected
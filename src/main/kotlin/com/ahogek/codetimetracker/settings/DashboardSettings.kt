@@ -0,0 +1,265 @@
+package com.ahogek.codetimetracker.settings
+
+import com.ahogek.codetimetracker.model.TimeOfDayBucket
+import com.intellij.openapi.application.ApplicationManager
+import com.intellij.openapi.components.PersistentStateComponent
+import com.intellij.openapi.components.Service
+import com.intellij.openapi.components.State
+import com.intellij.openapi.components.Storage
+import java.time.DayOfWeek
+import java.time.LocalTime
+
+/**
+ * Persistent settings of the statistics dashboard, edited under Settings | Tools | Code Time Tracker.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 14:13:30
+ */
+@Service(Service.Level.APP)
+@State(name = "CodeTimeTrackerDashboardSettings", storages = [Storage("codeTimeTrackerDashboard.xml")])
+class DashboardSettings : PersistentStateComponent<DashboardSettings.State> {
+
+    class State {
+        /**
+         * Minutes between automatic chart refreshes while the tool window is open, 0 disables the timer
+         */
+        var autoRefreshMinutes: Int = 5
+
+        /**
+         * Whether the charts refresh as soon as tracked sessions are saved (e.g. after idle detection)
+         */
+        var refreshOnSessionSave: Boolean = true
+
+        /**
+         * Day weeks start on, for the This Week summary, weekly goals and the week rows of the charts
+         */
+        var firstDayOfWeek: DayOfWeek = DayOfWeek.MONDAY
+
+        /**
+         * Whether chart axes and tooltips show times on a 24-hour clock instead of AM/PM
+         */
+        var use24HourClock: Boolean = true
+
+        /**
+         * Whether the dashboard uses stronger text and borders; the default palette becomes color-blind safe
+         */
+        var highContrast: Boolean = false
+
+        /**
+         * Color palette every chart draws its series with
+         */
+        var chartPalette: ChartPalette = ChartPalette.DEFAULT
+
+        /**
+         * How the activity heatmap and the weekly hour heatmap map coding time to colors
+         */
+        var heatmapScale: HeatmapScale = HeatmapScale.FIXED
+
+        /**
+         * Upper bounds in minutes of the activity heatmap colors for [HeatmapScale.CUSTOM], e.g. "30, 60, 120, 240"
+         */
+        var dailyHeatmapThresholds: String = DEFAULT_DAILY_THRESHOLDS
+
+        /**
+         * Upper bounds in minutes of the weekly hour heatmap colors for [HeatmapScale.CUSTOM]; its cells hold
+         * the average time coded within one hour, so they stay below 60
+         */
+        var hourlyHeatmapThresholds: String = DEFAULT_HOURLY_THRESHOLDS
+
+        /**
+         * Share of the total time, in percent, below which the distribution charts fold an item into "Others"
+         */
+        var othersMinPercent: Double = DEFAULT_OTHERS_MIN_PERCENT
+
+        /**
+         * Most items the distribution charts draw before folding the rest into "Others", 0 for no limit
+         */
+        var othersTopCount: Int = 0
+
+        /**
+         * Daily coding goal in minutes, 0 when no goal is set
+         */
+        var dailyGoalMinutes: Int = 0
+
+        /**
+         * Weekly coding goal in minutes, 0 when no goal is set
+         */
+        var weeklyGoalMinutes: Int = 0
+
+        /**
+         * Minimum coding time in minutes for a day to count toward a streak, 0 to count any activity
+         */
+        var streakMinimumMinutes: Int = 0
+
+        /**
+         * Goals of individual projects, tracked next to the overall goals
+         */
+        var projectGoals: MutableList<ProjectGoal> = mutableListOf()
+
+        /**
+         * Order, visibility and width of the chart cards, empty for the default layout
+         */
+        var cardLayout: MutableList<CardLayout> = mutableListOf()
+
+        /**
+         * Year the activity heatmap shows: empty for the 12 months ending with the selected range,
+         * [HEATMAP_ALL_YEARS] for every recorded year, otherwise the year itself, e.g. "2025"
+         */
+        var heatmapYear: String = ""
+
+        /**
+         * Parts of the day of the time of day distribution, in chart order; empty for the default four
+         */
+        var timeOfDayPeriods: MutableList<TimeOfDayPeriod> = mutableListOf()
+
+        /**
+         * Aliases and groups of recorded project names, applied by every chart of the dashboard
+         */
+        var projectMappings: MutableList<ProjectMappingEntry> = mutableListOf()
+
+        /**
+         * Whether the charts sum projects into their groups instead of showing each project
+         */
+        var groupProjects: Boolean = false
+    }
+
+    /**
+     * Daily and weekly goal of one project, in minutes; 0 leaves that period without a goal.
+     */
+    data class ProjectGoal(
+        var project: String = "",
+        var dailyMinutes: Int = 0,
+        var weeklyMinutes: Int = 0
+    )
+
+    /**
+     * How one recorded project name is shown: under an alias, e.g. the new name of a renamed repository,
+     * and within a group such as "Client A"; a blank alias keeps the recorded name.
+     */
+    data class ProjectMappingEntry(
+        var project: String = "",
+        var alias: String = "",
+        var group: String = ""
+    )
+
+    /**
+     * Color palettes of the charts; the web view knows each one by its name.
+     */
+    enum class ChartPalette(val displayName: String) {
+        DEFAULT("Default"),
+        IDE_ACCENT("IDE accent color"),
+        OKABE_ITO("Okabe-Ito (color-blind safe)"),
+        VIRIDIS("Viridis (color-blind safe)")
+    }
+
+    /**
+     * Color scales of the heatmaps; the web view knows each one by its name.
+     */
+    enum class HeatmapScale(val displayName: String) {
+        FIXED("Fixed steps"),
+        QUANTILE("Quantiles of my own activity"),
+        CUSTOM("Custom thresholds")
+    }
+
+    /**
+     * Placement of one chart card, identified by the chart key of its data provider.
+     */
+    data class CardLayout(
+        var card: String = "",
+        var hidden: Boolean = false,
+        var wide: Boolean = false
+    )
+
+    /**
+     * A part of the day as entered in the settings, with "HH:mm" times and an optional "#rrggbb" color
+     */
+    data class TimeOfDayPeriod(
+        var name: String = "",
+        var start: String = "",
+        var end: String = "",
+        var color: String = ""
+    ) {
+        /**
+         * @return The bucket the distribution sums into, or null when the name is blank or a time or the color
+         *         is invalid
+         */
+        fun toBucket(): TimeOfDayBucket? {
+            val startTime = parseTimeOfDay(start) ?: return null
+            val endTime = parseTimeOfDay(end) ?: return null
+            val valid = name.isNotBlank() && (color.isBlank() || COLOR_PATTERN.matches(color.trim()))
+            return TimeOfDayBucket(name.trim(), startTime, endTime).takeIf { valid }
+        }
+    }
+
+    private var state = State()
+
+    override fun getState(): State = state
+
+    override fun loadState(state: State) {
+        this.state = state
+    }
+
+    companion object {
+        /**
+         * Days the week can start on in the settings
+         */
+        val WEEK_STARTS = listOf(DayOfWeek.SUNDAY, DayOfWeek.MONDAY, DayOfWeek.SATURDAY)
+
+        /**
+         * [State.heatmapYear] of the heatmap drawing one calendar row per recorded year
+         */
+        const val HEATMAP_ALL_YEARS = "all"
+
+        /**
+         * Thresholds of the fixed activity heatmap steps: 5 min, 15 min, 1 h, 3 h and 6 h
+         */
+        const val DEFAULT_DAILY_THRESHOLDS = "5, 15, 60, 180, 360"
+
+        const val DEFAULT_HOURLY_THRESHOLDS = "10, 20, 30, 45"
+
+        const val DEFAULT_OTHERS_MIN_PERCENT = 0.1
+
+        /**
+         * Most thresholds of a custom heatmap scale, so every color stays distinguishable
+         */
+        const val MAX_HEATMAP_THRESHOLDS = 8
+
+        /**
+         * Parses custom heatmap thresholds, minutes separated by commas or spaces.
+         *
+         * @return The thresholds in minutes, or null unless there are 1 to [MAX_HEATMAP_THRESHOLDS]
+         *         positive whole numbers in increasing order
+         */
+        fun parseHeatmapThresholds(text: String): List<Int>? {
+            val thresholds = text.split(',', ' ')
+                .filter { it.isNotBlank() }
+                .map { it.trim().toIntOrNull() ?: return null }
+            val valid = thresholds.size in 1..MAX_HEATMAP_THRESHOLDS &&
+                    thresholds.first() > 0 &&
+                    thresholds.zipWithNext().all { (a, b) -> a < b }
+            return thresholds.takeIf { valid }
+        }
+
+        private val TIME_OF_DAY_PATTERN = Regex("""(\d{1,2}):(\d{2})""")
+
+        private val COLOR_PATTERN = Regex("""#[0-9a-fA-F]{6}""")
+
+        /**
+         * Parses a time of day as "H:mm" or "HH:mm"; "24:00" is midnight, so a period can end at the end of the day.
+         *
+         * @return The time, or null when the text is not a time of day
+         */
+        fun parseTimeOfDay(text: String): LocalTime? {
+            val match = TIME_OF_DAY_PATTERN.matchEntire(text.trim()) ?: return null
+            val (hour, minute) = match.destructured.toList().map { it.toInt() }
+            return when {
+                hour == 24 && minute == 0 -> LocalTime.MIDNIGHT
+                hour < 24 && minute < 60 -> LocalTime.of(hour, minute)
+                else -> null
+            }
+        }
+
+        fun getInstance(): DashboardSettings =
+            ApplicationManager.getApplication().getService(DashboardSettings::class.java)
+    }
+}
@@ -0,0 +1,264 @@
+package com.ahogek.codetimetracker.settings
+
+import com.ahogek.codetimetracker.topics.TimeTrackerTopics
+import com.intellij.openapi.application.ApplicationManager
+import com.intellij.openapi.options.BoundConfigurable
+import com.intellij.openapi.ui.ComboBox
+import com.intellij.openapi.ui.DialogPanel
+import com.intellij.ui.ToolbarDecorator
+import com.intellij.ui.dsl.builder.Align
+import com.intellij.ui.dsl.builder.COLUMNS_MEDIUM
+import com.intellij.ui.dsl.builder.LabelPosition
+import com.intellij.ui.dsl.builder.Row
+import com.intellij.ui.dsl.builder.bindIntValue
+import com.intellij.ui.dsl.builder.bindItem
+import com.intellij.ui.dsl.builder.bindSelected
+import com.intellij.ui.dsl.builder.bindText
+import com.intellij.ui.dsl.builder.bindValue
+import com.intellij.ui.dsl.builder.columns
+import com.intellij.ui.dsl.builder.panel
+import com.intellij.ui.dsl.builder.toNullableProperty
+import com.intellij.ui.dsl.listCellRenderer.textListCellRenderer
+import com.intellij.ui.layout.selectedValueIs
+import com.intellij.ui.table.TableView
+import com.intellij.util.ui.ColumnInfo
+import com.intellij.util.ui.ListTableModel
+import java.time.format.TextStyle
+import java.util.*
+import kotlin.reflect.KMutableProperty0
+import kotlin.reflect.KMutableProperty1
+
+/**
+ * Settings page of the statistics dashboard.
+ * Applying it notifies open dashboards through [TimeTrackerTopics.DASHBOARD_SETTINGS_TOPIC].
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 14:14:05
+ */
+class DashboardSettingsConfigurable : BoundConfigurable("Code Time Tracker") {
+
+    private val settings = DashboardSettings.getInstance().state
+
+    private val projectGoalsModel = ListTableModel<DashboardSettings.ProjectGoal>(
+        StringColumn("Project", DashboardSettings.ProjectGoal::project),
+        MinutesColumn("Daily goal (min)", DashboardSettings.ProjectGoal::dailyMinutes),
+        MinutesColumn("Weekly goal (min)", DashboardSettings.ProjectGoal::weeklyMinutes)
+    )
+
+    private val timeOfDayModel = ListTableModel<DashboardSettings.TimeOfDayPeriod>(
+        StringColumn("Name", DashboardSettings.TimeOfDayPeriod::name),
+        StringColumn("Start", DashboardSettings.TimeOfDayPeriod::start),
+        StringColumn("End", DashboardSettings.TimeOfDayPeriod::end),
+        StringColumn("Color", DashboardSettings.TimeOfDayPeriod::color)
+    )
+
+    private val projectMappingsModel = ListTableModel<DashboardSettings.ProjectMappingEntry>(
+        StringColumn("Recorded name", DashboardSettings.ProjectMappingEntry::project),
+        StringColumn("Shown as", DashboardSettings.ProjectMappingEntry::alias),
+        StringColumn("Group", DashboardSettings.ProjectMappingEntry::group)
+    )
+
+    override fun createPanel(): DialogPanel = panel {
+        group("Statistics Dashboard") {
+            row("Auto-refresh every:") {
+                spinner(0..1440).bindIntValue(settings::autoRefreshMinutes)
+                label("minutes")
+            }.rowComment("0 disables the timer; charts still refresh when the tool window is shown.")
+            row {
+                checkBox("Refresh when tracked sessions are saved").bindSelected(settings::refreshOnSessionSave)
+            }
+            row("First day of week:") {
+                comboBox(
+                    DashboardSettings.WEEK_STARTS,
+                    textListCellRenderer { it?.getDisplayName(TextStyle.FULL, Locale.getDefault()) }
+                ).bindItem(settings::firstDayOfWeek.toNullableProperty())
+            }.rowComment("Used by the This Week summary, weekly goals and the weekday rows of the charts.")
+            row {
+                checkBox("Use 24-hour clock in charts").bindSelected(settings::use24HourClock)
+            }
+            row("Chart colors:") {
+                comboBox(DashboardSettings.ChartPalette.entries, textListCellRenderer { it?.displayName })
+                    .bindItem(settings::chartPalette.toNullableProperty())
+            }
+            row {
+                checkBox("Use high-contrast colors").bindSelected(settings::highContrast)
+            }.rowComment("Stronger text and borders; the default chart colors become color-blind safe.")
+            lateinit var scale: ComboBox<DashboardSettings.HeatmapScale>
+            row("Heatmap colors:") {
+                scale = comboBox(DashboardSettings.HeatmapScale.entries, textListCellRenderer { it?.displayName })
+                    .bindItem(settings::heatmapScale.toNullableProperty())
+                    .component
+            }.rowComment("Quantiles give every color the same share of your coding days or hours.")
+            indent {
+                row("Activity heatmap thresholds:") {
+                    thresholdsField(settings::dailyHeatmapThresholds)
+                    label("minutes per day")
+                }
+                row("Weekly heatmap thresholds:") {
+                    thresholdsField(settings::hourlyHeatmapThresholds)
+                    label("minutes per hour")
+                }
+            }.visibleIf(scale.selectedValueIs(DashboardSettings.HeatmapScale.CUSTOM))
+            row("Fold into Others below:") {
+                spinner(0.0..10.0, 0.1).bindValue(settings::othersMinPercent)
+                label("% of the total time")
+            }
+            row("Show at most:") {
+                spinner(0..100).bindIntValue(settings::othersTopCount)
+                label("languages or projects")
+            }.rowComment("Applies to the distribution charts; 0 draws every item above the cutoff.")
+        }
+        group("Goals") {
+            row("Daily goal:") {
+                spinner(0..1440, 15).bindIntValue(settings::dailyGoalMinutes)
+                label("minutes")
+            }
+            row("Weekly goal:") {
+                spinner(0..10080, 60).bindIntValue(settings::weeklyGoalMinutes)
+                label("minutes")
+            }.rowComment("0 disables a goal. Progress is shown on the Today and This Week cards.")
+            row("Streak minimum:") {
+                spinner(0..1440, 5).bindIntValue(settings::streakMinimumMinutes)
+                label("minutes per day")
+            }.rowComment("Days with less coding time break a streak; 0 counts any activity.")
+            row {
+                val table = TableView(projectGoalsModel)
+                val decorator = ToolbarDecorator.createDecorator(table)
+                    .setAddAction {
+                        table.stopEditing()
+                        projectGoalsModel.addRow(DashboardSettings.ProjectGoal())
+                    }
+                    .createPanel()
+                cell(decorator)
+                    .label("Project goals:", LabelPosition.TOP)
+                    .align(Align.FILL)
+                    .onReset { projectGoalsModel.items = settings.projectGoals.map { it.copy() } }
+                    .onIsModified { projectGoalsModel.items != settings.projectGoals }
+                    .onApply {
+                        table.stopEditing()
+                        settings.projectGoals = projectGoalsModel.items
+                            .filter { it.project.isNotBlank() }
+                            .map { it.copy(project = it.project.trim()) }
+                            .toMutableList()
+                    }
+            }.resizableRow()
+        }
+        group("Time of Day") {
+            row {
+                val table = TableView(timeOfDayModel)
+                val decorator = ToolbarDecorator.createDecorator(table)
+                    .setAddAction {
+                        table.stopEditing()
+                        timeOfDayModel.addRow(DashboardSettings.TimeOfDayPeriod(start = "00:00", end = "00:00"))
+                    }
+                    .createPanel()
+                cell(decorator)
+                    .label("Parts of the day:", LabelPosition.TOP)
+                    .align(Align.FILL)
+                    .comment(
+                        "Times as HH:mm, the end excluded; an end before the start wraps past midnight, " +
+                                "e.g. 22:00 to 06:00. Colors as #rrggbb, empty for the chart colors. " +
+                                "Leave the table empty for Morning, Daytime, Evening and Night."
+                    )
+                    .validationOnApply {
+                        table.stopEditing()
+                        val invalid = timeOfDayModel.items.firstOrNull { it.name.isNotBlank() && it.toBucket() == null }
+                        invalid?.let { error("Check the times and the color of \"${it.name}\"") }
+                    }
+                    .onReset { timeOfDayModel.items = settings.timeOfDayPeriods.map { it.copy() } }
+                    .onIsModified { timeOfDayModel.items != settings.timeOfDayPeriods }
+                    .onApply {
+                        table.stopEditing()
+                        settings.timeOfDayPeriods = timeOfDayModel.items
+                            .filter { it.name.isNotBlank() }
+                            .map { it.copy(name = it.name.trim(), start = it.start.trim(), end = it.end.trim()) }
+                            .toMutableList()
+                    }
+            }.resizableRow()
+        }
+        group("Projects") {
+            row {
+                checkBox("Sum projects into their groups").bindSelected(settings::groupProjects)
+            }.rowComment("Can also be switched in the dashboard; projects without a group are shown on their own.")
+            row {
+                val table = TableView(projectMappingsModel)
+                val decorator = ToolbarDecorator.createDecorator(table)
+                    .setAddAction {
+                        table.stopEditing()
+                        projectMappingsModel.addRow(DashboardSettings.ProjectMappingEntry())
+                    }
+                    .createPanel()
+                cell(decorator)
+                    .label("Aliases and groups:", LabelPosition.TOP)
+                    .align(Align.FILL)
+                    .comment(
+                        "Give renamed repositories, clones and sub-projects the same name to merge them into " +
+                                "one project. Leave a name empty to keep the recorded one."
+                    )
+                    .validationOnApply {
+                        table.stopEditing()
+                        val duplicate = projectMappingsModel.items.map { it.project.trim() }
+                            .filter { it.isNotBlank() }
+                            .groupingBy { it }.eachCount()
+                            .entries.firstOrNull { it.value > 1 }
+                        duplicate?.let { error("\"${it.key}\" is listed more than once") }
+                    }
+                    .onReset { projectMappingsModel.items = settings.projectMappings.map { it.copy() } }
+                    .onIsModified { projectMappingsModel.items != settings.projectMappings }
+                    .onApply {
+                        table.stopEditing()
+                        settings.projectMappings = projectMappingsModel.items
+                            .filter { it.project.isNotBlank() && (it.alias.isNotBlank() || it.group.isNotBlank()) }
+                            .map { entry ->
+                                entry.copy(
+                                    project = entry.project.trim(),
+                                    alias = entry.alias.trim(),
+                                    group = entry.group.trim()
+                                )
+                            }
+                            .toMutableList()
+                    }
+            }.resizableRow()
+        }
+    }
+
+    private fun Row.thresholdsField(property: KMutableProperty0<String>) {
+        textField()
+            .columns(COLUMNS_MEDIUM)
+            .bindText(property)
+            .validationOnInput { field ->
+                if (DashboardSettings.parseHeatmapThresholds(field.text) == null) {
+                    val max = DashboardSettings.MAX_HEATMAP_THRESHOLDS
+                    error("Enter 1 to $max increasing whole numbers of minutes, e.g. 30, 60, 120")
+                } else {
+                    null
+                }
+            }
+    }
+
+    override fun apply() {
+        super.apply()
+        ApplicationManager.getApplication().messageBus
+            .syncPublisher(TimeTrackerTopics.DASHBOARD_SETTINGS_TOPIC)
+            .onSettingsChanged(settings)
+    }
+
+    private class StringColumn<T>(
+        name: String,
+        private val property: KMutableProperty1<T, String>
+    ) : ColumnInfo<T, String>(name) {
+        override fun valueOf(item: T): String = property.get(item)
+        override fun isCellEditable(item: T): Boolean = true
+        override fun setValue(item: T, value: String?) = property.set(item, value.orEmpty())
+    }
+
+    private class MinutesColumn<T>(
+        name: String,
+        private val property: KMutableProperty1<T, Int>
+    ) : ColumnInfo<T, Int>(name) {
+        override fun valueOf(item: T): Int = property.get(item)
+        override fun getColumnClass(): Class<*> = Int::class.javaObjectType
+        override fun isCellEditable(item: T): Boolean = true
+        override fun setValue(item: T, value: Int?) = property.set(item, (value ?: 0).coerceAtLeast(0))
+    }
+}
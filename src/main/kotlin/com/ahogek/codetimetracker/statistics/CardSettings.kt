@@ -0,0 +1,61 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.google.gson.Gson
+import com.google.gson.JsonObject
+
+/**
+ * Settings that only a few charts read, so applying them refreshes those charts instead of the whole dashboard.
+ *
+ * The settings are changed in place before they are published, so the dashboard keeps a [snapshot]
+ * of the previous ones to find out what changed.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 23:12:08
+ */
+object CardSettings {
+
+    /**
+     * Chart keys of the charts reading each setting, by [DashboardSettings.State] property name.
+     * The heatmap marks the days meeting the daily goal, so it is refreshed after the goals.
+     */
+    private val CHART_KEYS = mapOf(
+        "heatmapYear" to listOf("yearlyActivity"),
+        "streakMinimumMinutes" to listOf("yearlyActivity"),
+        "timeOfDayPeriods" to listOf("timeOfDayDistribution"),
+        "dailyGoalMinutes" to listOf("goals", "yearlyActivity"),
+        "weeklyGoalMinutes" to listOf("goals"),
+        "projectGoals" to listOf("goals")
+    )
+
+    /**
+     * Settings changing the names projects are shown under, see [ProjectMapping]
+     */
+    private val PROJECT_NAME_SETTINGS = listOf("projectMappings", "groupProjects")
+
+    private val gson = Gson()
+
+    /**
+     * A copy of the settings that later changes to them do not affect.
+     */
+    fun snapshot(settings: DashboardSettings.State): JsonObject = gson.toJsonTree(settings).asJsonObject
+
+    /**
+     * @return The chart keys to refresh in order, empty when nothing changed,
+     * or null when a setting read by the whole dashboard changed
+     */
+    fun affectedCharts(previous: JsonObject, current: JsonObject): Set<String>? {
+        val changed = (previous.keySet() + current.keySet()).filter { previous.get(it) != current.get(it) }
+        if (changed.any { it !in CHART_KEYS }) {
+            return null
+        }
+        // Goals first, since other charts render from them
+        return changed.flatMap { CHART_KEYS.getValue(it) }.sortedBy { it != "goals" }.toSet()
+    }
+
+    /**
+     * Whether projects are shown under other names, so a filter on shown project names no longer applies.
+     */
+    fun projectNamesChanged(previous: JsonObject, current: JsonObject): Boolean =
+        PROJECT_NAME_SETTINGS.any { previous.get(it) != current.get(it) }
+}
@@ -1,5 +1,6 @@
 package com.ahogek.codetimetracker.statistics
 
+import com.ahogek.codetimetracker.model.SessionFilter
 import java.time.LocalDateTime
 
 /**
@@ -14,11 +15,16 @@ interface ChartDataProvider {
     /**
      * Prepares the data for a specific chart type.
      *
-     * @param startTime The start of the time range.
-     * @param endTime The end of the time range.
+     * @param startTime The start of the time range (inclusive), or null for no lower bound.
+     * @param endTime The end of the time range (exclusive), or null for no upper bound.
+     * @param filter The dashboard cross-filter (selected projects, languages) to restrict the sessions to.
      * @return A map containing the prepared data for the chart.
      */
-    fun prepareData(startTime: LocalDateTime? = null, endTime: LocalDateTime? = null): Map<String, Any>
+    fun prepareData(
+        startTime: LocalDateTime? = null,
+        endTime: LocalDateTime? = null,
+        filter: SessionFilter = SessionFilter.NONE
+    ): Map<String, Any>
 
     /**
      * Returns the identifier for this chart type.
@@ -27,8 +33,18 @@ interface ChartDataProvider {
     fun getChartKey(): String
 
     /**
-     * Indicates whether this chart requires a time range.
-     * @return true if the chart needs startTime/endTime, false if it uses all data
+     * Indicates whether this chart requires a bounded time range.
+     * When the dashboard range is open (e.g. "All time"), such charts receive a range
+     * spanning from the first recorded day up to now instead of null boundaries.
+     * @return true if the chart needs non-null startTime/endTime, false if it accepts open ranges
      */
     fun requiresTimeRange(): Boolean = true
+
+    /**
+     * Indicates whether this chart can overlay the previous period in the dashboard's compare mode.
+     * Such charts are queried a second time with the previous range, and that data is sent
+     * under the "previous" key of their own data.
+     * @return true if the chart renders a comparison series
+     */
+    fun supportsComparison(): Boolean = false
 }
\ No newline at end of file
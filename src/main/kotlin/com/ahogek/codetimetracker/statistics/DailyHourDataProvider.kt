@@ -1,6 +1,7 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
 import java.time.LocalDateTime
 
 /**
@@ -10,8 +11,12 @@ import java.time.LocalDateTime
  * @since 2025-10-10 09:16:45
  */
 class DailyHourDataProvider : ChartDataProvider {
-    override fun prepareData(startTime: LocalDateTime?, endTime: LocalDateTime?): Map<String, Any> {
-        val distribution = DatabaseManager.getDailyHourDistribution()
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        val distribution = DatabaseManager.getDailyHourDistribution(startTime, endTime, filter)
 
         val chartData = distribution.map {
             mapOf(
@@ -0,0 +1,51 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.settings.DashboardSettings.CardLayout
+
+/**
+ * Layout of the chart cards of the statistics dashboard: their order, which are hidden and which span the full width.
+ *
+ * Cards are identified by the [ChartDataProvider.getChartKey] of the provider they show,
+ * so a hidden card also tells the dashboard which provider not to query.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 18:02:44
+ */
+object DashboardLayout {
+
+    /**
+     * Chart cards in their default order; the summary cards and goals are not part of the layout.
+     */
+    val CARDS = listOf(
+        "timeOfDayDistribution",
+        "yearlyActivity",
+        "recentActivity",
+        "hourlyHeatmap",
+        "overallHourly",
+        "languageDistribution",
+        "languageTrend",
+        "projectDistribution",
+        "projectTimeline",
+        "ideDistribution",
+        "platformDistribution",
+        "ideLanguage"
+    )
+
+    /**
+     * Completes a saved layout: unknown and duplicate cards are dropped,
+     * cards missing from it (e.g. added by a newer version) are appended, shown at their default width.
+     *
+     * @param saved The saved layout, empty for the default one
+     * @return Every card exactly once, in display order
+     */
+    fun resolve(saved: List<CardLayout>): List<CardLayout> {
+        val known = saved.filter { it.card in CARDS }.distinctBy { it.card }
+        val missing = CARDS.filter { card -> known.none { it.card == card } }.map { CardLayout(it) }
+        return known.map { it.copy() } + missing
+    }
+
+    /**
+     * Chart keys of the cards a layout hides.
+     */
+    fun hiddenCards(layout: List<CardLayout>): Set<String> = layout.filter { it.hidden }.map { it.card }.toSet()
+}
@@ -0,0 +1,101 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.util.TimeRangeUtils
+import java.time.Duration
+import java.time.LocalDate
+import java.time.LocalDateTime
+
+/**
+ * Date range presets offered by the range picker at the top of the statistics dashboard.
+ *
+ * Every preset resolves to a half-open range [start, end) built with [TimeRangeUtils],
+ * so the boundaries line up with the summary cards and the status bar widget.
+ * Presets that describe the "current" period (e.g. THIS_MONTH) end at the end of today
+ * instead of the end of the period, so charts never render empty future days.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 09:12:37
+ */
+enum class DateRangePreset {
+    LAST_7_DAYS,
+    LAST_30_DAYS,
+    THIS_MONTH,
+    LAST_QUARTER,
+    THIS_YEAR,
+    LAST_12_MONTHS,
+    ALL_TIME,
+    CUSTOM;
+
+    /**
+     * Resolves this preset to concrete boundaries.
+     *
+     * @param today The reference date (defaults to today)
+     * @param customStart First day of a CUSTOM range (inclusive), ignored by other presets
+     * @param customEnd Last day of a CUSTOM range (inclusive), ignored by other presets
+     * @return The resolved range; ALL_TIME yields an open range with null boundaries
+     * @throws IllegalArgumentException if a CUSTOM range is incomplete or reversed
+     */
+    fun resolve(
+        today: LocalDate = LocalDate.now(),
+        customStart: LocalDate? = null,
+        customEnd: LocalDate? = null
+    ): DateRange {
+        val endOfToday = TimeRangeUtils.getDayEnd(today)
+        return when (this) {
+            LAST_7_DAYS -> DateRange(TimeRangeUtils.getDayStart(today.minusDays(6)), endOfToday)
+            LAST_30_DAYS -> DateRange(TimeRangeUtils.getDayStart(today.minusDays(29)), endOfToday)
+            THIS_MONTH -> DateRange(TimeRangeUtils.getMonthStart(today), endOfToday)
+            LAST_QUARTER -> {
+                val thisQuarterStart = TimeRangeUtils.getQuarterStart(today)
+                DateRange(thisQuarterStart.minusMonths(3), thisQuarterStart)
+            }
+
+            THIS_YEAR -> DateRange(TimeRangeUtils.getYearStart(today), endOfToday)
+            LAST_12_MONTHS -> DateRange(TimeRangeUtils.getDayStart(today.minusYears(1).plusDays(1)), endOfToday)
+            ALL_TIME -> DateRange(null, null)
+            CUSTOM -> {
+                require(customStart != null && customEnd != null) {
+                    "A custom range requires both a start and an end date"
+                }
+                require(!customStart.isAfter(customEnd)) { "Start date must be before end date" }
+                DateRange(TimeRangeUtils.getDayStart(customStart), TimeRangeUtils.getDayEnd(customEnd))
+            }
+        }
+    }
+
+    /**
+     * Returns the period preceding a range resolved from this preset, compared against in the dashboard's compare mode.
+     * Calendar presets step back by their unit, so THIS_MONTH is compared with the same days of the previous month;
+     * the other presets step back by the length of the range.
+     * The last included day is stepped back rather than the exclusive end, so a month without that day
+     * (e.g. February on March 30th) is compared up to its own last day.
+     *
+     * @param range A range resolved from this preset
+     * @return The previous range, or null when the range is open
+     */
+    fun previous(range: DateRange): DateRange? {
+        val start = range.start ?: return null
+        val end = range.end ?: return null
+        return when (this) {
+            THIS_MONTH -> DateRange(start.minusMonths(1), end.minusDays(1).minusMonths(1).plusDays(1))
+            LAST_QUARTER -> DateRange(start.minusMonths(3), start)
+            THIS_YEAR -> DateRange(start.minusYears(1), end.minusDays(1).minusYears(1).plusDays(1))
+            else -> DateRange(start.minus(Duration.between(start, end)), start)
+        }
+    }
+
+    companion object {
+        fun fromString(name: String?): DateRangePreset = entries.find { it.name == name } ?: ALL_TIME
+    }
+}
+
+/**
+ * A half-open time range [start, end) selected in the dashboard.
+ *
+ * @property start Inclusive start, or null when the range is open towards the past
+ * @property end Exclusive end, or null when the range is open towards the future
+ */
+data class DateRange(
+    val start: LocalDateTime?,
+    val end: LocalDateTime?
+)
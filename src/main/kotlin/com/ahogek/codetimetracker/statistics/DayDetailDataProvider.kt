@@ -0,0 +1,72 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.CodingSession
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.util.TimeRangeUtils
+import java.time.Duration
+import java.time.LocalDate
+import java.time.LocalDateTime
+import java.time.format.DateTimeFormatter
+
+/**
+ * Provides the individual sessions of a single day for the day-detail panel,
+ * opened by clicking a day in the yearly heatmap or the daily activity chart.
+ *
+ * Unlike the [ChartDataProvider]s this data is not part of the dashboard payload;
+ * it is fetched on demand through the web view bridge.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 13:02:19
+ */
+class DayDetailDataProvider {
+
+    /**
+     * Prepares the session timeline and per-project totals of a day.
+     * Sessions crossing midnight are clipped to the day.
+     *
+     * @param date The day to describe
+     * @param filter The dashboard cross-filter, so the panel matches the clicked value
+     * @return A map with the chronological sessions, the per-project totals and the day total
+     */
+    fun prepareData(date: LocalDate, filter: SessionFilter = SessionFilter.NONE): Map<String, Any> {
+        val dayStart = TimeRangeUtils.getDayStart(date)
+        val dayEnd = TimeRangeUtils.getDayEnd(date)
+
+        val sessions = DatabaseManager.getSessions(dayStart, dayEnd, filter)
+            .map { it.copy(startTime = maxOf(it.startTime, dayStart), endTime = minOf(it.endTime, dayEnd)) }
+            .filter { it.startTime.isBefore(it.endTime) }
+            .sortedBy { it.startTime }
+
+        val mapping = ProjectMapping.current()
+        val sessionData = sessions.map { session ->
+            mapOf(
+                "project" to mapping.shownName(session.projectName),
+                "language" to session.language,
+                "ide" to session.ideName,
+                "start" to session.startTime.withNano(0).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
+                "end" to session.endTime.withNano(0).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
+                "seconds" to Duration.between(session.startTime, session.endTime).toSeconds()
+            )
+        }
+
+        // Sessions of the same project in several IDE windows overlap, so totals are merged, not summed
+        val projectTotals = sessions.groupBy { mapping.shownName(it.projectName) }
+            .map { (project, projectSessions) ->
+                project to TimeRangeUtils.calculateMergedDuration(projectSessions.toIntervals()).toSeconds()
+            }
+            .sortedByDescending { it.second }
+            .map { (project, seconds) -> mapOf("project" to project, "seconds" to seconds) }
+
+        return mapOf(
+            "date" to date.toString(),
+            "sessions" to sessionData,
+            "projects" to projectTotals,
+            "totalSeconds" to TimeRangeUtils.calculateMergedDuration(sessions.toIntervals()).toSeconds()
+        )
+    }
+
+    private fun List<CodingSession>.toIntervals(): List<Pair<LocalDateTime, LocalDateTime>> {
+        return map { it.startTime to it.endTime }
+    }
+}
@@ -0,0 +1,92 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.CodingStreaks
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.util.TimeRangeUtils
+import java.time.Duration
+import java.time.LocalDate
+import java.time.LocalDateTime
+
+/**
+ * Provides the configured daily and weekly goals and the progress towards them.
+ *
+ * The overall goals are compared with the summary cards in the web view, so only their targets are sent.
+ * Project goals carry their own progress, computed without the project cross-filter
+ * so every goal stays visible while other projects are selected.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 15:02:44
+ */
+class GoalsDataProvider : ChartDataProvider {
+
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        require(startTime != null && endTime != null) {
+            "GoalsDataProvider requires both startTime and endTime"
+        }
+
+        val settings = DashboardSettings.getInstance().state
+        val dailyGoal = Duration.ofMinutes(settings.dailyGoalMinutes.toLong())
+        val weeklyGoal = Duration.ofMinutes(settings.weeklyGoalMinutes.toLong())
+
+        val today = LocalDate.now()
+        val dayStart = TimeRangeUtils.getDayStart(today)
+        val dayEnd = TimeRangeUtils.getDayEnd(today)
+        val weekStart = TimeRangeUtils.getWeekStart(today, settings.firstDayOfWeek)
+        val weekEnd = TimeRangeUtils.getWeekEnd(today, settings.firstDayOfWeek)
+        val projectFilter = filter.without(SessionDimension.PROJECT)
+        val mapping = ProjectMapping.current()
+
+        val projectGoals = settings.projectGoals
+            .filter { it.project.isNotBlank() && (it.dailyMinutes > 0 || it.weeklyMinutes > 0) }
+            .map { goal ->
+                // A goal may name an alias or a group, which counts every project behind it
+                val goalFilter = mapping.expandFilter(projectFilter.only(SessionDimension.PROJECT, goal.project))
+                mapOf(
+                    "project" to goal.project,
+                    "daily" to progress(
+                        goal.dailyMinutes,
+                        DatabaseManager.getCodingTimeForPeriod(dayStart, dayEnd, filter = goalFilter)
+                    ),
+                    "weekly" to progress(
+                        goal.weeklyMinutes,
+                        DatabaseManager.getCodingTimeForPeriod(weekStart, weekEnd, filter = goalFilter)
+                    )
+                )
+            }
+
+        // Goal streaks cover the same range as the coding streaks shown under the heatmap
+        val goalStreaks = if (dailyGoal.isZero) {
+            CodingStreaks(0, 0)
+        } else {
+            DatabaseManager.getGoalStreaks(startTime, endTime, dailyGoal, filter)
+        }
+
+        return mapOf(
+            "daily" to mapOf("goalSeconds" to dailyGoal.toSeconds()),
+            "weekly" to mapOf("goalSeconds" to weeklyGoal.toSeconds()),
+            "projects" to projectGoals,
+            "streaks" to mapOf(
+                "current" to goalStreaks.currentStreak,
+                "max" to goalStreaks.maxStreak
+            )
+        )
+    }
+
+    private fun progress(goalMinutes: Int, codingTime: Duration): Map<String, Long> {
+        return mapOf(
+            "goalSeconds" to goalMinutes * 60L,
+            "seconds" to codingTime.toSeconds()
+        )
+    }
+
+    override fun getChartKey(): String = "goals"
+
+    override fun requiresTimeRange(): Boolean = true
+}
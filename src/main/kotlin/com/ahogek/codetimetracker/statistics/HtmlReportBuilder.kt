@@ -0,0 +1,125 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.model.SessionDimension
+import java.time.LocalDateTime
+import java.time.format.DateTimeFormatter
+
+/**
+ * Builds a standalone HTML report of the statistics dashboard.
+ *
+ * The report is the dashboard page itself with its stylesheet, ECharts and the renderers inlined,
+ * plus a snapshot of the chart payload, so it opens in any browser without the IDE or a network connection.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 16:41:08
+ */
+object HtmlReportBuilder {
+
+    private val GENERATED_AT_FORMAT = DateTimeFormatter.ofPattern("yyyy-MM-dd HH:mm")
+
+    private val SCRIPT_END = Regex("</(script)", RegexOption.IGNORE_CASE)
+
+    /**
+     * Payload keys whose values are project names: the chart data uses "project",
+     * the filter uses the [SessionDimension] name.
+     */
+    private val PROJECT_KEYS = setOf("project", SessionDimension.PROJECT.name)
+
+    /**
+     * Builds the report.
+     *
+     * @param payloadJson The dashboard payload as sent to renderCharts
+     * @param generatedAt When the report is generated, shown in its header
+     * @return The HTML document
+     * @throws IllegalStateException if a web view resource is missing
+     */
+    fun build(payloadJson: String, generatedAt: LocalDateTime): String {
+        val payload = escapeScript(WebViewBridge.toJsString(payloadJson))
+        val generated = WebViewBridge.toJsString(generatedAt.format(GENERATED_AT_FORMAT))
+
+        return readResource("index.html")
+            .inline("<title>Code Time Tracker Statistics</title>", "<title>Code Time Tracker Report</title>")
+            .inline("""<link href="style.css" rel="stylesheet">""", "<style>\n${readResource("style.css")}\n</style>")
+            .inline("""<script src="echarts.min.js"></script>""", inlineScript(readResource("echarts.min.js")))
+            .inline("""<script src="bridge.js"></script>""", inlineScript(readResource("bridge.js")))
+            .inline("""<script src="i18n.js"></script>""", inlineScript(readResource("i18n.js")))
+            .inline(
+                """<script src="main.js"></script>""",
+                inlineScript(readResource("main.js")) + "\n" + inlineScript("renderReport('$payload', '$generated');")
+            )
+    }
+
+    /**
+     * Replaces every project name in a payload with "Project 1", "Project 2", ...
+     * Projects are numbered by their coding time, so the largest project is "Project 1".
+     *
+     * @param payload The dashboard payload
+     * @return A copy of the payload without project names
+     */
+    fun anonymizeProjects(payload: Map<String, Any>): Map<String, Any> {
+        val names = linkedSetOf<String>()
+        // Project distribution is sorted by time, so it decides the numbering
+        ((payload["projectDistribution"] as? Map<*, *>)?.get("data") as? List<*>)?.forEach { usage ->
+            ((usage as? Map<*, *>)?.get("project") as? String)?.let { names.add(it) }
+        }
+        collectProjects(payload, names)
+
+        val aliases = names.withIndex().associate { (index, name) -> name to "Project ${index + 1}" }
+        @Suppress("UNCHECKED_CAST")
+        return replaceProjects(payload, aliases) as Map<String, Any>
+    }
+
+    private fun collectProjects(value: Any?, names: MutableSet<String>) {
+        when (value) {
+            is Map<*, *> -> value.forEach { (key, child) ->
+                if (key in PROJECT_KEYS) {
+                    when (child) {
+                        is String -> names.add(child)
+                        is Iterable<*> -> child.filterIsInstance<String>().forEach { names.add(it) }
+                    }
+                } else {
+                    collectProjects(child, names)
+                }
+            }
+
+            is Iterable<*> -> value.forEach { collectProjects(it, names) }
+        }
+    }
+
+    private fun replaceProjects(value: Any?, aliases: Map<String, String>): Any? {
+        return when (value) {
+            is Map<*, *> -> value.entries.associate { (key, child) ->
+                key to if (key in PROJECT_KEYS) replaceNames(child, aliases) else replaceProjects(child, aliases)
+            }
+
+            is Iterable<*> -> value.map { replaceProjects(it, aliases) }
+            else -> value
+        }
+    }
+
+    private fun replaceNames(value: Any?, aliases: Map<String, String>): Any? {
+        return when (value) {
+            is String -> aliases[value] ?: value
+            is Iterable<*> -> value.map { replaceNames(it, aliases) }
+            else -> value
+        }
+    }
+
+    private fun readResource(name: String): String {
+        val stream = javaClass.classLoader.getResourceAsStream("webview/$name")
+            ?: throw IllegalStateException("Web view resource not found: $name")
+        return stream.use { it.readBytes().toString(Charsets.UTF_8) }
+    }
+
+    private fun String.inline(tag: String, replacement: String): String {
+        check(contains(tag)) { "The dashboard page no longer contains $tag" }
+        return replaceFirst(tag, replacement)
+    }
+
+    private fun inlineScript(script: String): String = "<script>\n${escapeScript(script)}\n</script>"
+
+    /**
+     * Keeps inlined code from closing its script element early; "<\/" means the same in JS strings and regexes.
+     */
+    private fun escapeScript(script: String): String = SCRIPT_END.replace(script, "<\\\\/$1")
+}
@@ -0,0 +1,41 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import java.time.LocalDateTime
+
+/**
+ * Provides the coding time per IDE, e.g. IntelliJ IDEA, PyCharm or WebStorm,
+ * which tells apart the time of imported sessions recorded in other IDEs.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 23:02:15
+ */
+class IdeDistributionDataProvider : ChartDataProvider {
+
+    override fun getChartKey(): String = "ideDistribution"
+
+    override fun requiresTimeRange(): Boolean = false
+
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        // Ignore the IDE filter itself so every IDE stays clickable
+        val ideUsages = DatabaseManager.getDistribution(
+            SessionDimension.IDE, startTime, endTime, filter.without(SessionDimension.IDE)
+        )
+
+        val data = ideUsages.map { usage ->
+            mapOf(
+                "ide" to usage.value,
+                "seconds" to usage.totalDuration.toSeconds(),
+                "sessions" to usage.sessionCount
+            )
+        }
+
+        return mapOf("data" to data)
+    }
+}
@@ -0,0 +1,38 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import java.time.LocalDateTime
+
+/**
+ * Provides the coding time per IDE and language, drawn as one stacked bar per IDE.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 23:07:52
+ */
+class IdeLanguageDataProvider : ChartDataProvider {
+
+    override fun getChartKey(): String = "ideLanguage"
+
+    override fun requiresTimeRange(): Boolean = false
+
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        // Ignore the IDE filter, the bars select it like the slices of the IDE distribution
+        val usages = DatabaseManager.getIdeLanguageUsage(startTime, endTime, filter.without(SessionDimension.IDE))
+
+        val data = usages.map { usage ->
+            mapOf(
+                "ide" to usage.ideName,
+                "language" to usage.language,
+                "seconds" to usage.totalDuration.toSeconds()
+            )
+        }
+
+        return mapOf("data" to data)
+    }
+}
@@ -1,6 +1,8 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
 import java.time.LocalDateTime
 
 /**
@@ -16,13 +18,21 @@ class LanguageDistributionDataProvider : ChartDataProvider {
 
     override fun requiresTimeRange(): Boolean = false
 
-    override fun prepareData(startTime: LocalDateTime?, endTime: LocalDateTime?): Map<String, Any> {
-        val languageUsages = DatabaseManager.getLanguageDistribution(startTime, endTime)
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        // Ignore the language filter itself so every language stays clickable
+        val languageUsages = DatabaseManager.getLanguageDistribution(
+            startTime, endTime, filter.without(SessionDimension.LANGUAGE)
+        )
 
         val data = languageUsages.map { usage ->
             mapOf(
                 "language" to usage.language,
-                "seconds" to usage.totalDuration.toSeconds()
+                "seconds" to usage.totalDuration.toSeconds(),
+                "sessions" to usage.sessionCount
             )
         }
 
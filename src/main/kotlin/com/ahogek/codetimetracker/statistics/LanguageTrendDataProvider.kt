@@ -0,0 +1,98 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.DailyLanguageUsage
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.util.TimeRangeUtils
+import java.time.DayOfWeek
+import java.time.LocalDate
+import java.time.LocalDateTime
+import java.time.temporal.ChronoUnit
+
+/**
+ * Provides the coding time per language over the selected date range, summed per week or per month.
+ * Short ranges are bucketed by week (starting on the configured first day of week), longer ones by month.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 21:12:37
+ */
+class LanguageTrendDataProvider : ChartDataProvider {
+
+    companion object {
+        /**
+         * Longest range, in days, still bucketed by week: about half a year, beyond which monthly points read better.
+         */
+        const val MAX_WEEKLY_RANGE_DAYS = 183L
+
+        /**
+         * Sums the daily usages into buckets and lays them out as one series per language.
+         * Every bucket of the range is listed, so weeks or months without coding time show as zero.
+         *
+         * @param usages The daily usages of the range
+         * @param startDate The first day of the range
+         * @param endDate The last day of the range (inclusive)
+         * @param firstDayOfWeek The day weekly buckets start on
+         * @return The bucket ("week" or "month"), the start dates of the buckets and the series,
+         *         sorted by total coding time, largest first
+         */
+        fun buildTrend(
+            usages: List<DailyLanguageUsage>,
+            startDate: LocalDate,
+            endDate: LocalDate,
+            firstDayOfWeek: DayOfWeek
+        ): Map<String, Any> {
+            val weekly = ChronoUnit.DAYS.between(startDate, endDate) < MAX_WEEKLY_RANGE_DAYS
+            val bucketOf: (LocalDate) -> LocalDate = if (weekly) {
+                { TimeRangeUtils.getWeekStart(it, firstDayOfWeek) }
+            } else {
+                { it.withDayOfMonth(1) }
+            }
+
+            val periods = mutableListOf<LocalDate>()
+            var current = bucketOf(startDate)
+            while (!current.isAfter(endDate)) {
+                periods.add(current)
+                current = if (weekly) current.plusWeeks(1) else current.plusMonths(1)
+            }
+            val periodIndex = periods.withIndex().associate { (index, period) -> period to index }
+
+            val series = mutableMapOf<String, LongArray>()
+            usages.forEach { usage ->
+                val index = periodIndex[bucketOf(usage.date)] ?: return@forEach
+                series.getOrPut(usage.language) { LongArray(periods.size) }[index] += usage.totalDuration.toSeconds()
+            }
+
+            return mapOf(
+                "bucket" to if (weekly) "week" else "month",
+                "periods" to periods.map { it.toString() },
+                "series" to series.entries
+                    .sortedByDescending { it.value.sum() }
+                    .map { (language, seconds) -> mapOf("language" to language, "seconds" to seconds.toList()) }
+            )
+        }
+    }
+
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        require(startTime != null && endTime != null) {
+            "LanguageTrendDataProvider requires both startTime and endTime"
+        }
+
+        val usages = DatabaseManager.getDailyLanguageUsage(startTime, endTime, filter)
+        // The end boundary is exclusive, so a range ending at midnight stops on the previous day
+        return buildTrend(
+            usages,
+            startTime.toLocalDate(),
+            endTime.minusNanos(1).toLocalDate(),
+            DashboardSettings.getInstance().state.firstDayOfWeek
+        )
+    }
+
+    override fun getChartKey(): String = "languageTrend"
+
+    override fun requiresTimeRange(): Boolean = true
+}
@@ -1,18 +1,28 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
 import java.time.LocalDateTime
 
 /**
  * Provides data for the overall hourly distribution chart.
  * Shows typical daily coding patterns aggregated from all historical data.
  *
+ * Data is sent at half-hour resolution; the chart can merge the halves into full hours itself,
+ * so switching the granularity in the dashboard does not need another query.
+ *
  * @author AhogeK ahogek@gmail.com
  * @since 2025-10-10 13:26:58
  */
 class OverallHourlyDataProvider : ChartDataProvider {
-    override fun prepareData(startTime: LocalDateTime?, endTime: LocalDateTime?): Map<String, Any> {
-        val result = DatabaseManager.getOverallHourlyDistributionWithTotalDays(startTime, endTime)
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        val result = DatabaseManager.getOverallHourlyDistributionWithTotalDays(
+            startTime, endTime, filter, halfHour = true
+        )
         val chartData = result.distribution.map {
             mapOf(
                 "hour" to it.hour,
@@ -30,4 +40,6 @@ class OverallHourlyDataProvider : ChartDataProvider {
     override fun getChartKey(): String = "overallHourly"
 
     override fun requiresTimeRange(): Boolean = false
+
+    override fun supportsComparison(): Boolean = true
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import java.time.LocalDateTime
+
+/**
+ * Provides the coding time per operating system, e.g. to compare the machines sessions were imported from.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 23:04:41
+ */
+class PlatformDistributionDataProvider : ChartDataProvider {
+
+    override fun getChartKey(): String = "platformDistribution"
+
+    override fun requiresTimeRange(): Boolean = false
+
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        // Ignore the platform filter itself so every platform stays clickable
+        val platformUsages = DatabaseManager.getDistribution(
+            SessionDimension.PLATFORM, startTime, endTime, filter.without(SessionDimension.PLATFORM)
+        )
+
+        val data = platformUsages.map { usage ->
+            mapOf(
+                "platform" to usage.value,
+                "seconds" to usage.totalDuration.toSeconds(),
+                "sessions" to usage.sessionCount
+            )
+        }
+
+        return mapOf("data" to data)
+    }
+}
@@ -1,6 +1,8 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
 import java.time.LocalDateTime
 
 /**
@@ -16,15 +18,26 @@ class ProjectDistributionDataProvider : ChartDataProvider {
 
     override fun requiresTimeRange(): Boolean = false
 
-    override fun prepareData(startTime: LocalDateTime?, endTime: LocalDateTime?): Map<String, Any> {
-        val projectUsages = DatabaseManager.getProjectDistribution(startTime, endTime)
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        // Ignore the project filter itself so every project stays clickable
+        val projectUsages = DatabaseManager.getProjectDistribution(
+            startTime, endTime, filter.without(SessionDimension.PROJECT)
+        )
 
-        val data = projectUsages.map { usage ->
-            mapOf(
-                "project" to usage.projectName,
-                "seconds" to usage.totalDuration.toSeconds()
-            )
-        }
+        // Aliased and grouped projects are merged into one slice under their shown name
+        val mapping = ProjectMapping.current()
+        val data = projectUsages.groupBy { mapping.shownName(it.projectName) }
+            .map { (project, usages) ->
+                Triple(project, usages.sumOf { it.totalDuration.toSeconds() }, usages.sumOf { it.sessionCount })
+            }
+            .sortedByDescending { it.second }
+            .map { (project, seconds, sessions) ->
+                mapOf("project" to project, "seconds" to seconds, "sessions" to sessions)
+            }
 
         return mapOf("data" to data)
     }
@@ -0,0 +1,86 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.settings.DashboardSettings.ProjectMappingEntry
+
+/**
+ * Maps recorded project names to the names the dashboard shows: the alias of a project,
+ * or its group when the charts sum projects into groups.
+ *
+ * Sessions keep their recorded names in the database, so the charts merge the shown names themselves
+ * and a filter on a shown name is expanded back into every recorded name behind it.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 22:41:37
+ */
+class ProjectMapping(entries: List<ProjectMappingEntry>, val grouped: Boolean) {
+
+    /**
+     * Alias of every mapped recorded name, the name itself when only a group is set
+     */
+    private val aliases: Map<String, String> = entries
+        .filter { it.project.isNotBlank() }
+        .associate { it.project to it.alias.ifBlank { it.project } }
+
+    /**
+     * Group of every alias; the first entry with a group wins when merged projects disagree
+     */
+    private val groups: Map<String, String> = entries
+        .filter { it.project.isNotBlank() && it.group.isNotBlank() }
+        .groupBy { aliases.getValue(it.project) }
+        .mapValues { (_, mapped) -> mapped.first().group }
+
+    fun isEmpty(): Boolean = aliases.isEmpty()
+
+    /**
+     * Whether any project belongs to a group, i.e. whether grouping changes the charts at all.
+     */
+    fun hasGroups(): Boolean = groups.isNotEmpty()
+
+    /**
+     * @return The name a recorded project is shown under
+     */
+    fun shownName(project: String): String {
+        val alias = aliases[project] ?: project
+        return if (grouped) groups[alias] ?: alias else alias
+    }
+
+    /**
+     * Recorded names behind a shown name, whether it is an alias or a group.
+     * The name itself is included unless it was renamed, since unmapped projects are shown as recorded.
+     */
+    fun recordedNames(name: String): Set<String> {
+        val names = mutableSetOf<String>()
+        if (name !in aliases) {
+            names.add(name)
+        }
+        aliases.filter { (_, alias) -> alias == name || groups[alias] == name }.keys.forEach { names.add(it) }
+        // A group can also hold an alias that matches an unmapped recorded name
+        groups.filter { (alias, group) -> group == name && alias !in aliases }.keys.forEach { names.add(it) }
+        return names
+    }
+
+    /**
+     * Replaces the shown project names of a filter with their recorded names, so it can be used in queries.
+     */
+    fun expandFilter(filter: SessionFilter): SessionFilter {
+        val projects = filter.values[SessionDimension.PROJECT]
+        if (projects.isNullOrEmpty() || isEmpty()) {
+            return filter
+        }
+        val recorded = projects.flatMap { recordedNames(it) }.toSet()
+        return SessionFilter(filter.values + (SessionDimension.PROJECT to recorded))
+    }
+
+    companion object {
+        /**
+         * The mapping of the plugin settings.
+         */
+        fun current(): ProjectMapping {
+            val settings = DashboardSettings.getInstance().state
+            return ProjectMapping(settings.projectMappings, settings.groupProjects)
+        }
+    }
+}
@@ -0,0 +1,73 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.CodingSession
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.util.TimeRangeUtils
+import java.time.Duration
+import java.time.LocalDate
+import java.time.LocalDateTime
+import java.time.format.DateTimeFormatter
+
+/**
+ * Provides the sessions of one project within a few days for the project sessions panel,
+ * opened by clicking a bar segment of the project timeline.
+ *
+ * Like the [DayDetailDataProvider] this data is fetched on demand through the web view bridge.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 21:55:03
+ */
+class ProjectSessionsDataProvider {
+
+    /**
+     * Prepares the chronological sessions of a project, clipped to the given days.
+     *
+     * @param project The shown name of the project to list, see [ProjectMapping]
+     * @param startDate The first day (inclusive)
+     * @param endDate The last day (inclusive)
+     * @param filter The dashboard cross-filter; its project selection is replaced by the project
+     * @return A map with the project, the days, the sessions and their merged total
+     */
+    fun prepareData(
+        project: String,
+        startDate: LocalDate,
+        endDate: LocalDate,
+        filter: SessionFilter = SessionFilter.NONE
+    ): Map<String, Any> {
+        require(!endDate.isBefore(startDate)) { "The end date $endDate is before the start date $startDate" }
+        val rangeStart = TimeRangeUtils.getDayStart(startDate)
+        val rangeEnd = TimeRangeUtils.getDayEnd(endDate)
+
+        // The project is a shown name, an alias or a group may stand for several recorded projects
+        val projectFilter = ProjectMapping.current().expandFilter(filter.only(SessionDimension.PROJECT, project))
+        val sessions = DatabaseManager.getSessions(rangeStart, rangeEnd, projectFilter)
+            .map { it.copy(startTime = maxOf(it.startTime, rangeStart), endTime = minOf(it.endTime, rangeEnd)) }
+            .filter { it.startTime.isBefore(it.endTime) }
+            .sortedBy { it.startTime }
+
+        val sessionData = sessions.map { session ->
+            mapOf(
+                "language" to session.language,
+                "ide" to session.ideName,
+                "start" to session.startTime.withNano(0).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
+                "end" to session.endTime.withNano(0).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
+                "seconds" to Duration.between(session.startTime, session.endTime).toSeconds()
+            )
+        }
+
+        return mapOf(
+            "project" to project,
+            "start" to startDate.toString(),
+            "end" to endDate.toString(),
+            "sessions" to sessionData,
+            // Sessions in several IDE windows overlap, so the total is merged, not summed
+            "totalSeconds" to TimeRangeUtils.calculateMergedDuration(sessions.toIntervals()).toSeconds()
+        )
+    }
+
+    private fun List<CodingSession>.toIntervals(): List<Pair<LocalDateTime, LocalDateTime>> {
+        return map { it.startTime to it.endTime }
+    }
+}
@@ -0,0 +1,48 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
+import java.time.LocalDateTime
+
+/**
+ * Provides the coding time per project and day over the selected date range.
+ * The dashboard sums the days into days, weeks or months itself,
+ * so switching the bucket of the timeline does not need another query.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 21:48:16
+ */
+class ProjectTimelineDataProvider : ChartDataProvider {
+
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        require(startTime != null && endTime != null) {
+            "ProjectTimelineDataProvider requires both startTime and endTime"
+        }
+
+        val mapping = ProjectMapping.current()
+        val data = DatabaseManager.getDailyProjectUsage(startTime, endTime, filter)
+            .groupBy { it.date to mapping.shownName(it.projectName) }
+            .map { (key, usages) ->
+                mapOf(
+                    "date" to key.first.toString(),
+                    "project" to key.second,
+                    "seconds" to usages.sumOf { it.totalDuration.toSeconds() }
+                )
+            }
+
+        // The end boundary is exclusive, so a range ending at midnight stops on the previous day
+        return mapOf(
+            "start" to startTime.toLocalDate().toString(),
+            "end" to endTime.minusNanos(1).toLocalDate().toString(),
+            "data" to data
+        )
+    }
+
+    override fun getChartKey(): String = "projectTimeline"
+
+    override fun requiresTimeRange(): Boolean = true
+}
@@ -1,11 +1,12 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
 import java.time.LocalDateTime
 import java.time.format.DateTimeFormatter
 
 /**
- * Provides coding activity data for the last 30 days.
+ * Provides daily coding activity for the selected date range.
  * Displays a trend line of daily coding time.
  *
  * @author AhogeK ahogek@gmail.com
@@ -14,20 +15,22 @@ import java.time.format.DateTimeFormatter
 class RecentActivityDataProvider : ChartDataProvider {
     override fun prepareData(
         startTime: LocalDateTime?,
-        endTime: LocalDateTime?
+        endTime: LocalDateTime?,
+        filter: SessionFilter
     ): Map<String, Any> {
-        // Force the range to the last 30 days (inclusive of today)
-        val end = LocalDateTime.now()
-        val start = end.minusDays(29).withHour(0).withMinute(0).withSecond(0)
+        require(startTime != null && endTime != null) {
+            "RecentActivityDataProvider requires both startTime and endTime"
+        }
 
         // Reuse the existing daily calculation logic (SQL) from DatabaseManager
-        val dailySummaries = DatabaseManager.getDailyCodingTimeForHeatmap(start, end)
+        val dailySummaries = DatabaseManager.getDailyCodingTimeForHeatmap(startTime, endTime, filter)
         val dataMap = dailySummaries.associate { it.date to it.totalDuration.toSeconds() }
 
-        // Fill in missing days with 0 to ensure a continuous X-axis
+        // Fill in missing days with 0 to ensure a continuous X-axis.
+        // The end boundary is exclusive, so a range ending at midnight stops on the previous day.
         val chartData = mutableListOf<Map<String, Any>>()
-        var current = start.toLocalDate()
-        val endDate = end.toLocalDate()
+        var current = startTime.toLocalDate()
+        val endDate = endTime.minusNanos(1).toLocalDate()
         val dateFormatter = DateTimeFormatter.ofPattern("MM-dd")
 
         while (!current.isAfter(endDate)) {
@@ -50,6 +53,7 @@ class RecentActivityDataProvider : ChartDataProvider {
 
     override fun getChartKey(): String = "recentActivity"
 
-    // This chart ignores the global time range picker and always shows the last 30 days
-    override fun requiresTimeRange(): Boolean = false
-}
\ No newline at end of file
+    override fun requiresTimeRange(): Boolean = true
+
+    override fun supportsComparison(): Boolean = true
+}
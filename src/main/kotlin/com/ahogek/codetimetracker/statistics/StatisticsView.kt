@@ -2,21 +2,44 @@ package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.action.ExportDataAction
 import com.ahogek.codetimetracker.action.ImportDataAction
+import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.listeners.DashboardSettingsListener
+import com.ahogek.codetimetracker.listeners.SessionsSavedListener
+import com.ahogek.codetimetracker.listeners.TimeTrackerListener
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.model.TimePeriod
+import com.ahogek.codetimetracker.service.TimeTrackerService
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.topics.TimeTrackerTopics
+import com.ahogek.codetimetracker.ui.ExportDialog
+import com.ahogek.codetimetracker.util.TimeRangeUtils
 import com.google.gson.Gson
 import com.google.gson.GsonBuilder
+import com.intellij.DynamicBundle
 import com.intellij.icons.AllIcons
 import com.intellij.ide.BrowserUtil
+import com.intellij.ide.ui.LafManagerListener
 import com.intellij.openapi.Disposable
 import com.intellij.openapi.actionSystem.ActionManager
 import com.intellij.openapi.actionSystem.AnAction
 import com.intellij.openapi.actionSystem.AnActionEvent
 import com.intellij.openapi.actionSystem.DefaultActionGroup
+import com.intellij.openapi.application.ApplicationManager
+import com.intellij.openapi.fileChooser.FileChooserFactory
+import com.intellij.openapi.fileChooser.FileSaverDescriptor
+import com.intellij.openapi.progress.ProgressIndicator
+import com.intellij.openapi.progress.ProgressManager
+import com.intellij.openapi.progress.Task
+import com.intellij.openapi.project.Project
+import com.intellij.openapi.ui.Messages
 import com.intellij.openapi.util.Disposer
 import com.intellij.ui.JBColor
 import com.intellij.ui.jcef.JBCefApp
 import com.intellij.ui.jcef.JBCefBrowser
 import com.intellij.ui.jcef.JBCefClient
 import com.intellij.ui.jcef.utils.JBCefStreamResourceHandler
+import com.intellij.util.ui.JBUI
 import com.intellij.util.ui.UIUtil
 import org.cef.browser.CefBrowser
 import org.cef.browser.CefFrame
@@ -25,8 +48,16 @@ import org.cef.misc.BoolRef
 import org.cef.network.CefRequest
 import java.awt.BorderLayout
 import java.awt.Color
+import java.io.File
 import java.time.Duration
+import java.time.LocalDate
 import java.time.LocalDateTime
+import java.time.temporal.ChronoUnit
+import java.util.*
+import java.util.concurrent.Executors
+import java.util.concurrent.ScheduledExecutorService
+import java.util.concurrent.ScheduledFuture
+import java.util.concurrent.TimeUnit
 import javax.swing.JComponent
 import javax.swing.JPanel
 
@@ -39,29 +70,87 @@ import javax.swing.JPanel
  */
 class StatisticsView : JPanel(BorderLayout()), Disposable {
 
+    companion object {
+        /**
+         * How often the current-session banner is re-synced with the tracker; the web view ticks in between
+         */
+        private const val LIVE_STATUS_INTERVAL_SECONDS = 5L
+
+        /**
+         * Charts showing project names, the only ones changed by grouping projects while no project is filtered
+         */
+        private val PROJECT_CHARTS = listOf("projectDistribution", "projectTimeline", "goals")
+    }
+
     private val jbCefClient: JBCefClient = JBCefApp.getInstance().createClient()
     private val browser: JBCefBrowser
+    private val bridge: WebViewBridge
     private val virtualDomain = "http://myapp.local/"
 
     @Volatile
     private var isBrowserLoaded = false
     private val pendingCalls = mutableListOf<() -> Unit>()
 
+    /**
+     * Date range currently selected in the dashboard's range picker.
+     * Relative presets are re-resolved on every refresh so "Last 7 days" keeps moving with the clock.
+     */
+    @Volatile
+    private var selectedPreset = DateRangePreset.ALL_TIME
+
+    @Volatile
+    private var customStart: LocalDate? = null
+
+    @Volatile
+    private var customEnd: LocalDate? = null
+
+    /**
+     * Cross-filter set by clicking project/language slices, shown as removable chips in the dashboard.
+     */
+    @Volatile
+    private var filter = SessionFilter.NONE
+
+    /**
+     * Compare mode, in which charts supporting it overlay the previous period of the selected range.
+     */
+    @Volatile
+    private var compare = false
+
+    /**
+     * The settings as last applied, to refresh only the affected charts when settings read by a few charts change.
+     */
+    @Volatile
+    private var settingsSnapshot = CardSettings.snapshot(DashboardSettings.getInstance().state)
+
     private val gson: Gson = GsonBuilder()
         .registerTypeAdapter(Duration::class.java, DurationAdapter())
         .create()
 
     private val dataProvides: List<ChartDataProvider> = listOf(
         SummaryDataProvider(),
+        GoalsDataProvider(),
         YearlyActivityDataProvider(),
         RecentActivityDataProvider(),
         DailyHourDataProvider(),
         OverallHourlyDataProvider(),
         LanguageDistributionDataProvider(),
+        LanguageTrendDataProvider(),
         ProjectDistributionDataProvider(),
-        TimeOfDayDistributionDataProvider()
+        ProjectTimelineDataProvider(),
+        TimeOfDayDistributionDataProvider(),
+        IdeDistributionDataProvider(),
+        PlatformDistributionDataProvider(),
+        IdeLanguageDataProvider()
     )
 
+    private val dayDetailDataProvider = DayDetailDataProvider()
+
+    private val projectSessionsDataProvider = ProjectSessionsDataProvider()
+
+    private val timeTrackerService = ApplicationManager.getApplication().getService(TimeTrackerService::class.java)
+    private val scheduler: ScheduledExecutorService = Executors.newSingleThreadScheduledExecutor()
+    private var autoRefreshTask: ScheduledFuture<*>? = null
+
     init {
         // Setup Toolbar (Updated with Import/Export)
         val actionToolbar = createToolBar(this)
@@ -115,6 +204,9 @@ class StatisticsView : JPanel(BorderLayout()), Disposable {
         // Add handler AFTER browser creation
         jbCefClient.addRequestHandler(requestHandler, browser.cefBrowser)
 
+        bridge = WebViewBridge(browser, gson, this)
+        registerBridgeHandlers()
+
         jbCefClient.addLifeSpanHandler(object : CefLifeSpanHandlerAdapter() {
             override fun onBeforePopup(
                 browser: CefBrowser?,
@@ -137,6 +229,7 @@ class StatisticsView : JPanel(BorderLayout()), Disposable {
                 httpStatusCode: Int
             ) {
                 if (frame != null && frame.isMain) {
+                    bridge.inject()
                     isBrowserLoaded = true
                     synchronized(pendingCalls) {
                         pendingCalls.forEach { it.invoke() }
@@ -147,6 +240,125 @@ class StatisticsView : JPanel(BorderLayout()), Disposable {
         }, browser.cefBrowser)
 
         add(browser.component, BorderLayout.CENTER)
+
+        subscribeToTracking()
+        scheduleAutoRefresh(DashboardSettings.getInstance().state)
+        scheduler.scheduleWithFixedDelay(
+            ::pushLiveStatus,
+            LIVE_STATUS_INTERVAL_SECONDS,
+            LIVE_STATUS_INTERVAL_SECONDS,
+            TimeUnit.SECONDS
+        )
+    }
+
+    /**
+     * Keeps the dashboard live: the current-session banner follows activity changes,
+     * the charts refresh when tracked sessions are saved or the settings change,
+     * and the colors follow the IDE theme as soon as it is switched.
+     */
+    private fun subscribeToTracking() {
+        val connection = ApplicationManager.getApplication().messageBus.connect(this)
+        connection.subscribe(TimeTrackerTopics.ACTIVITY_TOPIC, object : TimeTrackerListener {
+            override fun onActivityStarted() {
+                scheduler.execute(::pushLiveStatus)
+            }
+
+            override fun onActivityStopped() {
+                scheduler.execute(::pushLiveStatus)
+            }
+        })
+        connection.subscribe(TimeTrackerTopics.SESSIONS_SAVED_TOPIC, SessionsSavedListener {
+            if (DashboardSettings.getInstance().state.refreshOnSessionSave) {
+                scheduler.execute(::refreshIfShowing)
+            }
+        })
+        connection.subscribe(TimeTrackerTopics.DASHBOARD_SETTINGS_TOPIC, DashboardSettingsListener { settings ->
+            scheduleAutoRefresh(settings)
+            val snapshot = CardSettings.snapshot(settings)
+            val affectedCharts = CardSettings.affectedCharts(settingsSnapshot, snapshot)
+            if (CardSettings.projectNamesChanged(settingsSnapshot, snapshot)) {
+                // Like the grouping toggle of the dashboard, the selected projects may no longer be shown
+                filter = filter.without(SessionDimension.PROJECT)
+            }
+            settingsSnapshot = snapshot
+            if (affectedCharts == null) {
+                scheduler.execute(::refreshIfShowing)
+            } else {
+                affectedCharts.forEach { chartKey -> scheduler.execute { refreshChartIfShowing(chartKey) } }
+            }
+        })
+        connection.subscribe(LafManagerListener.TOPIC, LafManagerListener {
+            // Re-themes the charts from their current data, without querying the providers
+            executeJavaScriptWhenLoaded {
+                executeJavaScript("applyIdeTheme", gson.toJson(getThemeColors()))
+            }
+        })
+    }
+
+    /**
+     * (Re)starts the periodic chart refresh with the configured interval.
+     */
+    private fun scheduleAutoRefresh(settings: DashboardSettings.State) {
+        autoRefreshTask?.cancel(false)
+        val minutes = settings.autoRefreshMinutes.toLong()
+        autoRefreshTask = if (minutes > 0) {
+            scheduler.scheduleWithFixedDelay(::refreshIfShowing, minutes, minutes, TimeUnit.MINUTES)
+        } else {
+            null
+        }
+    }
+
+    /**
+     * Refreshes the charts unless the tool window is hidden; it refreshes anyway when shown again.
+     */
+    private fun refreshIfShowing() {
+        if (isShowing) {
+            loadAndRenderCharts()
+            pushLiveStatus()
+        }
+    }
+
+    private fun refreshChartIfShowing(chartKey: String) {
+        if (isShowing) {
+            refreshChart(chartKey)
+        }
+    }
+
+    private fun pushLiveStatus() {
+        if (isBrowserLoaded && isShowing) {
+            executeJavaScript("updateLiveStatus", gson.toJson(buildLiveStatus()))
+        }
+    }
+
+    /**
+     * Describes what is being tracked right now for the current-session banner and the live summary cards.
+     * Tracking counts as idle once idle detection would pause it, even before the sessions are saved.
+     */
+    private fun buildLiveStatus(): Map<String, Any> {
+        val now = LocalDateTime.now()
+        val session = timeTrackerService.getActiveSessions().firstOrNull()
+        val idleSeconds = ChronoUnit.SECONDS.between(timeTrackerService.getLastActivityTime(), now)
+        val active = session != null && timeTrackerService.isTracking() &&
+                idleSeconds < TimeTrackerService.IDLE_THRESHOLD_SECONDS
+
+        return buildMap {
+            put("active", active)
+            if (session != null && active) {
+                put("project", session.projectName)
+                put("language", session.language)
+                put("elapsedSeconds", ChronoUnit.SECONDS.between(session.startTime, now))
+            }
+            // Tracked time the database totals don't include yet, keyed like the summary metrics
+            put(
+                "unsavedSeconds", mapOf(
+                    "today" to timeTrackerService.getUIDisplayTime(TimePeriod.TODAY) / 1000,
+                    "thisWeek" to timeTrackerService.getUIDisplayTime(TimePeriod.THIS_WEEK) / 1000,
+                    "thisMonth" to timeTrackerService.getUIDisplayTime(TimePeriod.THIS_MONTH) / 1000,
+                    "thisYear" to timeTrackerService.getUIDisplayTime(TimePeriod.THIS_YEAR) / 1000,
+                    "total" to timeTrackerService.getUnsavedTrackingTime() / 1000
+                )
+            )
+        }
     }
 
     /**
@@ -170,6 +382,15 @@ class StatisticsView : JPanel(BorderLayout()), Disposable {
         // Export Action
         actionGroup.add(ExportDataAction())
 
+        // HTML Report Action
+        actionGroup.add(object : AnAction(
+            "Export HTML Report", "Export the dashboard as a standalone HTML file", AllIcons.FileTypes.Html
+        ) {
+            override fun actionPerformed(e: AnActionEvent) {
+                exportHtmlReport(e.project)
+            }
+        })
+
         val actionToolbar = ActionManager.getInstance()
             .createActionToolbar("StatisticsToolbar", actionGroup, true)
         actionToolbar.targetComponent = content
@@ -178,57 +399,466 @@ class StatisticsView : JPanel(BorderLayout()), Disposable {
 
     fun loadAndRenderCharts() {
         executeJavaScriptWhenLoaded {
-            val endTime = LocalDateTime.now()
-            val startTime = endTime.minusYears(1)
+            executeJavaScript("renderCharts", gson.toJson(buildPayload()))
+        }
+    }
+
+    /**
+     * Re-queries a single chart data provider and updates only its chart,
+     * keeping the selected range and filter.
+     *
+     * @param chartKey The [ChartDataProvider.getChartKey] of the chart to update
+     */
+    fun refreshChart(chartKey: String) {
+        val provider = dataProvides.find { it.getChartKey() == chartKey } ?: return
+        if (chartKey in hiddenCards()) {
+            return
+        }
+        executeJavaScriptWhenLoaded {
+            val range = selectedPreset.resolve(customStart = customStart, customEnd = customEnd)
+            val previousRange = comparedRange(selectedPreset, range, compare)
+            val queryFilter = ProjectMapping.current().expandFilter(filter)
+            val data = prepareChartData(provider, range, boundRange(range), previousRange, queryFilter)
+            executeJavaScript("renderChart", chartKey, gson.toJson(data))
+        }
+    }
 
-            val payload = buildMap {
-                put("theme", getThemeColors())
+    /**
+     * Queries every chart data provider for the selected range.
+     */
+    private fun buildPayload(): Map<String, Any> {
+        return buildPayload(selectedPreset, customStart, customEnd, filter, compare)
+    }
 
-                dataProvides.forEach { provider ->
-                    val data = if (provider.requiresTimeRange()) {
-                        provider.prepareData(startTime, endTime)
-                    } else {
-                        provider.prepareData()  // No time range - uses all data
-                    }
-                    put(provider.getChartKey(), data)
-                }
+    /**
+     * Queries every chart data provider for the given range, e.g. one chosen for an HTML report.
+     *
+     * @param indicator Progress of a background task, advanced after each provider and checked for cancellation
+     */
+    private fun buildPayload(
+        preset: DateRangePreset,
+        start: LocalDate?,
+        end: LocalDate?,
+        filter: SessionFilter,
+        compare: Boolean,
+        indicator: ProgressIndicator? = null
+    ): Map<String, Any> {
+        val range = preset.resolve(customStart = start, customEnd = end)
+        val boundedRange = boundRange(range)
+        val previousRange = comparedRange(preset, range, compare)
+        val layout = DashboardLayout.resolve(DashboardSettings.getInstance().state.cardLayout)
+        val hiddenCards = DashboardLayout.hiddenCards(layout)
+        val projectMapping = ProjectMapping.current()
+        // The filter holds shown project names, the queries need the recorded ones
+        val queryFilter = projectMapping.expandFilter(filter)
+
+        return buildMap {
+            put("theme", getThemeColors())
+            // The web view picks its message catalog and date/number formats from the IDE's language
+            put("locale", DynamicBundle.getLocale().toLanguageTag())
+            put("calendar", describeCalendar(DashboardSettings.getInstance().state))
+            put("heatmapScale", describeHeatmapScale(DashboardSettings.getInstance().state))
+            put("othersGrouping", describeOthersGrouping(DashboardSettings.getInstance().state))
+            put("projectGrouping", describeProjectGrouping(projectMapping))
+            put("range", describeRange(preset, boundedRange, previousRange, compare))
+            put("filter", filter.activeDimensions().associate { (dimension, values) -> dimension.name to values })
+            put("layout", layout)
+
+            // Hidden cards are not rendered, so their providers are not queried either
+            val providers = dataProvides.filter { it.getChartKey() !in hiddenCards }
+            providers.forEachIndexed { index, provider ->
+                indicator?.checkCanceled()
+                put(
+                    provider.getChartKey(),
+                    prepareChartData(provider, range, boundedRange, previousRange, queryFilter)
+                )
+                indicator?.fraction = (index + 1).toDouble() / providers.size
             }
+        }
+    }
+
+    private fun hiddenCards(): Set<String> =
+        DashboardLayout.hiddenCards(DashboardLayout.resolve(DashboardSettings.getInstance().state.cardLayout))
+
+    private fun prepareChartData(
+        provider: ChartDataProvider,
+        range: DateRange,
+        boundedRange: DateRange,
+        previousRange: DateRange?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        val data = if (provider.requiresTimeRange()) {
+            provider.prepareData(boundedRange.start, boundedRange.end, filter)
+        } else {
+            provider.prepareData(range.start, range.end, filter)  // Null boundaries - uses all data
+        }
 
-            executeJavaScript("renderCharts", payload)
+        if (previousRange == null || !provider.supportsComparison()) {
+            return data
         }
+        return data + ("previous" to provider.prepareData(previousRange.start, previousRange.end, filter))
+    }
+
+    /**
+     * The range compared against in compare mode; null when compare mode is off or the range is open (all time).
+     */
+    private fun comparedRange(preset: DateRangePreset, range: DateRange, compare: Boolean): DateRange? {
+        return if (compare) preset.previous(range) else null
+    }
+
+    /**
+     * Closes an open range for charts that need concrete boundaries.
+     * An open start falls back to the first recorded day (or the last 30 days when there is no data yet),
+     * an open end falls back to the end of today.
+     */
+    private fun boundRange(range: DateRange): DateRange {
+        val end = range.end ?: TimeRangeUtils.getDayEnd()
+        val start = range.start
+            ?: DatabaseManager.getFirstRecordDate()?.let { TimeRangeUtils.getDayStart(it) }
+            ?: DateRangePreset.LAST_30_DAYS.resolve().start
+        return DateRange(start, end)
+    }
+
+    /**
+     * Describes the week and clock preferences for the charts.
+     * The first day of week is numbered like JavaScript's Date.getDay(), 0 for Sunday.
+     */
+    private fun describeCalendar(settings: DashboardSettings.State): Map<String, Any> = mapOf(
+        "firstDayOfWeek" to settings.firstDayOfWeek.value % 7,
+        "use24HourClock" to settings.use24HourClock
+    )
+
+    /**
+     * Describes the heatmap color scale; custom thresholds are sent in seconds like the chart data.
+     * Thresholds that do not parse (e.g. edited by hand in the settings file) fall back to the defaults.
+     */
+    private fun describeHeatmapScale(settings: DashboardSettings.State): Map<String, Any> {
+        fun thresholdSeconds(text: String, default: String): List<Int> {
+            val minutes = DashboardSettings.parseHeatmapThresholds(text)
+                ?: DashboardSettings.parseHeatmapThresholds(default).orEmpty()
+            return minutes.map { it * 60 }
+        }
+
+        return mapOf(
+            "mode" to settings.heatmapScale.name,
+            "daily" to thresholdSeconds(settings.dailyHeatmapThresholds, DashboardSettings.DEFAULT_DAILY_THRESHOLDS),
+            "hourly" to thresholdSeconds(settings.hourlyHeatmapThresholds, DashboardSettings.DEFAULT_HOURLY_THRESHOLDS)
+        )
+    }
+
+    /**
+     * Describes when the distribution charts fold items into "Others".
+     */
+    private fun describeOthersGrouping(settings: DashboardSettings.State): Map<String, Any> {
+        return mapOf(
+            "minPercent" to settings.othersMinPercent.coerceAtLeast(0.0),
+            "top" to settings.othersTopCount.coerceAtLeast(0)
+        )
+    }
+
+    /**
+     * Describes the state of the project grouping toggle, which is only offered when some project has a group.
+     */
+    private fun describeProjectGrouping(projectMapping: ProjectMapping): Map<String, Any> = mapOf(
+        "enabled" to projectMapping.grouped,
+        "available" to projectMapping.hasGroups()
+    )
+
+    /**
+     * Describes the selected range for the range picker.
+     * The end date is inclusive so it can be shown directly in a date input.
+     * Also carries the compare mode and, when active, the compared range for the chart tooltips.
+     */
+    private fun describeRange(
+        preset: DateRangePreset,
+        boundedRange: DateRange,
+        previousRange: DateRange?,
+        compare: Boolean
+    ): Map<String, Any> {
+        return buildMap {
+            put("preset", preset.name)
+            put("start", boundedRange.start!!.toLocalDate().toString())
+            put("end", boundedRange.end!!.minusNanos(1).toLocalDate().toString())
+            put("compare", compare)
+            if (previousRange != null) {
+                put(
+                    "previous", mapOf(
+                        "start" to previousRange.start!!.toLocalDate().toString(),
+                        "end" to previousRange.end!!.minusNanos(1).toLocalDate().toString()
+                    )
+                )
+            }
+        }
+    }
+
+    /**
+     * Request sent by the range picker, e.g. {"preset":"CUSTOM","start":"2026-01-01","end":"2026-03-31"}.
+     */
+    private data class RangeRequest(
+        val preset: String?,
+        val start: String?,
+        val end: String?
+    )
+
+    /**
+     * Request sent when a filter chip is added or removed, e.g. {"filters":{"PROJECT":["foo"],"LANGUAGE":["Kotlin"]}}.
+     * Keys are [SessionDimension] names; the request always carries the complete filter.
+     */
+    private data class FilterRequest(
+        val filters: Map<String, List<String>>?
+    )
+
+    /**
+     * Request sent by the compare toggle, e.g. {"enabled":true}.
+     */
+    private data class CompareRequest(
+        val enabled: Boolean?
+    )
+
+    /**
+     * Request sent when the chart cards are rearranged, e.g. {"cards":[{"card":"yearlyActivity","hidden":true}]}.
+     * An empty list resets the default layout.
+     */
+    private data class LayoutRequest(
+        val cards: List<DashboardSettings.CardLayout>?
+    )
+
+    /**
+     * Request sent by the year selector of the activity heatmap, e.g. {"year":"2025"};
+     * see [DashboardSettings.State.heatmapYear] for the values.
+     */
+    private data class HeatmapYearRequest(
+        val year: String?
+    )
+
+    /**
+     * Request sent by the projects/groups toggle, e.g. {"enabled":true};
+     * see [DashboardSettings.State.groupProjects].
+     */
+    private data class ProjectGroupingRequest(
+        val enabled: Boolean?
+    )
+
+    /**
+     * Request sent when a chart or the whole dashboard is exported as an image,
+     * e.g. {"fileName":"heatmap.png","format":"png","data":"iVBORw0..."}.
+     * PNG data is base64 encoded, SVG data is the markup itself.
+     */
+    private data class SaveImageRequest(
+        val fileName: String?,
+        val format: String?,
+        val data: String?
+    )
+
+    /**
+     * Request sent when a day is clicked in the heatmap or the daily activity chart, e.g. {"date":"2026-01-31"}.
+     */
+    private data class DayDetailRequest(
+        val date: String?
+    )
+
+    /**
+     * Request sent when a bar segment of the project timeline is clicked,
+     * e.g. {"project":"foo","start":"2026-01-05","end":"2026-01-11"}; both days are inclusive.
+     */
+    private data class ProjectSessionsRequest(
+        val project: String?,
+        val start: String?,
+        val end: String?
+    )
+
+    /**
+     * Registers the requests the web view can send through bridge.js.
+     * Handlers run on a pooled thread; a thrown exception rejects the request on the JS side.
+     */
+    private fun registerBridgeHandlers() {
+        bridge.register("refresh") { buildPayload() }
+        bridge.register("setRange", RangeRequest::class.java) { request -> applyRange(request) }
+        bridge.register("setFilter", FilterRequest::class.java) { request -> applyFilter(request) }
+        bridge.register("setCompare", CompareRequest::class.java) { request ->
+            compare = request.enabled == true
+            buildPayload()
+        }
+        bridge.register("saveLayout", LayoutRequest::class.java) { request ->
+            updateSettings { it.cardLayout = request.cards.orEmpty().toMutableList() }
+            buildPayload()
+        }
+        bridge.register("setHeatmapYear", HeatmapYearRequest::class.java) { request ->
+            updateSettings { it.heatmapYear = request.year.orEmpty() }
+            refreshChart("yearlyActivity")
+            null
+        }
+        bridge.register("setProjectGrouping", ProjectGroupingRequest::class.java) { request ->
+            updateSettings { it.groupProjects = request.enabled == true }
+            if (filter.values[SessionDimension.PROJECT].isNullOrEmpty()) {
+                PROJECT_CHARTS.forEach(::refreshChart)
+                mapOf("projectGrouping" to describeProjectGrouping(ProjectMapping.current()))
+            } else {
+                // Selected projects are named differently once grouped, so their selection is dropped
+                filter = filter.without(SessionDimension.PROJECT)
+                buildPayload()
+            }
+        }
+        bridge.register("saveImage", SaveImageRequest::class.java) { request -> saveImage(request) }
+        bridge.register("dayDetail", DayDetailRequest::class.java) { request ->
+            val date = LocalDate.parse(requireNotNull(request.date) { "A day detail request requires a date" })
+            dayDetailDataProvider.prepareData(date, ProjectMapping.current().expandFilter(filter))
+        }
+        bridge.register("projectSessions", ProjectSessionsRequest::class.java) { request ->
+            val project = requireNotNull(request.project) { "A project sessions request requires a project" }
+            val start = LocalDate.parse(requireNotNull(request.start) { "A project sessions request requires a start" })
+            val end = LocalDate.parse(requireNotNull(request.end) { "A project sessions request requires an end" })
+            projectSessionsDataProvider.prepareData(project, start, end, filter)
+        }
+    }
+
+    /**
+     * Changes the settings from the dashboard itself. The snapshot follows, so the next apply
+     * of the settings dialog is compared with these settings and only refreshes for its own changes.
+     */
+    private fun updateSettings(change: (DashboardSettings.State) -> Unit) {
+        val settings = DashboardSettings.getInstance().state
+        change(settings)
+        settingsSnapshot = CardSettings.snapshot(settings)
+    }
+
+    /**
+     * Applies a range selection coming from the web view and returns the payload for it.
+     */
+    private fun applyRange(request: RangeRequest): Map<String, Any> {
+        val preset = DateRangePreset.fromString(request.preset)
+        val start = request.start?.let { LocalDate.parse(it) }
+        val end = request.end?.let { LocalDate.parse(it) }
+
+        // Validate before applying so an invalid custom range keeps the previous selection
+        preset.resolve(customStart = start, customEnd = end)
+
+        selectedPreset = preset
+        customStart = start
+        customEnd = end
+        return buildPayload()
+    }
+
+    /**
+     * Replaces the cross-filter with the one sent by the web view and returns the payload for it.
+     */
+    private fun applyFilter(request: FilterRequest): Map<String, Any> {
+        val values = request.filters.orEmpty().entries.associate { (dimension, values) ->
+            SessionDimension.valueOf(dimension) to values.toSet()
+        }
+        filter = SessionFilter(values)
+        return buildPayload()
+    }
+
+    /**
+     * Asks for a target file with the IDE's save dialog and writes the exported image to it.
+     *
+     * @return {"saved": false} when the dialog was cancelled, otherwise the saved path
+     */
+    private fun saveImage(request: SaveImageRequest): Map<String, Any> {
+        val format = request.format
+        require(format == "png" || format == "svg") { "Unsupported image format: $format" }
+        val data = requireNotNull(request.data) { "An image export requires data" }
+        val bytes = if (format == "png") Base64.getDecoder().decode(data) else data.toByteArray(Charsets.UTF_8)
+
+        var target: File? = null
+        // Bridge handlers run on a pooled thread, the dialog needs the EDT
+        ApplicationManager.getApplication().invokeAndWait {
+            val descriptor = FileSaverDescriptor("Export as Image", "Choose location to save the image", format)
+            val saveDialog = FileChooserFactory.getInstance().createSaveFileDialog(descriptor, this)
+            target = saveDialog.save(request.fileName)?.file
+        }
+
+        val file = target ?: return mapOf("saved" to false)
+        file.writeBytes(bytes)
+        return mapOf("saved" to true, "path" to file.path)
+    }
+
+    /**
+     * Lets the user pick a range, then saves the dashboard for it as a standalone HTML report.
+     * The report keeps the dashboard's filter and compare mode.
+     * The dialogs run on the EDT, querying the charts and writing the file run in a cancellable background task.
+     */
+    private fun exportHtmlReport(project: Project?) {
+        val dialog = ExportDialog(project, "Export HTML Report", offerAnonymization = true)
+        if (!dialog.showAndGet()) {
+            return // User cancelled
+        }
+
+        val preset = if (dialog.isExportAll()) DateRangePreset.ALL_TIME else DateRangePreset.CUSTOM
+        val start = if (dialog.isExportAll()) null else LocalDate.parse(dialog.getStartDate())
+        val end = if (dialog.isExportAll()) null else LocalDate.parse(dialog.getEndDate())
+        val fileNameSuffix = if (dialog.isExportAll()) "all" else "$start-to-$end"
+
+        val descriptor = FileSaverDescriptor("Export HTML Report", "Choose location to save the report", "html")
+        val saveDialog = FileChooserFactory.getInstance().createSaveFileDialog(descriptor, project)
+        val fileWrapper = saveDialog.save("code-time-report-$fileNameSuffix.html") ?: return
+
+        val file = fileWrapper.file
+        val anonymize = dialog.isAnonymize()
+        // Captured now, so changing the dashboard during the export does not change the report
+        val reportFilter = filter
+        val reportCompare = compare
+        ProgressManager.getInstance().run(object : Task.Backgroundable(project, "Exporting HTML report", true) {
+            override fun run(indicator: ProgressIndicator) {
+                indicator.isIndeterminate = false
+                indicator.text = "Querying the charts"
+                var payload = buildPayload(preset, start, end, reportFilter, reportCompare, indicator)
+                if (anonymize) {
+                    payload = HtmlReportBuilder.anonymizeProjects(payload)
+                }
+                indicator.checkCanceled()
+                indicator.text = "Writing the report"
+                file.writeText(HtmlReportBuilder.build(gson.toJson(payload), LocalDateTime.now()))
+            }
+
+            override fun onSuccess() {
+                Messages.showInfoMessage(project, "Report saved to ${file.path}", "Export Complete")
+            }
+
+            override fun onThrowable(error: Throwable) {
+                Messages.showErrorDialog(project, "Failed to export the report: ${error.message}", "Export Error")
+            }
+        })
     }
 
     /**
      * Retrieves current theme colors from the IDE.
      * Uses brighter secondary color (#b0b0b0) for dark theme to improve readability.
+     * With high contrast enabled in the settings, secondary text uses the foreground color.
+     * Also carries the IDE accent color and the chart palette chosen in the settings.
      */
     private fun getThemeColors(): Map<String, Any> {
         val isDark = !JBColor.isBright()
+        val settings = DashboardSettings.getInstance().state
+        val highContrast = settings.highContrast
 
         // For dark theme, use a brighter gray for better readability of axis labels,
         // legends, and subtitles. The default disabled foreground color is too dark.
-        val secondaryColor = if (isDark) {
-            "#b0b0b0"  // Bright gray (176, 176, 176) - good contrast on dark backgrounds
-        } else {
-            UIUtil.getLabelDisabledForeground().toHex()  // Keep IDE's default for light theme
+        // High contrast drops the secondary gray altogether.
+        val secondaryColor = when {
+            highContrast -> UIUtil.getLabelForeground().toHex()
+            isDark -> "#b0b0b0"  // Bright gray (176, 176, 176) - good contrast on dark backgrounds
+            else -> UIUtil.getLabelDisabledForeground().toHex()  // Keep IDE's default for light theme
         }
 
         return mapOf(
             "isDark" to isDark,
+            "background" to UIUtil.getPanelBackground().toHex(),
             "foreground" to UIUtil.getLabelForeground().toHex(),
-            "secondary" to secondaryColor
+            "secondary" to secondaryColor,
+            "accent" to JBUI.CurrentTheme.Focus.focusColor().toHex(),
+            "highContrast" to highContrast,
+            "palette" to settings.chartPalette.name
         )
     }
 
     /**
-     * Executes a JavaScript function with the given payload.
+     * Executes a JavaScript function with the given string arguments, e.g. a chart key and a JSON payload.
      */
-    private fun executeJavaScript(@Suppress("SameParameterValue") functionName: String, payload: Map<String, Any>) {
-        val data = gson.toJson(payload)
-        val escapedData = data.replace("\\", "\\\\")
-            .replace("'", "\\'")
-            .replace("\n", "")
-        val jsCode = "if (window.$functionName) { window.$functionName('$escapedData'); }"
+    private fun executeJavaScript(functionName: String, vararg arguments: String) {
+        val jsArguments = arguments.joinToString(", ") { "'${WebViewBridge.toJsString(it)}'" }
+        val jsCode = "if (window.$functionName) { window.$functionName($jsArguments); }"
         browser.cefBrowser.executeJavaScript(jsCode, browser.cefBrowser.url, 0)
     }
 
@@ -274,6 +904,10 @@ class StatisticsView : JPanel(BorderLayout()), Disposable {
     }
 
     override fun dispose() {
+        autoRefreshTask?.cancel(false)
+        if (!scheduler.isShutdown) {
+            scheduler.shutdown()
+        }
         Disposer.dispose(browser)
         Disposer.dispose(jbCefClient)
     }
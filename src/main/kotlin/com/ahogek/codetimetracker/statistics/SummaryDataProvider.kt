@@ -1,9 +1,12 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
 import com.ahogek.codetimetracker.model.SessionSummaryDTO
+import com.ahogek.codetimetracker.settings.DashboardSettings
 import com.ahogek.codetimetracker.util.TimeRangeUtils
 import com.intellij.openapi.diagnostic.Logger
+import java.time.DayOfWeek
 import java.time.Duration
 import java.time.LocalDate
 import java.time.LocalDateTime
@@ -31,8 +34,43 @@ class SummaryDataProvider : ChartDataProvider {
          * Based on performance benchmarks with SQLite on typical user machines.
          */
         private const val IN_MEMORY_THRESHOLD = 20_000
+
+        /**
+         * Windows the week, month and year cards are compared against: each previous period up to the point
+         * the current one has reached, e.g. last Monday to last Wednesday 15:30 on a Wednesday at 15:30.
+         * When the previous period has no such day (e.g. on March 31st), it is compared up to the end of its last day.
+         *
+         * Unlike the compare mode of the charts ([DateRangePreset.previous]), which compares whole days
+         * up to the end of today, the cards stop at the current time of day, as their own values do.
+         */
+        internal fun previousPeriods(now: LocalDateTime, firstDayOfWeek: DayOfWeek): PreviousPeriods {
+            val today = now.toLocalDate()
+            val weekStart = TimeRangeUtils.getWeekStart(today, firstDayOfWeek)
+            val monthStart = TimeRangeUtils.getMonthStart(today)
+            val yearStart = TimeRangeUtils.getYearStart(today)
+            return PreviousPeriods(
+                lastWeek = weekStart.minusWeeks(1) to now.minusWeeks(1),
+                lastMonth = monthStart.minusMonths(1) to samePointOrDayEnd(now, now.minusMonths(1)),
+                lastYear = yearStart.minusYears(1) to samePointOrDayEnd(now, now.minusYears(1))
+            )
+        }
+
+        /**
+         * @return The shifted point, or the end of its day when it was clamped to a shorter month
+         */
+        private fun samePointOrDayEnd(now: LocalDateTime, shifted: LocalDateTime): LocalDateTime =
+            if (shifted.dayOfMonth == now.dayOfMonth) shifted else TimeRangeUtils.getDayEnd(shifted.toLocalDate())
     }
 
+    /**
+     * Elapsed parts of the previous week, month and year as (start, exclusive end), see [previousPeriods].
+     */
+    internal data class PreviousPeriods(
+        val lastWeek: Pair<LocalDateTime, LocalDateTime>,
+        val lastMonth: Pair<LocalDateTime, LocalDateTime>,
+        val lastYear: Pair<LocalDateTime, LocalDateTime>
+    )
+
     /**
      * Internal data holder for duration statistics.
      */
@@ -42,6 +80,20 @@ class SummaryDataProvider : ChartDataProvider {
         val thisWeek: Duration,
         val thisMonth: Duration,
         val thisYear: Duration,
+        val total: Duration,
+        val previous: PreviousSummaryData
+    )
+
+    /**
+     * Values of the previous equivalent periods, compared against on the summary cards.
+     * Daily average and total have no previous period; they are compared with their value as of yesterday.
+     */
+    private data class PreviousSummaryData(
+        val yesterday: Duration,
+        val dailyAverage: Duration,
+        val lastWeek: Duration,
+        val lastMonth: Duration,
+        val lastYear: Duration,
         val total: Duration
     )
 
@@ -51,10 +103,11 @@ class SummaryDataProvider : ChartDataProvider {
      */
     override fun prepareData(
         startTime: LocalDateTime?,
-        endTime: LocalDateTime?
+        endTime: LocalDateTime?,
+        filter: SessionFilter
     ): Map<String, Any> {
         // Compute the summary using the existing adaptive strategy
-        val summary = computeSummary()
+        val summary = computeSummary(filter)
 
         // Transform strict types (Duration) to frontend-friendly types (Seconds/Long)
         return mapOf(
@@ -63,7 +116,16 @@ class SummaryDataProvider : ChartDataProvider {
             "thisWeek" to summary.thisWeek.toSeconds(),
             "thisMonth" to summary.thisMonth.toSeconds(),
             "thisYear" to summary.thisYear.toSeconds(),
-            "total" to summary.total.toSeconds()
+            "total" to summary.total.toSeconds(),
+            // Keyed like the current values, so each card finds its comparison under the same name
+            "previous" to mapOf(
+                "today" to summary.previous.yesterday.toSeconds(),
+                "dailyAverage" to summary.previous.dailyAverage.toSeconds(),
+                "thisWeek" to summary.previous.lastWeek.toSeconds(),
+                "thisMonth" to summary.previous.lastMonth.toSeconds(),
+                "thisYear" to summary.previous.lastYear.toSeconds(),
+                "total" to summary.previous.total.toSeconds()
+            )
         )
     }
 
@@ -75,15 +137,16 @@ class SummaryDataProvider : ChartDataProvider {
      * Computes all summary statistics using an adaptive strategy.
      * Automatically selects the optimal computation method based on data volume.
      */
-    private fun computeSummary(): SummaryData {
+    private fun computeSummary(filter: SessionFilter): SummaryData {
         return try {
+            val firstDayOfWeek = DashboardSettings.getInstance().state.firstDayOfWeek
             val totalRecords = DatabaseManager.getRecordCount()
             if (totalRecords < IN_MEMORY_THRESHOLD) {
                 log.debug("Using memory computation strategy (Record count: $totalRecords)")
-                computeSummaryInMemory()
+                computeSummaryInMemory(filter, firstDayOfWeek)
             } else {
                 log.debug("Using database aggregation strategy (Record count: $totalRecords)")
-                computeSummaryWithSQL()
+                computeSummaryWithSQL(filter, firstDayOfWeek)
             }
         } catch (e: Exception) {
             log.error("Statistical data calculating failed", e)
@@ -96,15 +159,17 @@ class SummaryDataProvider : ChartDataProvider {
      * Optimized for memory efficiency by loading only time ranges.
      * Uses TimeRangeUtils for consistent time boundary calculations and overlap merging.
      */
-    private fun computeSummaryInMemory(): SummaryData {
-        val sessionTimes = DatabaseManager.getAllActiveSessionTimes()
+    private fun computeSummaryInMemory(filter: SessionFilter, firstDayOfWeek: DayOfWeek): SummaryData {
+        val sessionTimes = DatabaseManager.getAllActiveSessionTimes(filter)
 
         if (sessionTimes.isEmpty()) {
             return createEmptySummaryData()
         }
 
-        val today = LocalDate.now()
-        val boundaries = buildTimeBoundaries(today)
+        val now = LocalDateTime.now()
+        val today = now.toLocalDate()
+        val boundaries = buildTimeBoundaries(today, firstDayOfWeek)
+        val previousPeriods = previousPeriods(now, firstDayOfWeek)
 
         // Prepare lists for each period to collect intervals
         val todayIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
@@ -112,6 +177,10 @@ class SummaryDataProvider : ChartDataProvider {
         val monthIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
         val yearIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
         val totalIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
+        val yesterdayIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
+        val lastWeekIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
+        val lastMonthIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
+        val lastYearIntervals = mutableListOf<Pair<LocalDateTime, LocalDateTime>>()
 
         var firstDate: LocalDate? = null
 
@@ -130,6 +199,12 @@ class SummaryDataProvider : ChartDataProvider {
             addIfOverlaps(session, boundaries.weekStart, boundaries.weekEnd, weekIntervals)
             addIfOverlaps(session, boundaries.monthStart, boundaries.monthEnd, monthIntervals)
             addIfOverlaps(session, boundaries.yearStart, boundaries.yearEnd, yearIntervals)
+
+            // Yesterday is compared as a whole, the longer periods only up to the point the current ones reached
+            addIfOverlaps(session, boundaries.todayStart.minusDays(1), boundaries.todayStart, yesterdayIntervals)
+            previousPeriods.lastWeek.let { (start, end) -> addIfOverlaps(session, start, end, lastWeekIntervals) }
+            previousPeriods.lastMonth.let { (start, end) -> addIfOverlaps(session, start, end, lastMonthIntervals) }
+            previousPeriods.lastYear.let { (start, end) -> addIfOverlaps(session, start, end, lastYearIntervals) }
         }
 
         // Calculate durations with overlap merging using TimeRangeUtils (Crucial for multi-project/window accuracy)
@@ -143,16 +218,43 @@ class SummaryDataProvider : ChartDataProvider {
             Duration.ZERO
         }
 
+        val todayDuration = TimeRangeUtils.calculateMergedDuration(todayIntervals)
+
         return SummaryData(
-            today = TimeRangeUtils.calculateMergedDuration(todayIntervals),
+            today = todayDuration,
             dailyAverage = dailyAverage,
             thisWeek = TimeRangeUtils.calculateMergedDuration(weekIntervals),
             thisMonth = TimeRangeUtils.calculateMergedDuration(monthIntervals),
             thisYear = TimeRangeUtils.calculateMergedDuration(yearIntervals),
-            total = totalDuration
+            total = totalDuration,
+            previous = PreviousSummaryData(
+                yesterday = TimeRangeUtils.calculateMergedDuration(yesterdayIntervals),
+                dailyAverage = dailyAverageBeforeToday(totalDuration, todayDuration, firstDate, today),
+                lastWeek = TimeRangeUtils.calculateMergedDuration(lastWeekIntervals),
+                lastMonth = TimeRangeUtils.calculateMergedDuration(lastMonthIntervals),
+                lastYear = TimeRangeUtils.calculateMergedDuration(lastYearIntervals),
+                total = totalDuration.minus(todayDuration)
+            )
         )
     }
 
+    /**
+     * Daily average as it was at the end of yesterday, i.e. without today's time and without counting today.
+     */
+    private fun dailyAverageBeforeToday(
+        total: Duration,
+        today: Duration,
+        firstDate: LocalDate?,
+        todayDate: LocalDate
+    ): Duration {
+        val daysBeforeToday = firstDate?.let { ChronoUnit.DAYS.between(it, todayDate) } ?: 0
+        return if (daysBeforeToday > 0) {
+            Duration.ofSeconds(total.minus(today).toSeconds() / daysBeforeToday)
+        } else {
+            Duration.ZERO
+        }
+    }
+
     /**
      * Helper to add a session to a list if it overlaps with the period, clipping it to the period boundaries.
      */
@@ -193,7 +295,11 @@ class SummaryDataProvider : ChartDataProvider {
     private fun createEmptySummaryData(): SummaryData {
         return SummaryData(
             Duration.ZERO, Duration.ZERO, Duration.ZERO,
-            Duration.ZERO, Duration.ZERO, Duration.ZERO
+            Duration.ZERO, Duration.ZERO, Duration.ZERO,
+            PreviousSummaryData(
+                Duration.ZERO, Duration.ZERO, Duration.ZERO,
+                Duration.ZERO, Duration.ZERO, Duration.ZERO
+            )
         )
     }
 
@@ -202,14 +308,15 @@ class SummaryDataProvider : ChartDataProvider {
      * Centralizes boundary calculation logic for consistency.
      *
      * @param referenceDate The date to calculate boundaries from (typically today)
+     * @param firstDayOfWeek The configured first day of week
      * @return TimeBoundaries containing all period start/end times
      */
-    private fun buildTimeBoundaries(referenceDate: LocalDate): TimeBoundaries {
+    private fun buildTimeBoundaries(referenceDate: LocalDate, firstDayOfWeek: DayOfWeek): TimeBoundaries {
         return TimeBoundaries(
             todayStart = TimeRangeUtils.getDayStart(referenceDate),
             todayEnd = TimeRangeUtils.getDayEnd(referenceDate),
-            weekStart = TimeRangeUtils.getWeekStart(referenceDate),
-            weekEnd = TimeRangeUtils.getWeekEnd(referenceDate),
+            weekStart = TimeRangeUtils.getWeekStart(referenceDate, firstDayOfWeek),
+            weekEnd = TimeRangeUtils.getWeekEnd(referenceDate, firstDayOfWeek),
             monthStart = TimeRangeUtils.getMonthStart(referenceDate),
             monthEnd = TimeRangeUtils.getMonthEnd(referenceDate),
             yearStart = TimeRangeUtils.getYearStart(referenceDate),
@@ -226,29 +333,29 @@ class SummaryDataProvider : ChartDataProvider {
      * - Minimal memory footprint
      * - Best for: >= 20,000 records
      */
-    private fun computeSummaryWithSQL(): SummaryData {
+    private fun computeSummaryWithSQL(filter: SessionFilter, firstDayOfWeek: DayOfWeek): SummaryData {
         val now = LocalDateTime.now()
         val today = now.toLocalDate()
 
         // Use centralized time range utility for consistent calculations
         val todayStart = TimeRangeUtils.getDayStart(today)
         val todayEnd = TimeRangeUtils.getDayEnd(today)
-        val todayDuration = DatabaseManager.getCodingTimeForPeriod(todayStart, todayEnd)
+        val todayDuration = DatabaseManager.getCodingTimeForPeriod(todayStart, todayEnd, filter = filter)
 
-        val weekStart = TimeRangeUtils.getWeekStart(today)
-        val weekEnd = TimeRangeUtils.getWeekEnd(today)
-        val thisWeekDuration = DatabaseManager.getCodingTimeForPeriod(weekStart, weekEnd)
+        val weekStart = TimeRangeUtils.getWeekStart(today, firstDayOfWeek)
+        val weekEnd = TimeRangeUtils.getWeekEnd(today, firstDayOfWeek)
+        val thisWeekDuration = DatabaseManager.getCodingTimeForPeriod(weekStart, weekEnd, filter = filter)
 
         val monthStart = TimeRangeUtils.getMonthStart(today)
         val monthEnd = TimeRangeUtils.getMonthEnd(today)
-        val thisMonthDuration = DatabaseManager.getCodingTimeForPeriod(monthStart, monthEnd)
+        val thisMonthDuration = DatabaseManager.getCodingTimeForPeriod(monthStart, monthEnd, filter = filter)
 
         val yearStart = TimeRangeUtils.getYearStart(today)
         val yearEnd = TimeRangeUtils.getYearEnd(today)
-        val thisYearDuration = DatabaseManager.getCodingTimeForPeriod(yearStart, yearEnd)
+        val thisYearDuration = DatabaseManager.getCodingTimeForPeriod(yearStart, yearEnd, filter = filter)
 
-        val totalDuration = DatabaseManager.getTotalCodingTime()
-        val firstRecordDate = DatabaseManager.getFirstRecordDate()
+        val totalDuration = DatabaseManager.getTotalCodingTime(filter = filter)
+        val firstRecordDate = DatabaseManager.getFirstRecordDate(filter)
 
         val dailyAverage = if (firstRecordDate != null) {
             val daysSinceFirst = ChronoUnit.DAYS.between(firstRecordDate, today).plus(1).coerceAtLeast(1)
@@ -257,13 +364,27 @@ class SummaryDataProvider : ChartDataProvider {
             Duration.ZERO
         }
 
+        val previousPeriods = previousPeriods(now, firstDayOfWeek)
+        val previous = PreviousSummaryData(
+            yesterday = DatabaseManager.getCodingTimeForPeriod(todayStart.minusDays(1), todayStart, filter = filter),
+            dailyAverage = dailyAverageBeforeToday(totalDuration, todayDuration, firstRecordDate, today),
+            lastWeek = codingTimeFor(previousPeriods.lastWeek, filter),
+            lastMonth = codingTimeFor(previousPeriods.lastMonth, filter),
+            lastYear = codingTimeFor(previousPeriods.lastYear, filter),
+            total = totalDuration.minus(todayDuration)
+        )
+
         return SummaryData(
             today = todayDuration,
             dailyAverage = dailyAverage,
             thisWeek = thisWeekDuration,
             thisMonth = thisMonthDuration,
             thisYear = thisYearDuration,
-            total = totalDuration
+            total = totalDuration,
+            previous = previous
         )
     }
+
+    private fun codingTimeFor(period: Pair<LocalDateTime, LocalDateTime>, filter: SessionFilter): Duration =
+        DatabaseManager.getCodingTimeForPeriod(period.first, period.second, filter = filter)
 }
\ No newline at end of file
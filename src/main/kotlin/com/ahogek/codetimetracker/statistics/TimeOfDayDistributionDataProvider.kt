@@ -1,11 +1,15 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.model.TimeOfDayBucket
+import com.ahogek.codetimetracker.settings.DashboardSettings
 import java.time.LocalDateTime
 
 /**
  * Provides time-of-day distribution data for chart rendering.
- * Calculates coding time spent in different time periods (Night, Morning, Daytime, Evening).
+ * Calculates coding time spent in the parts of the day defined in the settings
+ * ([DashboardSettings.State.timeOfDayPeriods]), by default Night, Morning, Daytime and Evening.
  *
  * @author AhogeK ahogek@gmail.com
  * @since 2025-11-30 09:38:18
@@ -16,8 +20,16 @@ class TimeOfDayDistributionDataProvider : ChartDataProvider {
 
     override fun requiresTimeRange(): Boolean = false
 
-    override fun prepareData(startTime: LocalDateTime?, endTime: LocalDateTime?): Map<String, Any> {
-        val timeOfDayUsages = DatabaseManager.getTimeOfDayDistribution(startTime, endTime)
+    override fun prepareData(
+        startTime: LocalDateTime?,
+        endTime: LocalDateTime?,
+        filter: SessionFilter
+    ): Map<String, Any> {
+        val custom = DashboardSettings.getInstance().state.timeOfDayPeriods
+            .mapNotNull { period -> period.toBucket()?.let { it to period.color.trim() } }
+        val buckets = custom.ifEmpty { TimeOfDayBucket.DEFAULTS.map { it to "" } }
+        val timeOfDayUsages =
+            DatabaseManager.getTimeOfDayDistribution(startTime, endTime, filter, buckets.map { it.first })
 
         val data = timeOfDayUsages.map { usage ->
             mapOf(
@@ -26,6 +38,18 @@ class TimeOfDayDistributionDataProvider : ChartDataProvider {
             )
         }
 
-        return mapOf("data" to data)
+        return mapOf(
+            "data" to data,
+            // The default buckets are named in the web view's language
+            "custom" to custom.isNotEmpty(),
+            "buckets" to buckets.map { (bucket, color) ->
+                mapOf(
+                    "name" to bucket.name,
+                    "start" to bucket.start.toString(),
+                    "end" to bucket.end.toString(),
+                    "color" to color
+                )
+            }
+        )
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,142 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.google.gson.Gson
+import com.google.gson.JsonElement
+import com.google.gson.JsonObject
+import com.intellij.openapi.Disposable
+import com.intellij.openapi.application.ApplicationManager
+import com.intellij.openapi.diagnostic.Logger
+import com.intellij.openapi.util.Disposer
+import com.intellij.ui.jcef.JBCefBrowser
+import com.intellij.ui.jcef.JBCefJSQuery
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Request/response bridge between the statistics web view (bridge.js) and the IDE.
+ *
+ * Protocol:
+ * - JS sends `{"id": 7, "type": "setRange", "params": {...}}` through a [JBCefJSQuery]
+ * - The handler registered for the type runs on a pooled thread, so database work never blocks the browser
+ * - The outcome is posted back with `window.__ideBridgeResolve(...)` as
+ *   `{"id": 7, "ok": true, "result": ...}` or `{"id": 7, "ok": false, "error": "..."}`
+ *
+ * Timeouts are enforced on the JS side; a response for a request that already timed out is ignored there.
+ *
+ * @author AhogeK ahogek@gmail.com
+ * @since 2026-10-19 10:41:05
+ */
+class WebViewBridge(
+    private val browser: JBCefBrowser,
+    private val gson: Gson,
+    parentDisposable: Disposable
+) {
+
+    private val log = Logger.getInstance(WebViewBridge::class.java)
+
+    // JS queries must be created before the page is loaded
+    private val query: JBCefJSQuery = JBCefJSQuery.create(browser)
+    private val handlers = ConcurrentHashMap<String, (JsonElement?) -> Any?>()
+
+    /**
+     * Incoming message envelope. Params stay raw until the handler type is known.
+     */
+    private data class BridgeRequest(
+        val id: Long?,
+        val type: String?,
+        val params: JsonElement?
+    )
+
+    /**
+     * Outgoing message envelope.
+     */
+    private data class BridgeResponse(
+        val id: Long,
+        val ok: Boolean,
+        val result: Any? = null,
+        val error: String? = null
+    )
+
+    init {
+        Disposer.register(parentDisposable, query)
+        query.addHandler { message ->
+            dispatch(message)
+            null
+        }
+    }
+
+    /**
+     * Registers a handler whose params are deserialized into [paramsType].
+     * Throwing from the handler rejects the promise on the JS side with the exception message.
+     *
+     * @param type The request type used by bridge.js
+     * @param paramsType The class the JSON params are mapped to
+     * @param handler Produces the result, which is serialized to JSON for the page
+     */
+    fun <P> register(type: String, paramsType: Class<P>, handler: (P) -> Any?) {
+        handlers[type] = { params ->
+            val typedParams = gson.fromJson(params ?: JsonObject(), paramsType)
+                ?: throw IllegalArgumentException("Missing params for '$type'")
+            handler(typedParams)
+        }
+    }
+
+    /**
+     * Registers a handler for a request type that takes no params.
+     */
+    fun register(type: String, handler: () -> Any?) {
+        handlers[type] = { _ -> handler() }
+    }
+
+    /**
+     * Exposes the query to the page and signals bridge.js that requests can be sent.
+     * Must be called after every main frame load, as a reload drops injected functions.
+     */
+    fun inject() {
+        val jsCode = """
+            window.__ideBridgeSend = function (message) { ${query.inject("message")} };
+            if (window.__ideBridgeReady) { window.__ideBridgeReady(); }
+        """.trimIndent()
+        browser.cefBrowser.executeJavaScript(jsCode, browser.cefBrowser.url, 0)
+    }
+
+    private fun dispatch(message: String) {
+        val request = try {
+            gson.fromJson(message, BridgeRequest::class.java)
+        } catch (e: Exception) {
+            log.warn("Dropping malformed bridge message: $message", e)
+            return
+        }
+        val id = request?.id ?: run {
+            log.warn("Dropping bridge message without id: $message")
+            return
+        }
+
+        ApplicationManager.getApplication().executeOnPooledThread {
+            val response = try {
+                val handler = handlers[request.type]
+                    ?: throw IllegalArgumentException("Unknown request type: ${request.type}")
+                BridgeResponse(id, ok = true, result = handler(request.params))
+            } catch (e: Exception) {
+                log.warn("Bridge request '${request.type}' failed", e)
+                BridgeResponse(id, ok = false, error = e.message ?: e.javaClass.simpleName)
+            }
+            respond(response)
+        }
+    }
+
+    private fun respond(response: BridgeResponse) {
+        val jsCode = "if (window.__ideBridgeResolve) { window.__ideBridgeResolve('${toJsString(gson.toJson(response))}'); }"
+        browser.cefBrowser.executeJavaScript(jsCode, browser.cefBrowser.url, 0)
+    }
+
+    companion object {
+        /**
+         * Escapes a JSON document so it can be embedded in a single-quoted JS string literal.
+         */
+        fun toJsString(json: String): String {
+            return json.replace("\\", "\\\\")
+                .replace("'", "\\'")
+                .replace("\n", "")
+        }
+    }
+}
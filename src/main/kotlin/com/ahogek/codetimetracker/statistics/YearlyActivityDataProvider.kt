@@ -1,26 +1,67 @@
 package com.ahogek.codetimetracker.statistics
 
 import com.ahogek.codetimetracker.database.DatabaseManager
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.util.TimeRangeUtils
+import java.time.Duration
+import java.time.LocalDate
 import java.time.LocalDateTime
 
 /**
  * Provides data for the yearly activity heatmap chart.
  *
+ * By default the heatmap follows the selected range. When a year, or all years, is picked in the heatmap
+ * ([DashboardSettings.State.heatmapYear]), whole calendar years are queried instead, with per-year totals.
+ * Streaks only count days with at least [DashboardSettings.State.streakMinimumMinutes] of coding time.
+ *
  * @author AhogeK ahogek@gmail.com
  * @since 2025-10-10 09:15:11
  */
 class YearlyActivityDataProvider : ChartDataProvider {
 
+    companion object {
+        /**
+         * Resolves the heatmap year selection against the recorded years.
+         *
+         * @param selection The saved [DashboardSettings.State.heatmapYear]
+         * @param years Every year from the first recorded one up to the current one
+         * @return The calendar years to draw, most recent first;
+         *         empty when the heatmap follows the selected range, including for a year without data any more
+         */
+        fun shownYears(selection: String, years: List<Int>): List<Int> {
+            return when (selection) {
+                DashboardSettings.HEATMAP_ALL_YEARS -> years.sortedDescending()
+                else -> listOfNotNull(selection.toIntOrNull()?.takeIf { it in years })
+            }
+        }
+    }
+
     override fun prepareData(
         startTime: LocalDateTime?,
-        endTime: LocalDateTime?
+        endTime: LocalDateTime?,
+        filter: SessionFilter
     ): Map<String, Any> {
         require(startTime != null && endTime != null) {
             "YearlyActivityDataProvider requires both startTime and endTime"
         }
 
-        val dailySummary = DatabaseManager.getDailyCodingTimeForHeatmap(startTime, endTime)
-        val codingStreaks = DatabaseManager.getCodingStreaks(startTime, endTime)
+        // Years are offered from the first session whatever the filter, so the selector does not change with it
+        val currentYear = LocalDate.now().year
+        val years = ((DatabaseManager.getFirstRecordDate()?.year ?: currentYear)..currentYear).toList()
+        val settings = DashboardSettings.getInstance().state
+        val selection = settings.heatmapYear
+        val streakMinimum = Duration.ofMinutes(settings.streakMinimumMinutes.toLong())
+        val shownYears = shownYears(selection, years)
+
+        val (queryStart, queryEnd) = if (shownYears.isEmpty()) {
+            startTime to endTime
+        } else {
+            yearStart(shownYears.min()) to yearStart(shownYears.max() + 1)
+        }
+        val dailySummary = DatabaseManager.getDailyCodingTimeForHeatmap(queryStart, queryEnd, filter)
+        val codingStreaks = DatabaseManager.getGoalStreaks(queryStart, queryEnd, streakMinimum, filter)
+        val streakHistory = DatabaseManager.getStreakHistory(queryStart, queryEnd, streakMinimum, filter)
 
         val chartData = dailySummary.map {
             mapOf(
@@ -29,17 +70,43 @@ class YearlyActivityDataProvider : ChartDataProvider {
             )
         }
 
+        val yearStats = shownYears.map { year ->
+            val days = dailySummary.filter { it.date.year == year }
+            val streaks = DatabaseManager.getGoalStreaks(yearStart(year), yearStart(year + 1), streakMinimum, filter)
+            mapOf(
+                "year" to year,
+                "seconds" to days.sumOf { it.totalDuration.toSeconds() },
+                "activeDays" to days.size,
+                "current" to streaks.currentStreak,
+                "max" to streaks.maxStreak
+            )
+        }
+
         return mapOf(
             "data" to chartData,
             "streaks" to mapOf(
                 "current" to codingStreaks.currentStreak,
                 "max" to codingStreaks.maxStreak,
-                "totalDays" to dailySummary.size
-            )
+                "totalDays" to dailySummary.size,
+                "minimumSeconds" to streakMinimum.toSeconds()
+            ),
+            "streakHistory" to streakHistory.map {
+                mapOf(
+                    "start" to it.startDate.toString(),
+                    "end" to it.endDate.toString(),
+                    "days" to it.days,
+                    "seconds" to it.totalDuration.toSeconds()
+                )
+            },
+            "years" to years,
+            "selection" to if (shownYears.isEmpty()) "" else selection,
+            "yearStats" to yearStats
         )
     }
 
+    private fun yearStart(year: Int): LocalDateTime = TimeRangeUtils.getDayStart(LocalDate.of(year, 1, 1))
+
     override fun getChartKey(): String = "yearlyActivity"
 
     override fun requiresTimeRange(): Boolean = true
-}
\ No newline at end of file
+}
@@ -1,6 +1,8 @@
 package com.ahogek.codetimetracker.topics
 
+import com.ahogek.codetimetracker.listeners.DashboardSettingsListener
 import com.ahogek.codetimetracker.listeners.PeriodResetListener
+import com.ahogek.codetimetracker.listeners.SessionsSavedListener
 import com.ahogek.codetimetracker.listeners.TimeTrackerListener
 import com.intellij.util.messages.Topic
 
@@ -14,4 +16,10 @@ object TimeTrackerTopics {
 
     val PERIOD_RESET_TOPIC: Topic<PeriodResetListener> =
         Topic.create("Period Reset Events", PeriodResetListener::class.java)
-}
\ No newline at end of file
+
+    val SESSIONS_SAVED_TOPIC: Topic<SessionsSavedListener> =
+        Topic.create("Sessions Saved Events", SessionsSavedListener::class.java)
+
+    val DASHBOARD_SETTINGS_TOPIC: Topic<DashboardSettingsListener> =
+        Topic.create("Dashboard Settings Changed", DashboardSettingsListener::class.java)
+}
@@ -7,6 +7,7 @@ import com.intellij.openapi.project.Project
 import com.intellij.openapi.ui.DialogWrapper
 import com.intellij.openapi.ui.ValidationInfo
 import com.intellij.ui.JBColor
+import com.intellij.ui.components.JBCheckBox
 import com.intellij.ui.components.JBLabel
 import com.intellij.util.ui.FormBuilder
 import com.intellij.util.ui.JBUI
@@ -28,19 +29,29 @@ import javax.swing.JRadioButton
  * Implementation Note:
  * Uses LGoodDatePicker library for a rich, calendar-popup user experience.
  *
+ * Also used to pick the range of an HTML report, which can additionally anonymize project names.
+ *
+ * @param dialogTitle The title of the dialog
+ * @param offerAnonymization Whether to show the "Anonymize project names" option
+ *
  * @author AhogeK ahogek@gmail.com
  * @since 2025-11-30 14:44:05
  */
-class ExportDialog(project: Project?) : DialogWrapper(project) {
+class ExportDialog(
+    project: Project?,
+    dialogTitle: String = "Export Coding Sessions",
+    private val offerAnonymization: Boolean = false
+) : DialogWrapper(project) {
 
     private val allDataRadio = JRadioButton("Export all data", true)
     private val dateRangeRadio = JRadioButton("Export by date range")
+    private val anonymizeCheckBox = JBCheckBox("Anonymize project names")
 
     private val startDatePicker = createDatePicker(LocalDate.now().minusMonths(1))
     private val endDatePicker = createDatePicker(LocalDate.now())
 
     init {
-        title = "Export Coding Sessions"
+        title = dialogTitle
 
         val group = ButtonGroup()
         group.add(allDataRadio)
@@ -193,14 +204,17 @@ class ExportDialog(project: Project?) : DialogWrapper(project) {
     }
 
     override fun createCenterPanel(): JComponent? {
-        val panel = FormBuilder.createFormBuilder()
+        val builder = FormBuilder.createFormBuilder()
             .addComponent(allDataRadio)
             .addComponent(dateRangeRadio)
             .addVerticalGap(10)
             .addLabeledComponent(JBLabel("Start date:"), startDatePicker)
             .addVerticalGap(5)
             .addLabeledComponent(JBLabel("End date:"), endDatePicker)
-            .panel
+        if (offerAnonymization) {
+            builder.addVerticalGap(10).addComponent(anonymizeCheckBox)
+        }
+        val panel = builder.panel
 
         panel.preferredSize = Dimension(JBUI.scale(500), panel.preferredSize.height)
 
@@ -228,6 +242,8 @@ class ExportDialog(project: Project?) : DialogWrapper(project) {
 
     fun isExportAll() = allDataRadio.isSelected
 
+    fun isAnonymize() = offerAnonymization && anonymizeCheckBox.isSelected
+
     fun getStartDate(): String {
         return startDatePicker.date.toString()
     }
@@ -8,7 +8,7 @@ import java.time.temporal.TemporalAdjusters
 
 /**
  * Utility functions for calculating time ranges in a locale-independent manner.
- * All week calculations follow ISO 8601 standard (Monday as first day of week).
+ * Weeks follow ISO 8601 (Monday as first day of week) unless another first day is passed explicitly.
  *
  * Design rationale: Centralized time range logic prevents inconsistencies
  * across different components and ensures predictable behavior regardless
@@ -19,35 +19,45 @@ import java.time.temporal.TemporalAdjusters
  */
 object TimeRangeUtils {
     /**
-     * Returns the start of the current week (Monday 00:00:00) according to ISO 8601.
+     * Returns the start of the current week (Monday 00:00:00 by default, as in ISO 8601).
      *
      * Examples:
      * - If today is Monday 2025-12-08, returns 2025-12-08 00:00:00
      * - If today is Sunday 2025-12-14, returns 2025-12-08 00:00:00 (previous Monday)
      * - If today is Wednesday 2025-12-10, returns 2025-12-08 00:00:00
+     * - If today is Wednesday 2025-12-10 and weeks start on Sunday, returns 2025-12-07 00:00:00
      *
      * @param referenceDate The date to calculate week start from (defaults to today)
+     * @param firstDayOfWeek The day weeks start on (defaults to Monday)
      * @return LocalDateTime representing the start of the week (inclusive)
      */
-    fun getWeekStart(referenceDate: LocalDate = LocalDate.now()): LocalDateTime {
+    fun getWeekStart(
+        referenceDate: LocalDate = LocalDate.now(),
+        firstDayOfWeek: DayOfWeek = DayOfWeek.MONDAY
+    ): LocalDateTime {
         return referenceDate
-            .with(TemporalAdjusters.previousOrSame(DayOfWeek.MONDAY))
+            .with(TemporalAdjusters.previousOrSame(firstDayOfWeek))
             .atStartOfDay()
     }
 
     /**
-     * Returns the end of the current week (next Monday 00:00:00) according to ISO 8601.
+     * Returns the end of the current week (next Monday 00:00:00 by default, as in ISO 8601).
      * This is an exclusive boundary suitable for range queries.
      *
      * Examples:
      * - If today is Monday 2025-12-08, returns 2025-12-15 00:00:00
      * - If today is Sunday 2025-12-14, returns 2025-12-15 00:00:00
+     * - If today is Sunday 2025-12-14 and weeks start on Sunday, returns 2025-12-21 00:00:00
      *
      * @param referenceDate The date to calculate week end from (defaults to today)
+     * @param firstDayOfWeek The day weeks start on (defaults to Monday)
      * @return LocalDateTime representing the end of the week (exclusive)
      */
-    fun getWeekEnd(referenceDate: LocalDate = LocalDate.now()): LocalDateTime {
-        return getWeekStart(referenceDate).plusWeeks(1)
+    fun getWeekEnd(
+        referenceDate: LocalDate = LocalDate.now(),
+        firstDayOfWeek: DayOfWeek = DayOfWeek.MONDAY
+    ): LocalDateTime {
+        return getWeekStart(referenceDate, firstDayOfWeek).plusWeeks(1)
     }
 
     /**
@@ -79,6 +89,21 @@ object TimeRangeUtils {
         return getMonthStart(referenceDate).plusMonths(1)
     }
 
+    /**
+     * Returns the start of the current calendar quarter (1st day of Jan/Apr/Jul/Oct at 00:00:00).
+     *
+     * Examples:
+     * - If today is 2025-12-08, returns 2025-10-01 00:00:00
+     * - If today is 2025-01-31, returns 2025-01-01 00:00:00
+     *
+     * @param referenceDate The date to calculate quarter start from (defaults to today)
+     * @return LocalDateTime representing the start of the quarter (inclusive)
+     */
+    fun getQuarterStart(referenceDate: LocalDate = LocalDate.now()): LocalDateTime {
+        val firstMonthOfQuarter = (referenceDate.monthValue - 1) / 3 * 3 + 1
+        return referenceDate.withDayOfMonth(1).withMonth(firstMonthOfQuarter).atStartOfDay()
+    }
+
     /**
      * Returns the start of the current year (January 1st at 00:00:00).
      *
@@ -5,6 +5,7 @@ import com.ahogek.codetimetracker.listeners.PeriodResetListener
 import com.ahogek.codetimetracker.listeners.TimeTrackerListener
 import com.ahogek.codetimetracker.model.TimePeriod
 import com.ahogek.codetimetracker.service.TimeTrackerService
+import com.ahogek.codetimetracker.settings.DashboardSettings
 import com.ahogek.codetimetracker.topics.TimeTrackerTopics
 import com.ahogek.codetimetracker.util.TimeRangeUtils
 import com.intellij.icons.AllIcons
@@ -268,8 +269,9 @@ class CodeTimeTrackerWidget(private val project: Project) : StatusBarWidget, Cus
             }
 
             DisplayPeriod.THIS_WEEK -> getTimeForPeriod(TimePeriod.THIS_WEEK) { startOfToday ->
-                val startOfWeek = TimeRangeUtils.getWeekStart(startOfToday.toLocalDate())
-                val endOfWeek = TimeRangeUtils.getWeekEnd(startOfToday.toLocalDate())
+                val firstDayOfWeek = DashboardSettings.getInstance().state.firstDayOfWeek
+                val startOfWeek = TimeRangeUtils.getWeekStart(startOfToday.toLocalDate(), firstDayOfWeek)
+                val endOfWeek = TimeRangeUtils.getWeekEnd(startOfToday.toLocalDate(), firstDayOfWeek)
                 DatabaseManager.getCodingTimeForPeriod(startOfWeek, endOfWeek, projectName)
             }
 
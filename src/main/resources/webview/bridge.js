@@ -0,0 +1,127 @@
+/**
+ * Request/response bridge to the IDE (see WebViewBridge.kt).
+ *
+ * Every request carries a correlation ID; the IDE answers with {id, ok, result|error}
+ * through __ideBridgeResolve, which settles the matching promise.
+ *
+ * Usage:
+ *   ideBridge.request('setRange', {preset: 'LAST_7_DAYS'})
+ *       .then(payload => ...)
+ *       .catch(error => ...);
+ */
+const ideBridge = (function () {
+  const DEFAULT_TIMEOUT_MS = 15000;
+
+  /** @type {Map<number, {type: string, resolve: Function, reject: Function, timer: number}>} */
+  const pending = new Map();
+  let nextId = 1;
+
+  let markReady;
+  const ready = new Promise(resolve => {
+    markReady = resolve;
+  });
+
+  /**
+   * Raised when the IDE reports a failure or the request could not be delivered.
+   */
+  class BridgeError extends Error {
+    /**
+     * @param {string} message - The error message reported by the IDE
+     * @param {string} type - The request type that failed
+     */
+    constructor(message, type) {
+      super(message);
+      this.name = 'BridgeError';
+      this.type = type;
+    }
+  }
+
+  /**
+   * Raised when the IDE does not answer within the request timeout.
+   */
+  class BridgeTimeoutError extends BridgeError {
+    constructor(type, timeoutMs) {
+      super(`Request '${type}' timed out after ${timeoutMs} ms`, type);
+      this.name = 'BridgeTimeoutError';
+    }
+  }
+
+  /**
+   * Checks whether the IDE has injected its side of the bridge.
+   * @returns {boolean} False before the page finished loading or outside the IDE
+   */
+  function isAvailable() {
+    return typeof globalThis.__ideBridgeSend === 'function';
+  }
+
+  /**
+   * Sends a request to the IDE.
+   *
+   * @param {string} type - The request type registered in the IDE
+   * @param {Object} [params] - Request parameters, serialized as JSON
+   * @param {{timeout?: number}} [options] - Per-request timeout in milliseconds
+   * @returns {Promise<*>} Resolves with the handler result, rejects with a BridgeError
+   */
+  function request(type, params = {}, options = {}) {
+    const timeoutMs = options.timeout ?? DEFAULT_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+      if (!isAvailable()) {
+        reject(new BridgeError('IDE bridge is not available', type));
+        return;
+      }
+
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new BridgeTimeoutError(type, timeoutMs));
+      }, timeoutMs);
+      pending.set(id, {type, resolve, reject, timer});
+
+      try {
+        globalThis.__ideBridgeSend(JSON.stringify({id, type, params}));
+      } catch (e) {
+        clearTimeout(timer);
+        pending.delete(id);
+        reject(new BridgeError(e.message, type));
+      }
+    });
+  }
+
+  /**
+   * Called by the IDE with the JSON response of a request.
+   * Responses arriving after their request timed out are dropped.
+   * @param {string} message - {id, ok, result} or {id, ok, error}
+   */
+  globalThis.__ideBridgeResolve = function (message) {
+    const response = JSON.parse(message);
+    const entry = pending.get(response.id);
+    if (!entry) {
+      return;
+    }
+
+    pending.delete(response.id);
+    clearTimeout(entry.timer);
+    if (response.ok) {
+      entry.resolve(response.result);
+    } else {
+      entry.reject(new BridgeError(response.error || 'Unknown error', entry.type));
+    }
+  };
+
+  /**
+   * Called by the IDE once __ideBridgeSend has been injected.
+   */
+  globalThis.__ideBridgeReady = function () {
+    markReady();
+  };
+
+  return {
+    request,
+    isAvailable,
+    /** @returns {Promise<void>} Resolves once requests can be sent */
+    whenReady: () => ready,
+    BridgeError,
+    BridgeTimeoutError
+  };
+})();
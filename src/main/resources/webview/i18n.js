@@ -0,0 +1,546 @@
+/**
+ * Message catalogs of the statistics web view and locale-aware formatting.
+ *
+ * The IDE sends its locale with every payload (see StatisticsView.kt). Messages fall back to English
+ * when the locale has no catalog or a message is missing from it.
+ *
+ * Usage:
+ *   t('summary.today')                    // "Today"
+ *   t('chart.totalHours', {hours: '1.50'}) // "Total: 1.50 hours"
+ *
+ * Static texts in index.html name their message in data-i18n (text), data-i18n-title or data-i18n-aria-label.
+ */
+const MESSAGES = {
+  en: {
+    'range.label': 'Date range',
+    'range.LAST_7_DAYS': 'Last 7 days',
+    'range.LAST_30_DAYS': 'Last 30 days',
+    'range.THIS_MONTH': 'This month',
+    'range.LAST_QUARTER': 'Last quarter',
+    'range.THIS_YEAR': 'This year',
+    'range.LAST_12_MONTHS': 'Last 12 months',
+    'range.ALL_TIME': 'All time',
+    'range.start': 'Start date',
+    'range.end': 'End date',
+    'range.apply': 'Apply',
+    'range.compare': 'Compare',
+    'range.compareHint': 'Overlay the previous period on the daily activity and hourly charts',
+    'projects.label': 'Show projects or groups',
+    'projects.projects': 'Projects',
+    'projects.groups': 'Groups',
+    'projects.groupsHint': 'Sum projects into the groups of the plugin settings',
+
+    'export.image': 'Export as image',
+    'export.dashboardHint': 'Export the summary and all charts as one image',
+    'export.background': 'Background',
+    'export.light': 'Light',
+    'export.dark': 'Dark',
+
+    'layout.button': 'Layout',
+    'layout.hint': 'Show, hide and reorder the charts',
+    'layout.move': 'Drag to move',
+    'layout.width': 'Toggle full width',
+    'layout.reset': 'Reset layout',
+
+    'table.show': 'Show as table',
+    'table.showChart': 'Show as chart',
+    'table.chartLabel': '{title} chart. Show it as a table to read the values.',
+    'table.empty': 'No data',
+    'table.date': 'Date',
+    'table.day': 'Day',
+    'table.hour': 'Hour',
+    'table.timeSlot': 'Time slot',
+    'table.period': 'Time of day',
+    'table.timePeriod': 'Period',
+    'table.week': 'Week',
+    'table.month': 'Month',
+    'table.language': 'Language',
+    'table.project': 'Project',
+    'table.time': 'Time',
+    'table.ide': 'IDE',
+    'table.platform': 'Operating system',
+    'table.codingTime': 'Coding time',
+    'table.previous': 'Previous period',
+    'table.average': 'Average per day',
+    'table.share': 'Share',
+    'table.rank': 'Rank',
+    'table.sessions': 'Sessions',
+
+    'report.title': 'Code Time Tracker Report',
+    'report.generated': 'Generated {time}',
+
+    'filter.by': 'Filtered by',
+    'filter.clear': 'Clear all',
+    'filter.remove': 'Remove filter',
+    'filter.PROJECT': 'Project',
+    'filter.LANGUAGE': 'Language',
+    'filter.IDE': 'IDE',
+    'filter.PLATFORM': 'OS',
+
+    'live.idle': 'Idle',
+    'live.coding': 'Currently coding',
+
+    'summary.today': 'Today',
+    'summary.dailyAverage': 'Daily Avg',
+    'summary.thisWeek': 'This Week',
+    'summary.thisMonth': 'This Month',
+    'summary.thisYear': 'This Year',
+    'summary.total': 'Total',
+    'summary.new': 'new',
+
+    'previous.today': 'Yesterday',
+    'previous.dailyAverage': 'As of yesterday',
+    'previous.thisWeek': 'Same point last week',
+    'previous.thisMonth': 'Same point last month',
+    'previous.thisYear': 'Same point last year',
+    'previous.total': 'As of yesterday',
+
+    'goal.today': 'Today',
+    'goal.thisWeek': 'This week',
+    'goal.progress': '{label}: {seconds} of {goal}',
+    'goal.ring': '{percent}% of {goal}',
+    'goal.met': 'Goal met',
+
+    'heatmap.title': 'Yearly Coding Activity',
+    'heatmap.activeDays': 'Total Active Days: {days}',
+    'heatmap.streaks': 'Max Streak: {max} days / Current Streak: {current} days',
+    'heatmap.goalStreak': ' / Goal Streak: {current} days (max {max})',
+    'heatmap.year': 'Year',
+    'heatmap.last12Months': 'Last 12 months',
+    'heatmap.allYears': 'All years',
+    'heatmap.yearTotal': 'Total: {duration}',
+    'heatmap.yearActiveDays': 'Active days: {days}',
+    'heatmap.yearMaxStreak': 'Max streak: {days} days',
+    'heatmap.yearCurrentStreak': 'Current streak: {days} days',
+    'streaks.history': 'Streak history',
+    'streaks.legend': 'Solid outline: current streak, dashed: longest streak',
+    'streaks.minimum': 'days count from {duration} of coding',
+    'streaks.anyActivity': 'any coding activity counts',
+    'streaks.days': '{days} days',
+    'streaks.current': 'Current',
+    'streaks.longest': 'Longest',
+    'streaks.none': 'No streaks in this period',
+    'heatmap.lessThan5Minutes': '< 5 min',
+    'heatmap.5To15Minutes': '5–15 min',
+    'heatmap.15MinutesTo1Hour': '15 min–1 h',
+    'heatmap.1To3Hours': '1–3 h',
+    'heatmap.3To6Hours': '3–6 h',
+    'heatmap.moreThan6Hours': '> 6 h',
+    'heatmap.scaleBelow': '< {value}',
+    'heatmap.scaleBetween': '{from}–{to}',
+    'heatmap.scaleAbove': '> {value}',
+    'heatmap.scaleMinutes': '{n} min',
+    'heatmap.scaleHours': '{n} h',
+
+    'recent.title': 'Daily Coding Activity',
+    'recent.series': 'Coding Time',
+    'recent.previousDay': 'Previous ({date}): {duration}',
+
+    'weekly.title': 'Weekly Coding Activity by Hour',
+
+    'hourly.title': 'Average Hourly Coding Duration',
+    'hourly.titleHalfHour': 'Average Half-Hourly Coding Duration',
+    'hourly.averagedOver': 'Averaged over {days} days',
+    'hourly.average': 'Average: {duration}',
+    'hourly.axis': 'Average Duration (hours)',
+    'hourly.granularity': 'Granularity',
+    'hourly.30': '30 min',
+    'hourly.60': '60 min',
+
+    'language.title': 'Language Distribution',
+    'languageTrend.title': 'Language Trend',
+    'languageTrend.byWeek': 'Coding time per week',
+    'languageTrend.byMonth': 'Coding time per month',
+    'languageTrend.weekOf': 'Week of {date}',
+    'languageTrend.total': 'Total: {duration}',
+    'project.title': 'Project Distribution',
+
+    'projectTimeline.title': 'Project Timeline',
+    'projectTimeline.bucket': 'Group by',
+    'projectTimeline.day': 'Day',
+    'projectTimeline.week': 'Week',
+    'projectTimeline.month': 'Month',
+
+    'projectSessions.title': '{project} · {period}',
+    'projectSessions.empty': 'No coding sessions in this period',
+
+    'ide.title': 'IDE Distribution',
+    'platform.title': 'Operating System Distribution',
+    'ideLanguage.title': 'Languages per IDE',
+    'ideLanguage.total': 'Total: {duration}',
+
+    'timeOfDay.title': 'Time of Day Distribution',
+    'timeOfDay.Morning': '🌞 Morning',
+    'timeOfDay.Daytime': '🌆 Daytime',
+    'timeOfDay.Evening': '🌃 Evening',
+    'timeOfDay.Night': '🌙 Night',
+    'timeOfDay.label': '{name} ({start}-{end})',
+    'timeOfDay.unassigned': 'Other times',
+
+    'chart.hours': 'Hours',
+    'chart.hoursValue': '{hours} hours',
+    'chart.hoursShort': '{hours}h',
+    'chart.totalHours': 'Total: {hours} hours',
+    'chart.time': 'Time: {duration}',
+    'chart.share': '{hours}h ({percent}%)',
+    'chart.others': 'Others',
+    'chart.othersExpanded': 'Others: {count} items, {hours} hours in total',
+    'chart.othersBack': '← All',
+    'distribution.search': 'Search',
+    'chart.previousPeriod': 'Previous period',
+    'chart.previousPeriodValue': 'Previous period: {duration}',
+
+    'dayDetail.loading': 'Loading…',
+    'dayDetail.failed': 'Failed to load sessions: {message}',
+    'dayDetail.empty': 'No coding sessions on this day',
+    'dayDetail.summaryOne': 'Total: {duration} · {count} session',
+    'dayDetail.summaryOther': 'Total: {duration} · {count} sessions',
+    'dayDetail.close': 'Close',
+
+    'duration.hours': '{n}h',
+    'duration.minutes': '{n}m',
+    'duration.seconds': '{n}s',
+
+    'footer.star': 'Star Project',
+    'footer.starHint': 'Star on GitHub',
+    'footer.kofiHint': 'Support on Ko-fi',
+    'footer.afdianHint': 'Support on Afdian',
+    'footer.solanaHint': 'View on Solscan'
+  },
+
+  'zh-CN': {
+    'range.label': '日期范围',
+    'range.LAST_7_DAYS': '最近 7 天',
+    'range.LAST_30_DAYS': '最近 30 天',
+    'range.THIS_MONTH': '本月',
+    'range.LAST_QUARTER': '上季度',
+    'range.THIS_YEAR': '今年',
+    'range.LAST_12_MONTHS': '最近 12 个月',
+    'range.ALL_TIME': '全部时间',
+    'range.start': '开始日期',
+    'range.end': '结束日期',
+    'range.apply': '应用',
+    'range.compare': '对比',
+    'range.compareHint': '在每日活动和每小时图表上叠加上一周期',
+    'projects.label': '显示项目或分组',
+    'projects.projects': '项目',
+    'projects.groups': '分组',
+    'projects.groupsHint': '按插件设置中的分组汇总项目',
+
+    'export.image': '导出为图片',
+    'export.dashboardHint': '将概览和所有图表导出为一张图片',
+    'export.background': '背景',
+    'export.light': '浅色',
+    'export.dark': '深色',
+
+    'layout.button': '布局',
+    'layout.hint': '显示、隐藏和重新排列图表',
+    'layout.move': '拖动以移动',
+    'layout.width': '切换全宽',
+    'layout.reset': '重置布局',
+
+    'table.show': '以表格显示',
+    'table.showChart': '以图表显示',
+    'table.chartLabel': '{title}图表。以表格显示可读取数值。',
+    'table.empty': '暂无数据',
+    'table.date': '日期',
+    'table.day': '星期',
+    'table.hour': '小时',
+    'table.timeSlot': '时间段',
+    'table.period': '时段',
+    'table.timePeriod': '时间段',
+    'table.week': '周',
+    'table.month': '月份',
+    'table.language': '语言',
+    'table.project': '项目',
+    'table.time': '时间',
+    'table.ide': 'IDE',
+    'table.platform': '操作系统',
+    'table.codingTime': '编码时长',
+    'table.previous': '上一周期',
+    'table.average': '日均时长',
+    'table.share': '占比',
+    'table.rank': '排名',
+    'table.sessions': '会话数',
+
+    'report.title': 'Code Time Tracker 报告',
+    'report.generated': '生成于 {time}',
+
+    'filter.by': '筛选条件',
+    'filter.clear': '全部清除',
+    'filter.remove': '移除筛选',
+    'filter.PROJECT': '项目',
+    'filter.LANGUAGE': '语言',
+    'filter.IDE': 'IDE',
+    'filter.PLATFORM': '操作系统',
+
+    'live.idle': '空闲',
+    'live.coding': '正在编码',
+
+    'summary.today': '今天',
+    'summary.dailyAverage': '日均',
+    'summary.thisWeek': '本周',
+    'summary.thisMonth': '本月',
+    'summary.thisYear': '今年',
+    'summary.total': '总计',
+    'summary.new': '新增',
+
+    'previous.today': '昨天',
+    'previous.dailyAverage': '截至昨天',
+    'previous.thisWeek': '上周同期',
+    'previous.thisMonth': '上月同期',
+    'previous.thisYear': '去年同期',
+    'previous.total': '截至昨天',
+
+    'goal.today': '今天',
+    'goal.thisWeek': '本周',
+    'goal.progress': '{label}：{seconds} / {goal}',
+    'goal.ring': '目标 {goal} 的 {percent}%',
+    'goal.met': '达成目标',
+
+    'heatmap.title': '年度编码活动',
+    'heatmap.activeDays': '活跃天数：{days}',
+    'heatmap.streaks': '最长连续：{max} 天 / 当前连续：{current} 天',
+    'heatmap.goalStreak': ' / 目标连续：{current} 天（最长 {max} 天）',
+    'heatmap.year': '年份',
+    'heatmap.last12Months': '最近 12 个月',
+    'heatmap.allYears': '全部年份',
+    'heatmap.yearTotal': '总计：{duration}',
+    'heatmap.yearActiveDays': '活跃天数：{days}',
+    'heatmap.yearMaxStreak': '最长连续：{days} 天',
+    'heatmap.yearCurrentStreak': '当前连续：{days} 天',
+    'streaks.history': '连续记录',
+    'streaks.legend': '实线框：当前连续，虚线框：最长连续',
+    'streaks.minimum': '每天编码满 {duration} 才计入',
+    'streaks.anyActivity': '有编码活动即计入',
+    'streaks.days': '{days} 天',
+    'streaks.current': '当前',
+    'streaks.longest': '最长',
+    'streaks.none': '这一时间段没有连续记录',
+    'heatmap.lessThan5Minutes': '< 5 分钟',
+    'heatmap.5To15Minutes': '5–15 分钟',
+    'heatmap.15MinutesTo1Hour': '15 分钟–1 小时',
+    'heatmap.1To3Hours': '1–3 小时',
+    'heatmap.3To6Hours': '3–6 小时',
+    'heatmap.moreThan6Hours': '> 6 小时',
+    'heatmap.scaleBelow': '< {value}',
+    'heatmap.scaleBetween': '{from}–{to}',
+    'heatmap.scaleAbove': '> {value}',
+    'heatmap.scaleMinutes': '{n} 分钟',
+    'heatmap.scaleHours': '{n} 小时',
+
+    'recent.title': '每日编码活动',
+    'recent.series': '编码时长',
+    'recent.previousDay': '上一周期（{date}）：{duration}',
+
+    'weekly.title': '每周各时段编码活动',
+
+    'hourly.title': '每小时平均编码时长',
+    'hourly.titleHalfHour': '每半小时平均编码时长',
+    'hourly.averagedOver': '按 {days} 天平均',
+    'hourly.average': '平均：{duration}',
+    'hourly.axis': '平均时长（小时）',
+    'hourly.granularity': '粒度',
+    'hourly.30': '30 分钟',
+    'hourly.60': '60 分钟',
+
+    'language.title': '语言分布',
+    'languageTrend.title': '语言趋势',
+    'languageTrend.byWeek': '每周编码时长',
+    'languageTrend.byMonth': '每月编码时长',
+    'languageTrend.weekOf': '{date} 当周',
+    'languageTrend.total': '合计：{duration}',
+    'project.title': '项目分布',
+
+    'projectTimeline.title': '项目时间线',
+    'projectTimeline.bucket': '分组方式',
+    'projectTimeline.day': '日',
+    'projectTimeline.week': '周',
+    'projectTimeline.month': '月',
+
+    'projectSessions.title': '{project} · {period}',
+    'projectSessions.empty': '这一时间段没有编码会话',
+
+    'ide.title': 'IDE 分布',
+    'platform.title': '操作系统分布',
+    'ideLanguage.title': '各 IDE 的语言',
+    'ideLanguage.total': '合计：{duration}',
+
+    'timeOfDay.title': '时段分布',
+    'timeOfDay.Morning': '🌞 上午',
+    'timeOfDay.Daytime': '🌆 下午',
+    'timeOfDay.Evening': '🌃 晚上',
+    'timeOfDay.Night': '🌙 深夜',
+    'timeOfDay.label': '{name}（{start}-{end}）',
+    'timeOfDay.unassigned': '其他时段',
+
+    'chart.hours': '小时',
+    'chart.hoursValue': '{hours} 小时',
+    'chart.hoursShort': '{hours} 小时',
+    'chart.totalHours': '总计：{hours} 小时',
+    'chart.time': '时长：{duration}',
+    'chart.share': '{hours} 小时（{percent}%）',
+    'chart.others': '其他',
+    'chart.othersExpanded': '其他：{count} 项，共 {hours} 小时',
+    'chart.othersBack': '← 全部',
+    'distribution.search': '搜索',
+    'chart.previousPeriod': '上一周期',
+    'chart.previousPeriodValue': '上一周期：{duration}',
+
+    'dayDetail.loading': '加载中…',
+    'dayDetail.failed': '加载会话失败：{message}',
+    'dayDetail.empty': '这一天没有编码会话',
+    'dayDetail.summaryOne': '总计：{duration} · {count} 个会话',
+    'dayDetail.summaryOther': '总计：{duration} · {count} 个会话',
+    'dayDetail.close': '关闭',
+
+    'duration.hours': '{n}小时',
+    'duration.minutes': '{n}分',
+    'duration.seconds': '{n}秒',
+
+    'footer.star': '收藏项目',
+    'footer.starHint': '在 GitHub 上加星',
+    'footer.kofiHint': '在 Ko-fi 上支持',
+    'footer.afdianHint': '在爱发电上支持',
+    'footer.solanaHint': '在 Solscan 上查看'
+  }
+};
+
+/**
+ * BCP 47 tag of the IDE locale, used for date and number formatting.
+ */
+let currentLocale = 'en';
+
+/**
+ * Catalog matching the IDE locale.
+ */
+let currentMessages = MESSAGES.en;
+
+/**
+ * First day of week from the IDE settings, numbered like Date.getDay() (0 for Sunday).
+ */
+let firstDayOfWeek = 1;
+
+/**
+ * Whether times are shown on a 24-hour clock instead of AM/PM.
+ */
+let use24HourClock = true;
+
+/**
+ * Switches to the catalog of a locale: an exact match first, then one of the same language, then English.
+ * @param {string} locale - BCP 47 tag, e.g. "zh-CN"
+ * @returns {boolean} True if the locale changed
+ */
+function setLocale(locale) {
+  if (locale === currentLocale) {
+    return false;
+  }
+
+  const language = locale.split('-')[0];
+  const catalog = MESSAGES[locale] ? locale : Object.keys(MESSAGES).find(key => key.split('-')[0] === language);
+  currentLocale = locale;
+  currentMessages = MESSAGES[catalog || 'en'];
+  return true;
+}
+
+/**
+ * Applies the week and clock preferences of the IDE settings.
+ * @param {Object} calendar - firstDayOfWeek (0 for Sunday) and use24HourClock
+ */
+function setCalendarPreferences(calendar) {
+  firstDayOfWeek = calendar.firstDayOfWeek ?? 1;
+  use24HourClock = calendar.use24HourClock ?? true;
+}
+
+/**
+ * Looks up a message and fills in its {placeholders}.
+ * @param {string} key - The message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} The message, or the key itself if no catalog has it
+ */
+function t(key, params = {}) {
+  const message = currentMessages[key] ?? MESSAGES.en[key] ?? key;
+  return message.replace(/\{(\w+)}/g, (placeholder, name) => name in params ? String(params[name]) : placeholder);
+}
+
+/**
+ * Translates the static texts of the page marked with data-i18n, data-i18n-title and data-i18n-aria-label.
+ */
+function localizePage() {
+  document.documentElement.lang = currentLocale;
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+}
+
+/**
+ * Formats a number for the locale with a fixed number of decimals, e.g. 1234.5 → "1,234.50".
+ * @param {number} value - The number
+ * @param {number} [digits] - Number of decimals
+ * @returns {string} The formatted number
+ */
+function formatNumber(value, digits = 0) {
+  return Number(value).toLocaleString(currentLocale, {minimumFractionDigits: digits, maximumFractionDigits: digits});
+}
+
+/**
+ * Formats an ISO date for the locale.
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {Object} [options] - Intl.DateTimeFormat options, the locale's medium date by default
+ * @returns {string} The formatted date
+ */
+function formatDate(isoDate, options = {dateStyle: 'medium'}) {
+  return parseLocalDate(isoDate).toLocaleDateString(currentLocale, options);
+}
+
+/**
+ * Formats a time of day for the locale on the configured clock, e.g. "09:30" or "9:30 AM".
+ * @param {number} hour - 0-23
+ * @param {number} [minute] - 0-59
+ * @returns {string} The formatted time
+ */
+function formatTimeOfDay(hour, minute = 0) {
+  return new Date(2024, 0, 1, hour, minute).toLocaleTimeString(currentLocale, {
+    hour: use24HourClock ? '2-digit' : 'numeric',
+    minute: '2-digit',
+    hourCycle: use24HourClock ? 'h23' : 'h12'
+  });
+}
+
+/**
+ * Names of the weekdays in the locale, starting on the configured first day of week.
+ * @param {string} [style] - 'long', 'short' or 'narrow'
+ * @param {number} [firstDay] - Day to start on, 0 for Sunday
+ * @returns {Array<string>} Seven names
+ */
+function getWeekdayNames(style = 'long', firstDay = firstDayOfWeek) {
+  // 2024-01-07 is a Sunday
+  return Array.from({length: 7}, (_, i) =>
+      new Date(2024, 0, 7 + firstDay + i).toLocaleDateString(currentLocale, {weekday: style}));
+}
+
+/**
+ * Position of a weekday in a week starting on the configured first day, matching getWeekdayNames().
+ * @param {number} dayOfWeek - ISO day of week, 1 for Monday to 7 for Sunday
+ * @returns {number} 0-6
+ */
+function getWeekdayIndex(dayOfWeek) {
+  return (dayOfWeek % 7 - firstDayOfWeek + 7) % 7;
+}
+
+/**
+ * Short names of the months in the locale, starting with January.
+ * @returns {Array<string>} Twelve names
+ */
+function getMonthNames() {
+  return Array.from({length: 12}, (_, i) => new Date(2024, i, 1).toLocaleDateString(currentLocale, {month: 'short'}));
+}
@@ -7,87 +7,737 @@ const chartInstances = {
   dailyHourHeatmap: null,
   overallHourlyChart: null,
   languageDistributionChart: null,
+  languageTrendChart: null,
   projectDistributionChart: null,
-  timeOfDayDistributionChart: null
+  projectTimelineChart: null,
+  timeOfDayDistributionChart: null,
+  ideDistributionChart: null,
+  platformDistributionChart: null,
+  ideLanguageChart: null,
+  dayTimelineChart: null
 };
 
+/**
+ * Default ECharts palette, used to color projects consistently in the day-detail panel.
+ */
+const PROJECT_COLORS = ['#5470c6', '#91cc75', '#fac858', '#ee6666', '#73c0de', '#3ba272', '#fc8452', '#9a60b4', '#ea7ccc'];
+
+/**
+ * Series colors of the charts, see chartColors.
+ * activity: yearly heatmap pieces from least to most time; intensity: weekly heatmap from none to most time.
+ */
+const DEFAULT_CHART_COLORS = {
+  palette: PROJECT_COLORS,
+  timeOfDay: ['#91cc75', '#fac858', '#ee6666', '#5470c6'],
+  activity: ['#00441b', '#006d32', '#238b45', '#41ab5d', '#74c476', '#bae4b3'],
+  intensity: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'],
+  trend: {line: ['#5470c6', '#91cc75'], area: ['#5470c6', 'rgba(145, 204, 117, 0.1)'], point: '#91cc75'},
+  bars: ['#83bff6', '#188df0']
+};
+
+/**
+ * Okabe-Ito palette, which stays distinguishable with color vision deficiencies.
+ */
+const OKABE_ITO_COLORS = ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#999999'];
+
+/**
+ * Viridis samples ordered so that neighbouring series differ most.
+ */
+const VIRIDIS_COLORS = ['#31688e', '#90d743', '#443983', '#35b779', '#fde725', '#21918c', '#46327e', '#5ec962'];
+
+/**
+ * Viridis ramp from light to dark; every step differs in lightness, so it also reads in grayscale.
+ */
+const VIRIDIS_RAMP = ['#fde725', '#90d743', '#35b779', '#21918c', '#31688e', '#443983'];
+
+/**
+ * Chart palettes selectable in the IDE settings (DashboardSettings.ChartPalette), each building its colors for a theme.
+ */
+const PALETTES = {
+  DEFAULT: () => DEFAULT_CHART_COLORS,
+  IDE_ACCENT: theme => {
+    // Payloads of older reports carry no accent
+    const accent = theme.accent || PROJECT_COLORS[0];
+    return buildChartColors({
+      accent,
+      categorical: [accent, ...PROJECT_COLORS.slice(1)],
+      ramp: blendRamp(accent, theme.background)
+    });
+  },
+  OKABE_ITO: theme => buildChartColors({
+    accent: theme.isDark ? '#56b4e9' : '#0072b2',
+    categorical: OKABE_ITO_COLORS,
+    timeOfDay: ['#e69f00', '#009e73', '#d55e00', '#0072b2'],
+    ramp: contrastRamp(VIRIDIS_RAMP, theme)
+  }),
+  VIRIDIS: theme => buildChartColors({
+    accent: theme.isDark ? '#35b779' : '#31688e',
+    categorical: VIRIDIS_COLORS,
+    ramp: contrastRamp(VIRIDIS_RAMP, theme)
+  })
+};
+
+/**
+ * Granularity of the average hourly chart in minutes (30 or 60), switched with the toggle above the chart.
+ */
+let hourlyGranularity = 30;
+
+/**
+ * Data of the last rendered average hourly chart, kept so the granularity can be switched without a request.
+ */
+let lastOverallHourly = null;
+
+/**
+ * Bucket of the project timeline ('day', 'week' or 'month'), switched with the toggle above the chart.
+ */
+let projectTimelineBucket = 'week';
+
+/**
+ * Theme of the last rendered payload, reused by panels opened later (e.g. the day-detail panel).
+ */
+let currentTheme = null;
+
+/**
+ * Color scale of the heatmaps chosen in the IDE settings: mode ('FIXED', 'QUANTILE' or 'CUSTOM')
+ * and the custom thresholds in seconds of the activity (daily) and weekly hour (hourly) heatmaps.
+ */
+let heatmapScale = {mode: 'FIXED', daily: [], hourly: []};
+
+/**
+ * When the distribution pies fold items into "Others", chosen in the IDE settings:
+ * below minPercent of the total time, or beyond the top largest items (0 for no limit).
+ */
+let othersGrouping = {minPercent: 0.1, top: 0};
+
+/**
+ * Distribution charts (by container id) whose "Others" slice is expanded into the items folded into it.
+ */
+const expandedOthers = new Set();
+
+/**
+ * Lower-cased search of each distribution card (by chart key), highlighting its pie and filtering its table.
+ */
+const distributionSearches = {};
+
+/**
+ * Range of the last rendered payload, reused when a single chart is re-rendered.
+ */
+let currentRange = null;
+
+/**
+ * Start date of the streak picked in the streak history of the heatmap, whose days are outlined; null for none.
+ */
+let selectedStreak = null;
+
+/**
+ * ECharts theme ('dark' or 'default') each live chart instance was created with.
+ */
+const chartInstanceThemes = {};
+
+/**
+ * Event handlers bound by the last render of each chart, so a re-render can replace them.
+ */
+const chartHandlers = {};
+
+/**
+ * Last live status pushed by the IDE: {active, project, language, elapsedSeconds, unsavedSeconds}.
+ * The IDE re-syncs it every few seconds; in between the banner and the summary cards tick locally.
+ */
+let liveStatus = null;
+
+/**
+ * Time (ms) the last live status arrived, the base of the local ticking.
+ */
+let liveStatusReceivedAt = 0;
+
+/**
+ * Interval ticking the live status once per second while a session is active.
+ */
+let liveTicker = null;
+
+/**
+ * Summary totals of the last payload, which the live ticking adds unsaved time on top of.
+ */
+let lastSummaryData = null;
+
+/**
+ * Goals of the last payload ({daily, weekly, projects, streaks}), shown as rings on the summary cards.
+ */
+let currentGoals = null;
+
+/**
+ * Last data of each chart data provider, kept so a chart can be re-drawn offscreen for an image export.
+ */
+const lastChartData = {};
+
+/**
+ * Chart containers that can be exported as an image, mapped to the chart key of their provider.
+ */
+const EXPORTABLE_CHARTS = {
+  timeOfDayDistributionChart: 'timeOfDayDistribution',
+  heatmap: 'yearlyActivity',
+  recentActivityChart: 'recentActivity',
+  dailyHourHeatmap: 'hourlyHeatmap',
+  overallHourlyChart: 'overallHourly',
+  languageDistributionChart: 'languageDistribution',
+  languageTrendChart: 'languageTrend',
+  projectDistributionChart: 'projectDistribution',
+  projectTimelineChart: 'projectTimeline',
+  ideDistributionChart: 'ideDistribution',
+  platformDistributionChart: 'platformDistribution',
+  ideLanguageChart: 'ideLanguage'
+};
+
+/**
+ * Fixed colors exported images are drawn with, so they look the same whatever the IDE theme is.
+ */
+const EXPORT_THEMES = {
+  light: {isDark: false, background: '#ffffff', foreground: '#1f1f1f', secondary: '#6e6e6e', border: '#e0e0e0'},
+  dark: {isDark: true, background: '#1e1f22', foreground: '#dfe1e5', secondary: '#b0b0b0', border: '#393b40'}
+};
+
+/**
+ * The save dialog stays open until the user picks a file, so saving an image waits much longer than a data request.
+ */
+const SAVE_IMAGE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * What the open export menu exports: a chart container id, or 'dashboard'.
+ */
+let exportTarget = null;
+
+/**
+ * Background chosen in the export menu ('light' or 'dark'), defaulting to the IDE theme.
+ */
+let exportBackground = null;
+
+/**
+ * Offscreen instance a chart is drawn into while it is exported ({chartKey, chart}), see getOrInitChart.
+ */
+let offscreenChart = null;
+
+/**
+ * ECharts renderer of the live charts; a standalone report uses SVG so its charts stay sharp when printed.
+ */
+let chartRenderer = 'canvas';
+
+/**
+ * Layout of the chart cards from the last payload, [{card, hidden, wide}] in display order (see DashboardLayout.kt).
+ * Cards are identified by the chart key of their provider.
+ */
+let currentLayout = [];
+
+/**
+ * Message keys of the chart titles, used to name the cards in the layout menu.
+ */
+const CARD_TITLES = {
+  timeOfDayDistribution: 'timeOfDay.title',
+  yearlyActivity: 'heatmap.title',
+  recentActivity: 'recent.title',
+  hourlyHeatmap: 'weekly.title',
+  overallHourly: 'hourly.title',
+  languageDistribution: 'language.title',
+  languageTrend: 'languageTrend.title',
+  projectDistribution: 'project.title',
+  projectTimeline: 'projectTimeline.title',
+  ideDistribution: 'ide.title',
+  platformDistribution: 'platform.title',
+  ideLanguage: 'ideLanguage.title'
+};
+
+/**
+ * Chart keys of the cards showing a data table instead of their chart.
+ */
+const tableViews = new Set();
+
+/**
+ * Sort order of the data tables, {column, descending} keyed by chart key; an unsorted table keeps the data order.
+ */
+const tableSorts = {};
+
+/**
+ * Data tables of the chart cards, keyed by the chart key of their provider.
+ * Each turns the provider data into {columns: [{label, numeric}], rows: [[{text, value}]]},
+ * where text is shown and value is sorted by.
+ */
+const TABLE_BUILDERS = {
+  timeOfDayDistribution: data => shareTable(t('table.period'),
+      timeOfDayBuckets(data).map(bucket => ({label: bucket.label, seconds: bucket.seconds}))),
+  yearlyActivity: data => ({
+    columns: [{label: t('table.date')}, {label: t('table.codingTime'), numeric: true}],
+    rows: data.data.filter(item => item.seconds > 0).map(item => [dateCell(item.date), durationCell(item.seconds)])
+  }),
+  recentActivity: data => {
+    const previous = data.previous ? data.previous.data : null;
+    return {
+      columns: [
+        {label: t('table.date')},
+        {label: t('table.codingTime'), numeric: true},
+        ...(previous ? [{label: t('table.previous'), numeric: true}] : [])
+      ],
+      // The previous period is aligned day by day, as in the chart
+      rows: data.data.map((item, index) => [
+        dateCell(item.fullDate),
+        durationCell(item.seconds),
+        ...(previous ? [durationCell(previous[index] ? previous[index].seconds : 0)] : [])
+      ])
+    };
+  },
+  hourlyHeatmap: data => {
+    const days = getWeekdayNames();
+    return {
+      columns: [{label: t('table.day')}, {label: t('table.hour')}, {label: t('table.codingTime'), numeric: true}],
+      rows: data.data.filter(item => item.seconds > 0).map(item => {
+        const day = getWeekdayIndex(item.dayOfWeek);
+        return [
+          {text: days[day], value: day},
+          {text: formatTimeOfDay(item.hour), value: item.hour},
+          durationCell(item.seconds)
+        ];
+      })
+    };
+  },
+  overallHourly: data => ({
+    columns: [{label: t('table.timeSlot')}, {label: t('table.average'), numeric: true}],
+    rows: data.data.map(item => {
+      const minute = item.minute || 0;
+      return [{text: formatTimeOfDay(item.hour, minute), value: item.hour * 60 + minute}, durationCell(item.seconds)];
+    })
+  }),
+  languageDistribution: data => shareTable(t('table.language'),
+      distributionItems('languageDistribution', data).map(item => ({...item, label: item.name}))),
+  languageTrend: data => {
+    const series = groupLanguageTrend(data);
+    return {
+      columns: [
+        {label: t(data.bucket === 'month' ? 'table.month' : 'table.week')},
+        ...series.map(item => ({label: item.name, numeric: true}))
+      ],
+      rows: data.periods.map((period, index) => [
+        {text: formatTrendPeriod(period, data.bucket), value: period},
+        ...series.map(item => durationCell(item.seconds[index]))
+      ])
+    };
+  },
+  projectDistribution: data => shareTable(t('table.project'),
+      distributionItems('projectDistribution', data).map(item => ({...item, label: item.name}))),
+  // Every project, not only those drawn on their own, so the hours can be read per project
+  projectTimeline: data => {
+    const {periods, series} = bucketProjectTimeline(data, projectTimelineBucket);
+    return {
+      columns: [
+        {label: t('table.timePeriod')},
+        {label: t('table.project')},
+        {label: t('table.codingTime'), numeric: true}
+      ],
+      rows: periods.flatMap((period, index) => series
+          .filter(item => item.seconds[index] > 0)
+          .map(item => [
+            {text: formatTimelinePeriod(period, projectTimelineBucket), value: period.start},
+            {text: item.name, value: item.name},
+            durationCell(item.seconds[index])
+          ]))
+    };
+  },
+  ideDistribution: data => shareTable(t('table.ide'),
+      distributionItems('ideDistribution', data).map(item => ({...item, label: item.name}))),
+  platformDistribution: data => shareTable(t('table.platform'),
+      distributionItems('platformDistribution', data).map(item => ({...item, label: item.name}))),
+  ideLanguage: data => ({
+    columns: [{label: t('table.ide')}, {label: t('table.language')}, {label: t('table.codingTime'), numeric: true}],
+    rows: data.data.map(item => [
+      {text: item.ide, value: item.ide},
+      {text: item.language, value: item.language},
+      durationCell(item.seconds)
+    ])
+  })
+};
+
+/**
+ * Cross-filter currently applied by the IDE, e.g. {PROJECT: ['foo'], LANGUAGE: ['Kotlin']}.
+ * Updated as soon as a filter is requested, so quick clicks build on each other, and from every payload.
+ */
+let activeFilters = {};
+
+/**
+ * Sequence number of the latest request answered with a full payload.
+ * Bridge handlers run on pooled threads, so answers can arrive out of order and older ones are dropped.
+ */
+let payloadSequence = 0;
+
 /**
  * Renders all charts with the provided data and theme information.
  * @param {string} payload - A JSON string containing theme colors and chart data.
  */
 globalThis.renderCharts = function (payload) {
   try {
-    const jsonPayload = JSON.parse(payload);
+    renderDashboard(JSON.parse(payload));
+  } catch (e) {
+    console.error("Failed to parse or render chart data:", e);
+  }
+};
+
+/**
+ * Re-themes the dashboard after the IDE theme changed, re-drawing the charts from their last data.
+ * @param {string} payload - A JSON string containing the theme colors
+ */
+globalThis.applyIdeTheme = function (payload) {
+  try {
+    if (!currentTheme) {
+      // Nothing rendered yet; the first payload brings the new theme
+      return;
+    }
+    const data = {theme: JSON.parse(payload), range: currentRange, filter: activeFilters};
+    for (const chartKey of Object.keys(CHART_RENDERERS)) {
+      const hidden = currentLayout.some(item => item.card === chartKey && item.hidden);
+      if (lastChartData[chartKey] && !hidden) {
+        data[chartKey] = lastChartData[chartKey];
+      }
+    }
+    renderDashboard(data);
+  } catch (e) {
+    console.error("Failed to apply the IDE theme:", e);
+  }
+};
+
+/**
+ * Renders the payload snapshot of a standalone HTML report (see HtmlReportBuilder.kt), opened without the IDE.
+ * The report is drawn in the light export colors so it prints well, and hides the controls that need the IDE.
+ * @param {string} payload - A JSON string containing the dashboard payload
+ * @param {string} generatedAt - When the report was generated, e.g. "2026-01-31 18:00"
+ */
+globalThis.renderReport = function (payload, generatedAt) {
+  try {
+    const data = JSON.parse(payload);
+    data.theme = exportTheme('light', data.theme);
+    chartRenderer = 'svg';
+    document.body.classList.add('report');
+
+    renderDashboard(data);
+
+    document.getElementById('report-range').textContent = `${formatDate(data.range.start)} – ${formatDate(data.range.end)}`;
+    document.getElementById('report-generated').textContent = t('report.generated', {time: generatedAt});
+    document.getElementById('report-header').hidden = false;
+  } catch (e) {
+    console.error("Failed to render the report:", e);
+  }
+};
+
+/**
+ * Renderers of the chart data providers, keyed by their chart key (ChartDataProvider.getChartKey() in the IDE).
+ * Each receives the provider data and the context it is drawn in ({theme, range}).
+ * Listed in render order: the summary comes FIRST for better UX.
+ */
+const CHART_RENDERERS = {
+  summaryData: data => renderSummary(data),
+  // Before the heatmap, which marks the days meeting the daily goal
+  goals: data => renderGoals(data),
+  recentActivity: (data, context) => renderRecentActivityChart(data.data, context.theme, data.previous),
+  yearlyActivity: (data, context) => renderYearlyActivityHeatmap(data, context.range, context.theme),
+  hourlyHeatmap: (data, context) => renderDailyHourHeatmap(data.data, context.theme),
+  overallHourly: (data, context) => {
+    lastOverallHourly = data;
+    renderOverallHourlyChart(data.data, data.totalDays, context.theme, data.previous);
+  },
+  languageDistribution: (data, context) => renderLanguageDistribution(data, context.theme),
+  languageTrend: (data, context) => renderLanguageTrend(data, context.theme),
+  projectDistribution: (data, context) => renderProjectDistribution(data, context.theme),
+  projectTimeline: (data, context) => renderProjectTimeline(data, context.theme),
+  timeOfDayDistribution: (data, context) => renderTimeOfDayDistribution(data, context.theme),
+  ideDistribution: (data, context) => renderEnvironmentDistribution('ideDistribution', data, context.theme),
+  platformDistribution: (data, context) => renderEnvironmentDistribution('platformDistribution', data, context.theme),
+  ideLanguage: (data, context) => renderIdeLanguage(data, context.theme)
+};
+
+/**
+ * Renders every section present in the payload.
+ * Used both for payloads pushed by the IDE and for payloads returned by bridge requests.
+ * Existing chart instances are updated in place, see getOrInitChart.
+ * @param {Object} jsonPayload - Theme colors, the resolved range and chart data keyed by chart
+ * @param {number} [sequence] - Sequence number of the request answered with the payload, see requestPayload
+ */
+function renderDashboard(jsonPayload, sequence) {
+  if (sequence !== undefined && sequence !== payloadSequence) {
+    // A later request is pending or already rendered
+    return;
+  }
+  try {
     const theme = jsonPayload.theme;
+    currentTheme = theme;
 
+    if (jsonPayload.locale && setLocale(jsonPayload.locale)) {
+      localizePage();
+      labelCards();
+    }
+    if (jsonPayload.calendar) {
+      setCalendarPreferences(jsonPayload.calendar);
+    }
+    if (jsonPayload.heatmapScale) {
+      heatmapScale = jsonPayload.heatmapScale;
+    }
+    if (jsonPayload.othersGrouping) {
+      othersGrouping = jsonPayload.othersGrouping;
+    }
+    if (jsonPayload.projectGrouping) {
+      renderProjectGrouping(jsonPayload.projectGrouping);
+    }
     applyTheme(theme);
 
-    // Render summary dashboard FIRST for better UX
-    if (jsonPayload.summaryData) {
-      renderSummary(jsonPayload.summaryData);
+    if (jsonPayload.range) {
+      currentRange = jsonPayload.range;
+      renderRangePicker(jsonPayload.range);
     }
 
-    if (jsonPayload.recentActivity) {
-      renderRecentActivityChart(
-          jsonPayload.recentActivity.data,
-          theme
-      );
-    }
+    renderFilterBar(jsonPayload.filter || {});
 
-    // Render yearly activity heatmap
-    if (jsonPayload.yearlyActivity) {
-      renderYearlyActivityHeatmap(
-          jsonPayload.yearlyActivity.data,
-          jsonPayload.yearlyActivity.streaks,
-          theme
-      );
+    // Before the charts, so a card shown again is visible and sized when its chart is drawn
+    if (jsonPayload.layout) {
+      applyLayout(jsonPayload.layout);
     }
 
-    // Render daily hour heatmap
-    if (jsonPayload.hourlyHeatmap) {
-      renderDailyHourHeatmap(
-          jsonPayload.hourlyHeatmap.data,
-          theme
-      );
+    const context = {theme, range: jsonPayload.range};
+    for (const [chartKey, render] of Object.entries(CHART_RENDERERS)) {
+      if (jsonPayload[chartKey]) {
+        lastChartData[chartKey] = jsonPayload[chartKey];
+        render(jsonPayload[chartKey], context);
+        if (tableViews.has(chartKey)) {
+          renderCardTable(chartKey);
+        }
+      }
     }
+  } catch (e) {
+    console.error("Failed to render chart data:", e);
+  }
+}
 
-    // Render overall hourly distribution
-    if (jsonPayload.overallHourly) {
-      renderOverallHourlyChart(
-          jsonPayload.overallHourly.data,
-          jsonPayload.overallHourly.totalDays,
-          theme
-      );
-    }
+/**
+ * Sends a request answered with a full payload and renders the answer unless a later request was sent meanwhile.
+ * @param {string} type - The bridge request type, e.g. "setRange"
+ * @param {Object} params - The request parameters
+ * @param {function(Object, number)} [render] - Renders the answer with its sequence number, renderDashboard by default
+ * @returns {Promise<void>} Rejected when the IDE rejects the request
+ */
+function requestPayload(type, params, render = renderDashboard) {
+  const sequence = ++payloadSequence;
+  return ideBridge.request(type, params).then(result => render(result, sequence));
+}
 
-    // Render language distribution chart
-    if (jsonPayload.languageDistribution) {
-      renderLanguageDistribution(
-          jsonPayload.languageDistribution.data,
-          theme
-      );
+/**
+ * Re-renders a single chart, e.g. when only one provider's data changed.
+ * Uses the theme and range of the last full payload.
+ * @param {string} chartKey - The chart key of the provider, e.g. "languageDistribution"
+ * @param {string} payload - A JSON string containing the provider data
+ */
+globalThis.renderChart = function (chartKey, payload) {
+  try {
+    const render = CHART_RENDERERS[chartKey];
+    if (!render) {
+      console.warn(`Unknown chart key: ${chartKey}`);
+      return;
     }
-
-    // Render project distribution chart
-    if (jsonPayload.projectDistribution) {
-      renderProjectDistribution(
-          jsonPayload.projectDistribution.data,
-          theme
-      );
+    if (!currentTheme) {
+      // Nothing rendered yet; the first full payload will include this chart
+      return;
     }
-
-    // Render time of day distribution chart
-    if (jsonPayload.timeOfDayDistribution) {
-      renderTimeOfDayDistribution(
-          jsonPayload.timeOfDayDistribution.data,
-          theme
-      );
+    lastChartData[chartKey] = JSON.parse(payload);
+    render(lastChartData[chartKey], {theme: currentTheme, range: currentRange});
+    if (tableViews.has(chartKey)) {
+      renderCardTable(chartKey);
     }
   } catch (e) {
-    console.error("Failed to parse or render chart data:", e);
+    console.error(`Failed to render chart ${chartKey}:`, e);
   }
 };
 
+/**
+ * Wires up the date range picker.
+ * The selection is resolved by the IDE, which re-queries every chart data provider
+ * for the new range and answers with the fresh payload.
+ */
+function initRangePicker() {
+  document.querySelectorAll('.range-btn[data-preset]').forEach(button => {
+    button.addEventListener('click', () => requestRange({preset: button.dataset.preset}));
+  });
+
+  const startInput = document.getElementById('range-start');
+  const endInput = document.getElementById('range-end');
+  document.getElementById('range-apply').addEventListener('click', () => {
+    const start = startInput.value;
+    const end = endInput.value;
+    // ISO dates compare correctly as strings
+    const invalid = !start || !end || start > end;
+    startInput.classList.toggle('invalid', invalid);
+    endInput.classList.toggle('invalid', invalid);
+    if (!invalid) {
+      requestRange({preset: 'CUSTOM', start: start, end: end});
+    }
+  });
+
+  const compareButton = document.getElementById('range-compare');
+  compareButton.addEventListener('click', () => {
+    const enabled = !compareButton.classList.contains('active');
+    // Toggled right away so a quick second click toggles back; the payload confirms the state
+    compareButton.classList.toggle('active', enabled);
+    requestPayload('setCompare', {enabled})
+        .catch(error => console.warn('Compare request failed:', error.message));
+  });
+
+  document.querySelectorAll('#project-grouping .range-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      requestPayload('setProjectGrouping', {enabled: button.dataset.grouped === 'true'}, (result, sequence) => {
+        // A full payload comes back when a project filter had to be dropped,
+        // otherwise the IDE re-renders the project charts through renderChart
+        if (result.theme) {
+          renderDashboard(result, sequence);
+        } else if (sequence === payloadSequence) {
+          renderProjectGrouping(result.projectGrouping);
+        }
+      })
+          .catch(error => console.warn('Project grouping request failed:', error.message));
+    });
+  });
+}
+
+/**
+ * Sends a range selection to the IDE and renders the returned payload.
+ * A rejected range (e.g. reversed custom dates) marks the date inputs as invalid.
+ * @param {Object} request - {preset} or {preset: 'CUSTOM', start, end} with ISO dates
+ */
+function requestRange(request) {
+  requestPayload('setRange', request)
+      .catch(error => {
+        console.warn('Date range request failed:', error.message);
+        if (request.preset === 'CUSTOM') {
+          document.getElementById('range-start').classList.add('invalid');
+          document.getElementById('range-end').classList.add('invalid');
+        }
+      });
+}
+
+/**
+ * Reflects the range resolved by the IDE in the picker.
+ * @param {Object} range - {preset, start, end} with inclusive ISO dates
+ */
+function renderRangePicker(range) {
+  document.querySelectorAll('.range-btn[data-preset]').forEach(button => {
+    button.classList.toggle('active', button.dataset.preset === range.preset);
+  });
+
+  const startInput = document.getElementById('range-start');
+  const endInput = document.getElementById('range-end');
+  startInput.value = range.start;
+  endInput.value = range.end;
+  startInput.classList.remove('invalid');
+  endInput.classList.remove('invalid');
+
+  const compareButton = document.getElementById('range-compare');
+  compareButton.classList.toggle('active', Boolean(range.compare));
+  compareButton.setAttribute('aria-pressed', String(Boolean(range.compare)));
+}
+
+/**
+ * Reflects whether the project charts sum projects into their groups.
+ * The toggle is only shown once groups are defined in the plugin settings.
+ * @param {Object} grouping - {enabled, available}
+ */
+function renderProjectGrouping(grouping) {
+  const toggle = document.getElementById('project-grouping');
+  toggle.hidden = !grouping.available;
+  toggle.querySelectorAll('.range-btn').forEach(button => {
+    button.classList.toggle('active', (button.dataset.grouped === 'true') === Boolean(grouping.enabled));
+  });
+}
+
+/**
+ * Adds the value to the filter of its dimension, or removes it when it is already selected.
+ * Values of one dimension are OR'd, dimensions are AND'd by the IDE.
+ * @param {string} dimension - PROJECT, LANGUAGE, IDE or PLATFORM
+ * @param {string} value - The project, language, IDE or operating system name
+ */
+function toggleFilter(dimension, value) {
+  const values = new Set(activeFilters[dimension] || []);
+  if (values.has(value)) {
+    values.delete(value);
+  } else {
+    values.add(value);
+  }
+  requestFilter({...activeFilters, [dimension]: [...values]});
+}
+
+/**
+ * Sends the complete filter to the IDE and renders the returned payload.
+ * The filter applies on the page right away and is restored when the IDE rejects it.
+ * @param {Object<string, Array<string>>} filters - Selected values keyed by dimension
+ */
+function requestFilter(filters) {
+  const previous = activeFilters;
+  const selected = Object.fromEntries(Object.entries(filters).filter(([, values]) => values.length > 0));
+  activeFilters = selected;
+  requestPayload('setFilter', {filters: selected})
+      .catch(error => {
+        console.warn('Filter request failed:', error.message);
+        if (activeFilters === selected) {
+          activeFilters = previous;
+        }
+      });
+}
+
+/**
+ * Wires up the "Clear all" button of the filter bar.
+ */
+function initFilterBar() {
+  document.getElementById('filter-clear').addEventListener('click', () => requestFilter({}));
+}
+
+/**
+ * Shows one removable chip per selected value, e.g. "Project: foo".
+ * The bar is hidden while no filter is applied.
+ * @param {Object<string, Array<string>>} filter - Selected values keyed by dimension
+ */
+function renderFilterBar(filter) {
+  activeFilters = filter;
+
+  const container = document.getElementById('filter-chips');
+  container.replaceChildren();
+
+  Object.entries(filter).forEach(([dimension, values]) => {
+    values.forEach(value => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.title = t('filter.remove');
+      chip.textContent = `${t(`filter.${dimension}`)}: ${value}`;
+
+      const remove = document.createElement('span');
+      remove.className = 'filter-chip-remove';
+      remove.setAttribute('aria-hidden', 'true');
+      remove.textContent = '×';
+      chip.appendChild(remove);
+
+      chip.addEventListener('click', () => toggleFilter(dimension, value));
+      container.appendChild(chip);
+    });
+  });
+
+  document.getElementById('filter-bar').hidden = container.childElementCount === 0;
+}
+
+/**
+ * Lets clicks on a distribution pie toggle the corresponding filter.
+ * The aggregated "Others" slice (marked with others: true) has no single value; clicking it expands it instead.
+ * @param {string} chartKey - The key of the pie chart in chartInstances
+ * @param {string} dimension - PROJECT, LANGUAGE, IDE or PLATFORM
+ */
+function bindFilterClick(chartKey, dimension) {
+  onChartEvent(chartKey, 'click', params => {
+    if (params.data.others) {
+      setOthersExpanded(chartKey, true);
+    } else {
+      toggleFilter(dimension, params.name);
+    }
+  });
+}
+
 /**
  * Renders summary statistics in the dashboard header with smooth animations.
  * Uses theme-aware colors to ensure visibility in all IDE themes.
@@ -96,11 +746,12 @@ globalThis.renderCharts = function (payload) {
  */
 function renderSummary(summaryData) {
   const metrics = ['today', 'dailyAverage', 'thisWeek', 'thisMonth', 'thisYear', 'total'];
+  lastSummaryData = summaryData;
 
   metrics.forEach(metric => {
     const element = document.getElementById(`metric-${metric}`);
     if (element && summaryData[metric] !== undefined) {
-      const formattedValue = formatDuration(summaryData[metric]);
+      const formattedValue = formatDuration(summaryData[metric] + getLiveSeconds(metric));
 
       // Apply value with animation
       element.style.opacity = '0';
@@ -117,18 +768,278 @@ function renderSummary(summaryData) {
       });
     }
   });
+
+  renderSummaryChanges();
+  renderGoalRings();
 }
 
 /**
- * Applies theme colors to CSS variables for UI elements.
- * Handles both scrollbars and card styling for light/dark modes.
- * @param {Object} theme - Theme colors
+ * Shows the change of every summary card against its previous period, e.g. today vs yesterday.
+ * Uses the current card values, so the indicators follow the live ticking.
  */
-function applyTheme(theme) {
-  const root = document.documentElement;
+function renderSummaryChanges() {
+  if (!lastSummaryData || !lastSummaryData.previous) return;
+
+  Object.entries(lastSummaryData.previous).forEach(([metric, previousSeconds]) => {
+    const element = document.querySelector(`.summary-card[data-metric="${metric}"] .metric-change`);
+    if (!element) return;
+
+    const seconds = lastSummaryData[metric] + getLiveSeconds(metric);
+    let text;
+    if (previousSeconds === 0) {
+      text = seconds > 0 ? `▲ ${t('summary.new')}` : '–';
+    } else {
+      const change = Math.round((seconds - previousSeconds) / previousSeconds * 100);
+      const arrow = change > 0 ? '▲' : '▼';
+      text = change === 0 ? '– 0%' : `${arrow} ${Math.abs(change)}%`;
+    }
 
-  if (theme.isDark) {
-    // === Dark Mode ===
+    element.hidden = false;
+    element.textContent = text;
+    element.title = `${t(`previous.${metric}`)}: ${formatDuration(previousSeconds)}`;
+    element.setAttribute('aria-label', `${text}, ${element.title}`);
+    element.classList.toggle('up', seconds > previousSeconds);
+    element.classList.toggle('down', seconds < previousSeconds);
+  });
+}
+
+/**
+ * Renders the goal progress: rings on the Today and This Week cards and a bar per project goal.
+ * @param {Object} goals - {daily, weekly, projects, streaks}; a goal of 0 seconds is not set
+ */
+function renderGoals(goals) {
+  currentGoals = goals;
+  renderGoalRings();
+
+  const list = document.getElementById('goal-list');
+  list.replaceChildren();
+  list.hidden = goals.projects.length === 0;
+
+  goals.projects.forEach(goal => {
+    const item = document.createElement('div');
+    item.className = 'goal-item';
+
+    const name = document.createElement('span');
+    name.className = 'goal-project';
+    name.textContent = goal.project;
+    name.title = goal.project;
+    item.appendChild(name);
+
+    [[t('goal.today'), goal.daily], [t('goal.thisWeek'), goal.weekly]].forEach(([label, progress]) => {
+      if (!progress.goalSeconds) return;
+      const ratio = progress.seconds / progress.goalSeconds;
+
+      const bar = document.createElement('div');
+      bar.className = 'goal-bar';
+      bar.classList.toggle('met', ratio >= 1);
+      bar.title = t('goal.progress', {
+        label,
+        seconds: formatDuration(progress.seconds),
+        goal: formatDuration(progress.goalSeconds)
+      });
+      bar.setAttribute('role', 'progressbar');
+      bar.setAttribute('aria-label', `${goal.project}, ${label}`);
+      bar.setAttribute('aria-valuenow', String(Math.round(ratio * 100)));
+
+      const fill = document.createElement('div');
+      fill.className = 'goal-bar-fill';
+      fill.style.width = `${Math.min(ratio, 1) * 100}%`;
+      bar.appendChild(fill);
+
+      const text = document.createElement('span');
+      text.className = 'goal-bar-label';
+      text.textContent = `${label} ${Math.floor(ratio * 100)}%`;
+      bar.appendChild(text);
+
+      item.appendChild(bar);
+    });
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Updates the goal rings from the current card values, so they follow the live ticking.
+ */
+function renderGoalRings() {
+  [['today', 'daily'], ['thisWeek', 'weekly']].forEach(([metric, period]) => {
+    const card = document.querySelector(`.summary-card[data-metric="${metric}"]`);
+    const ring = card.querySelector('.goal-ring');
+    const label = card.querySelector('.metric-goal');
+    const goalSeconds = currentGoals ? currentGoals[period].goalSeconds : 0;
+
+    if (!goalSeconds || !lastSummaryData) {
+      ring.toggleAttribute('hidden', true);
+      label.hidden = true;
+      return;
+    }
+
+    const seconds = lastSummaryData[metric] + getLiveSeconds(metric);
+    const ratio = seconds / goalSeconds;
+    ring.toggleAttribute('hidden', false);
+    ring.classList.toggle('met', ratio >= 1);
+    ring.querySelector('.goal-ring-progress').style.strokeDasharray = `${Math.min(ratio, 1) * 100} 100`;
+    label.hidden = false;
+    label.textContent = t('goal.ring', {percent: Math.floor(ratio * 100), goal: formatDuration(goalSeconds)});
+  });
+}
+
+/**
+ * Receives the tracking state pushed by the IDE for the current-session banner.
+ * @param {string} payload - A JSON string containing the live status
+ */
+globalThis.updateLiveStatus = function (payload) {
+  try {
+    renderLiveStatus(JSON.parse(payload));
+  } catch (e) {
+    console.error("Failed to render live status:", e);
+  }
+};
+
+/**
+ * Stores the live status and ticks once per second while a session is active.
+ * @param {Object} status - {active, project, language, elapsedSeconds, unsavedSeconds}
+ */
+function renderLiveStatus(status) {
+  liveStatus = status;
+  liveStatusReceivedAt = Date.now();
+
+  if (status.active && !liveTicker) {
+    liveTicker = setInterval(tickLiveStatus, 1000);
+  } else if (!status.active && liveTicker) {
+    clearInterval(liveTicker);
+    liveTicker = null;
+  }
+  tickLiveStatus();
+}
+
+/**
+ * Seconds passed since the last live status, counted only while a session is active.
+ * @returns {number} Whole seconds
+ */
+function getLiveTickSeconds() {
+  if (!liveStatus || !liveStatus.active) return 0;
+  return Math.floor((Date.now() - liveStatusReceivedAt) / 1000);
+}
+
+/**
+ * Tracked seconds not yet included in the summary totals of a metric.
+ * Unsaved time is not split by project or language, so nothing is added while the dashboard is filtered.
+ * @param {string} metric - Summary metric, e.g. 'today'
+ * @returns {number} Seconds to add to the metric
+ */
+function getLiveSeconds(metric) {
+  if (!liveStatus || !liveStatus.unsavedSeconds || Object.keys(activeFilters).length > 0) return 0;
+  const unsaved = liveStatus.unsavedSeconds[metric];
+  return unsaved === undefined ? 0 : unsaved + getLiveTickSeconds();
+}
+
+/**
+ * Updates the current-session banner and the live summary cards.
+ */
+function tickLiveStatus() {
+  const banner = document.getElementById('live-banner');
+  banner.hidden = false;
+  banner.classList.toggle('active', liveStatus.active);
+
+  document.getElementById('live-label').textContent = t(liveStatus.active ? 'live.coding' : 'live.idle');
+  document.getElementById('live-detail').textContent = liveStatus.active
+      ? `${liveStatus.project} / ${liveStatus.language} / ${formatDuration(liveStatus.elapsedSeconds + getLiveTickSeconds())}`
+      : '';
+
+  if (!lastSummaryData) return;
+  Object.keys(liveStatus.unsavedSeconds || {}).forEach(metric => {
+    const element = document.getElementById(`metric-${metric}`);
+    if (element && lastSummaryData[metric] !== undefined) {
+      element.textContent = formatDuration(lastSummaryData[metric] + getLiveSeconds(metric));
+    }
+  });
+  renderSummaryChanges();
+  renderGoalRings();
+}
+
+/**
+ * Series colors for a theme, from the palette chosen in the IDE settings.
+ * High contrast swaps the default palette for the color-blind safe Okabe-Ito one.
+ * @param {Object} theme - Theme colors
+ * @returns {Object} Colors shaped like DEFAULT_CHART_COLORS
+ */
+function chartColors(theme) {
+  if (!theme) {
+    return DEFAULT_CHART_COLORS;
+  }
+  const name = PALETTES[theme.palette] ? theme.palette : 'DEFAULT';
+  return PALETTES[theme.highContrast && name === 'DEFAULT' ? 'OKABE_ITO' : name](theme);
+}
+
+/**
+ * Builds the chart colors of a palette.
+ * @param {Object} spec - accent (single-series charts), categorical colors, the activity ramp and optionally
+ *                        4 time of day colors (the first categorical colors by default)
+ * @returns {Object} Colors shaped like DEFAULT_CHART_COLORS
+ */
+function buildChartColors({accent, categorical, ramp, timeOfDay = categorical.slice(0, 4)}) {
+  return {
+    palette: categorical,
+    timeOfDay,
+    activity: ramp,
+    intensity: ramp,
+    trend: {line: [accent, accent], area: [accent, withAlpha(accent, 0.1)], point: accent},
+    bars: [accent, accent]
+  };
+}
+
+/**
+ * Orders a light-to-dark ramp so little time fades into the background and a lot of it stands out.
+ * @param {Array<string>} ramp - Colors from light to dark
+ * @param {Object} theme - Theme colors
+ * @returns {Array<string>} The ramp from least to most time
+ */
+function contrastRamp(ramp, theme) {
+  return theme.isDark ? [...ramp].reverse() : ramp;
+}
+
+/**
+ * Six steps from nearly the background to the full color, from least to most time.
+ * @param {string} color - Hex color
+ * @param {string} background - Hex background color
+ * @returns {Array<string>} The ramp
+ */
+function blendRamp(color, background) {
+  return [0.85, 0.7, 0.55, 0.4, 0.2, 0].map(weight => mixColors(color, background, weight));
+}
+
+/**
+ * Mixes two hex colors.
+ * @param {string} color - Hex color
+ * @param {string} other - Hex color mixed in
+ * @param {number} weight - Share of the other color, 0-1
+ * @returns {string} The mixed color as hex
+ */
+function mixColors(color, other, weight) {
+  const a = parseHexColor(color);
+  const b = parseHexColor(other);
+  return '#' + a.map((channel, i) => Math.round(channel + (b[i] - channel) * weight).toString(16).padStart(2, '0')).join('');
+}
+
+function withAlpha(color, alpha) {
+  return `rgba(${parseHexColor(color).join(', ')}, ${alpha})`;
+}
+
+function parseHexColor(color) {
+  return [1, 3, 5].map(i => parseInt(color.substring(i, i + 2), 16));
+}
+
+/**
+ * Applies theme colors to CSS variables for UI elements.
+ * Handles both scrollbars and card styling for light/dark modes.
+ * @param {Object} theme - Theme colors
+ */
+function applyTheme(theme) {
+  const root = document.documentElement;
+
+  if (theme.isDark) {
+    // === Dark Mode ===
     root.style.setProperty('--scrollbar-thumb-color', 'rgba(255, 255, 255, 0.2)');
     root.style.setProperty('--scrollbar-thumb-hover-color', 'rgba(255, 255, 255, 0.3)');
     root.style.setProperty('--scrollbar-thumb-active-color', 'rgba(255, 255, 255, 0.4)');
@@ -173,125 +1084,464 @@ function applyTheme(theme) {
     root.style.setProperty('--btn-hover-text', '#fff');
   }
 
+  document.body.classList.toggle('high-contrast', Boolean(theme.highContrast));
+
   // Global text colors
+  root.style.setProperty('--accent', theme.accent || '#5470c6');
   root.style.setProperty('--text-primary', theme.foreground);
   root.style.setProperty('--text-secondary', theme.secondary);
+  root.style.setProperty('--panel-bg', theme.background);
 }
 
 /**
- * Renders the yearly activity contribution heatmap.
- * @param {Array<Object>} data - Array of data points
- * @param {Object} streaks - Streak information
- * @param {Object} theme - Theme colors
+ * Thresholds of a heatmap's colors for the scale chosen in the IDE settings.
+ * @param {Array<number>} values - Seconds of every cell, for the quantile scale
+ * @param {Array<number>} custom - Custom thresholds in seconds
+ * @param {number} steps - Number of thresholds of the quantile scale
+ * @returns {Array<number>|null} Increasing thresholds in seconds, or null for the chart's fixed scale
+ */
+function heatmapThresholds(values, custom, steps) {
+  if (heatmapScale.mode === 'CUSTOM' && custom && custom.length > 0) {
+    return custom;
+  }
+  if (heatmapScale.mode === 'QUANTILE') {
+    return quantileThresholds(values, steps);
+  }
+  return null;
+}
+
+/**
+ * Splits the cells with coding time into equally large groups.
+ * Thresholds are rounded as shown in the legend, so groups of very similar cells may merge.
+ * @param {Array<number>} values - Seconds of every cell
+ * @param {number} steps - Number of thresholds
+ * @returns {Array<number>|null} Increasing thresholds in seconds, or null without any coding time
  */
-function renderYearlyActivityHeatmap(data, streaks, theme) {
-  disposeChart('heatmap');
+function quantileThresholds(values, steps) {
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const thresholds = [];
+  for (let step = 1; step <= steps; step++) {
+    const quantile = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * step / (steps + 1)))];
+    // Matches the legend: whole minutes below an hour, tenths of an hour above
+    const unit = quantile < 3600 ? 60 : 360;
+    const threshold = Math.max(60, Math.round(quantile / unit) * unit);
+    if (thresholds.length === 0 || threshold > thresholds[thresholds.length - 1]) {
+      thresholds.push(threshold);
+    }
+  }
+  return thresholds;
+}
 
-  const chartDom = document.getElementById('heatmap');
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.heatmap = echarts.init(chartDom, chartTheme);
+/**
+ * Builds the visualMap pieces between thresholds, with the ramp spread over them.
+ * @param {Array<number>} thresholds - Increasing thresholds in seconds
+ * @param {Array<string>} ramp - Hex colors from least to most time
+ * @param {number} min - Lower bound of the first piece; 1 leaves cells without coding time uncolored
+ * @returns {Array<Object>} The pieces, from least to most time
+ */
+function scalePieces(thresholds, ramp, min) {
+  const bounds = [min, ...thresholds];
+  return bounds.map((from, index) => {
+    const to = thresholds[index];
+    const color = rampColor(ramp, index / (bounds.length - 1));
+    if (index === 0) {
+      return {min: from, max: to, label: t('heatmap.scaleBelow', {value: formatScaleValue(to)}), color};
+    }
+    if (to === undefined) {
+      return {min: from, label: t('heatmap.scaleAbove', {value: formatScaleValue(from)}), color};
+    }
+    const label = t('heatmap.scaleBetween', {from: formatScaleValue(from), to: formatScaleValue(to)});
+    return {min: from, max: to, label, color};
+  });
+}
 
-  const chartData = data.map(item => [item.date, item.seconds]);
+/**
+ * Picks the color at a position of a ramp, blending between its neighbouring colors.
+ * @param {Array<string>} ramp - Hex colors
+ * @param {number} position - 0 for the first color to 1 for the last one
+ * @returns {string} The hex color
+ */
+function rampColor(ramp, position) {
+  const scaled = position * (ramp.length - 1);
+  const index = Math.min(Math.floor(scaled), ramp.length - 2);
+  return mixColors(ramp[index], ramp[index + 1], scaled - index);
+}
 
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setFullYear(endDate.getFullYear() - 1);
+/**
+ * Formats a heatmap threshold for its legend, in minutes below an hour and in hours above.
+ * @param {number} seconds - The threshold
+ * @returns {string} E.g. "15 min" or "1.5 h"
+ */
+function formatScaleValue(seconds) {
+  if (seconds < 3600) {
+    return t('heatmap.scaleMinutes', {n: formatNumber(Math.round(seconds / 60))});
+  }
+  const hours = seconds / 3600;
+  return t('heatmap.scaleHours', {n: formatNumber(hours, Number.isInteger(hours) ? 0 : 1)});
+}
+
+/**
+ * Height of one calendar year in the heatmap, in pixels: 7 rows of cells plus the month labels and a gap.
+ */
+const HEATMAP_YEAR_HEIGHT = 130;
+
+/**
+ * Renders the yearly activity contribution heatmap.
+ * By default the calendar spans the 12 months ending on the last day of the selected range;
+ * when a year or all years are selected, one calendar is drawn per year with its totals beside it.
+ * The current and longest streaks, and the one picked in the streak history, are outlined on the calendar.
+ * @param {Object} data - {data, streaks, streakHistory, years, selection, yearStats},
+ *                        see YearlyActivityDataProvider.kt
+ * @param {Object} range - Selected range with inclusive ISO start/end dates
+ * @param {Object} theme - Theme colors
+ */
+function renderYearlyActivityHeatmap(data, range, theme) {
+  const chart = getOrInitChart('heatmap', theme);
+  if (!chart) return;
+
+  const yearStats = data.yearStats || [];
+  const marked = markedStreaks(data);
+  if (!offscreenChart) {
+    renderHeatmapYearSelect(data);
+    renderStreakHistory(data, marked);
+    // One calendar per year; the default height fits the rolling 12 months
+    const container = document.getElementById('heatmap');
+    const height = yearStats.length > 0 ? `${100 + yearStats.length * HEATMAP_YEAR_HEIGHT}px` : '';
+    if (container.style.height !== height) {
+      container.style.height = height;
+      chart.resize();
+    }
+  }
 
-  // Helper to format date as YYYY-MM-DD in local time
-  // Fix: Using toISOString() uses UTC time, which causes the "latest cell is yesterday" bug
-  // when the user is in a timezone ahead of UTC (e.g. UTC+8) and it's a new day locally but not yet in UTC.
-  const toLocalDateString = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+  const streaks = data.streaks;
+  const chartData = data.data.map(item => [item.date, item.seconds]);
+  const dailyGoalSeconds = currentGoals ? currentGoals.daily.goalSeconds : 0;
+  const goalMetData = dailyGoalSeconds ? chartData.filter(item => item[1] >= dailyGoalSeconds) : [];
+  const goalStreakText = dailyGoalSeconds
+      ? t('heatmap.goalStreak', {current: currentGoals.streaks.current, max: currentGoals.streaks.max})
+      : '';
+
+  const colors = chartColors(theme).activity;
+  const thresholds = heatmapThresholds(chartData.map(item => item[1]), heatmapScale.daily, colors.length - 1);
+  const pieces = thresholds ? scalePieces(thresholds, colors, 1) : [
+    {min: 1, max: 300, label: t('heatmap.lessThan5Minutes'), color: colors[0]},
+    {min: 300, max: 900, label: t('heatmap.5To15Minutes'), color: colors[1]},
+    {min: 900, max: 3600, label: t('heatmap.15MinutesTo1Hour'), color: colors[2]},
+    {min: 3600, max: 10800, label: t('heatmap.1To3Hours'), color: colors[3]},
+    {min: 10800, max: 21600, label: t('heatmap.3To6Hours'), color: colors[4]},
+    {min: 21600, label: t('heatmap.moreThan6Hours'), color: colors[5]}
+  ];
+  const endDate = range ? parseLocalDate(range.end) : new Date();
+  const startDate = new Date(endDate);
+  startDate.setFullYear(endDate.getFullYear() - 1);
+  // The rolling calendar shows 12 months while the data covers the selected range, which may be longer
+  const rollingRange = [toLocalDateString(startDate), toLocalDateString(endDate)];
+
+  const calendarStyle = {
+    cellSize: ['auto', 13],
+    dayLabel: {
+      firstDay: firstDayOfWeek,
+      // nameMap starts on Sunday whatever the first day is
+      nameMap: getWeekdayNames('narrow', 0),
+      color: theme.secondary
+    },
+    monthLabel: {
+      nameMap: getMonthNames(),
+      color: theme.secondary
+    }
   };
+  const calendars = yearStats.length > 0
+      ? yearStats.map((stats, index) => ({
+        ...calendarStyle,
+        top: 100 + index * HEATMAP_YEAR_HEIGHT,
+        left: 60,
+        // Room for the totals of the year
+        right: 170,
+        range: String(stats.year),
+        yearLabel: {show: true, position: 'left', color: theme.secondary}
+      }))
+      : [{
+        ...calendarStyle,
+        top: 100,
+        left: 30,
+        right: 30,
+        range: rollingRange,
+        yearLabel: {show: false}
+      }];
+  // Days are drawn on the calendar of their year
+  const calendarIndex = date => Math.max(0, yearStats.findIndex(stats => date.startsWith(`${stats.year}-`)));
+  const onCalendar = date => yearStats.length > 0 || (date >= rollingRange[0] && date <= rollingRange[1]);
+  const seriesPerCalendar = (name, items, extra) => calendars.map((_, index) => ({
+    name,
+    coordinateSystem: 'calendar',
+    calendarIndex: index,
+    data: items.filter(item => calendarIndex(item[0]) === index),
+    ...extra
+  }));
+
+  const yearTitles = yearStats.map((stats, index) => ({
+    top: 100 + index * HEATMAP_YEAR_HEIGHT,
+    right: 10,
+    text: [
+      t('heatmap.yearTotal', {duration: formatDuration(stats.seconds)}),
+      t('heatmap.yearActiveDays', {days: stats.activeDays}),
+      t('heatmap.yearMaxStreak', {days: stats.max}),
+      ...(stats.current > 0 ? [t('heatmap.yearCurrentStreak', {days: stats.current})] : [])
+    ].join('\n'),
+    textStyle: {color: theme.secondary, fontSize: 11, fontWeight: 'normal', lineHeight: 18}
+  }));
+  const rangeTitles = [{
+    bottom: 0,
+    left: '10px',
+    text: t('heatmap.activeDays', {days: streaks.totalDays}),
+    textStyle: {color: theme.secondary, fontSize: 12}
+  }, {
+    bottom: 0,
+    right: '10px',
+    text: t('heatmap.streaks', {max: streaks.max, current: streaks.current}) + goalStreakText,
+    textStyle: {color: theme.secondary, fontSize: 12}
+  }];
 
   const option = {
     backgroundColor: 'transparent',
     title: [{
       top: 0,
       left: 'center',
-      text: 'Yearly Coding Activity',
+      text: t('heatmap.title'),
       textStyle: {
         color: theme.foreground
       }
-    }, {
-      bottom: 0,
-      left: '10px',
-      text: `Total Active Days: ${streaks.totalDays}`,
-      textStyle: {color: theme.secondary, fontSize: 12}
-    }, {
-      bottom: 0,
-      right: '10px',
-      text: `Max Streak: ${streaks.max} days / Current Streak: ${streaks.current} days`,
-      textStyle: {color: theme.secondary, fontSize: 12}
-    }],
+    }, ...(yearStats.length > 0 ? yearTitles : rangeTitles)],
     tooltip: {
       formatter: function (p) {
-        const hours = (p.data[1] / 3600).toFixed(2);
-        return `${p.data[0]}: ${hours} hours`;
+        const hours = formatNumber(p.data[1] / 3600, 2);
+        return `${formatDate(p.data[0])}: ${t('chart.hoursValue', {hours})}`;
       }
     },
     visualMap: {
+      seriesIndex: calendars.map((_, index) => index),
       top: 40,
-      min: 0,
-      max: 21600,
       type: 'piecewise',
       orient: 'horizontal',
       left: 'center',
-      pieces: [
-        {min: 1, max: 300, label: '< 5 min', color: '#00441b'},
-        {min: 300, max: 900, label: '5–15 min', color: '#006d32'},
-        {min: 900, max: 3600, label: '15 min–1 h', color: '#238b45'},
-        {min: 3600, max: 10800, label: '1–3 h', color: '#41ab5d'},
-        {min: 10800, max: 21600, label: '3–6 h', color: '#74c476'},
-        {min: 21600, label: '> 6 h', color: '#bae4b3'}
-      ],
+      pieces,
       textStyle: {
         color: theme.secondary
       }
     },
-    calendar: {
-      top: 100,
-      left: 30,
-      right: 30,
-      cellSize: ['auto', 13],
-      range: [toLocalDateString(startDate), toLocalDateString(endDate)],
-      dayLabel: {
-        color: theme.secondary
-      },
-      monthLabel: {
-        color: theme.secondary
-      },
-      yearLabel: {show: false},
-    },
-    series: {
-      type: 'heatmap',
-      coordinateSystem: 'calendar',
-      data: chartData
-    }
+    calendar: calendars,
+    series: [
+      ...seriesPerCalendar(t('heatmap.title'), chartData, {type: 'heatmap'}),
+      // "Goal met" overlay; always present (possibly empty) so an update can remove the marks
+      ...seriesPerCalendar(t('goal.met'), goalMetData, {
+        type: 'scatter',
+        symbolSize: 4,
+        itemStyle: {color: theme.foreground, opacity: 0.8}
+      }),
+      ...seriesPerCalendar(t('streaks.history'), streakOutlines(marked).filter(item => onCalendar(item[0])), {
+        type: 'custom',
+        silent: true,
+        renderItem: (params, api) => renderStreakOutline(params, api, theme)
+      })
+    ]
+  };
+
+  // replaceMerge drops the calendars of years no longer shown
+  chart.setOption(option, {replaceMerge: ['calendar', 'series', 'title']});
+  onChartEvent('heatmap', 'click', p => openDayDetail(p.data[0]));
+}
+
+/**
+ * Fills the year selector of the heatmap from the recorded years and selects the shown one.
+ * @param {Object} data - The heatmap data, with the recorded years and the selection
+ */
+function renderHeatmapYearSelect(data) {
+  const select = document.getElementById('heatmap-year');
+  const options = [
+    {value: '', label: t('heatmap.last12Months')},
+    ...[...(data.years || [])].reverse().map(year => ({value: String(year), label: String(year)})),
+    {value: 'all', label: t('heatmap.allYears')}
+  ];
+  select.replaceChildren(...options.map(({value, label}) => new Option(label, value)));
+  select.value = data.selection || '';
+}
+
+/**
+ * Wires up the year selector of the heatmap; the IDE keeps the selection and re-renders the heatmap through renderChart.
+ */
+function initHeatmapYearSelect() {
+  const select = document.getElementById('heatmap-year');
+  select.addEventListener('change', () => {
+    ideBridge.request('setHeatmapYear', {year: select.value})
+        .catch(error => console.warn('Heatmap year request failed:', error.message));
+  });
+}
+
+/**
+ * Kinds of streak outlines on the heatmap, in drawing order: a day of several outlined streaks gets the last one.
+ */
+const STREAK_OUTLINES = ['longest', 'current', 'selected'];
+
+/**
+ * Finds the streaks outlined on the heatmap.
+ * @param {Object} data - The heatmap data, with the streaks and the streak history (most recent first)
+ * @returns {{current: ?Object, longest: ?Object, selected: ?Object}} Entries of the streak history
+ */
+function markedStreaks(data) {
+  const history = data.streakHistory || [];
+  return {
+    // The most recent streak is still running when the current streak is not 0
+    current: data.streaks.current > 0 ? history[0] || null : null,
+    // The most recent one when several streaks share the longest length
+    longest: history.reduce((longest, streak) => (!longest || streak.days > longest.days ? streak : longest), null),
+    selected: history.find(streak => streak.start === selectedStreak) || null
   };
+}
+
+/**
+ * Lists the days of the outlined streaks with the outline each one gets.
+ * @param {Object} marked - The outlined streaks, see markedStreaks()
+ * @returns {Array<Array>} [date, index in STREAK_OUTLINES] items
+ */
+function streakOutlines(marked) {
+  const kinds = {};
+  STREAK_OUTLINES.forEach((kind, index) => {
+    const streak = marked[kind];
+    if (!streak) return;
+    const day = parseLocalDate(streak.start);
+    const end = parseLocalDate(streak.end);
+    for (; day <= end; day.setDate(day.getDate() + 1)) {
+      kinds[toLocalDateString(day)] = index;
+    }
+  });
+  return Object.entries(kinds);
+}
 
-  chartInstances.heatmap.setOption(option);
+/**
+ * Draws the outline of one streak day around its calendar cell:
+ * solid for the current streak, dashed for the longest one and bold for the picked one.
+ * @param {Object} params - ECharts custom series parameters, with the calendar's cell size
+ * @param {Object} api - ECharts custom series API
+ * @param {Object} theme - Theme colors
+ * @returns {Object} The rectangle graphic
+ */
+function renderStreakOutline(params, api, theme) {
+  const [x, y] = api.coord(api.value(0));
+  const {cellWidth, cellHeight} = params.coordSys;
+  const kind = STREAK_OUTLINES[api.value(1)];
+  return {
+    type: 'rect',
+    shape: {x: x - cellWidth / 2 + 1, y: y - cellHeight / 2 + 1, width: cellWidth - 2, height: cellHeight - 2},
+    style: {
+      fill: 'none',
+      stroke: theme.foreground,
+      lineWidth: kind === 'selected' ? 2.5 : 1.5,
+      lineDash: kind === 'longest' ? [3, 2] : null
+    }
+  };
 }
 
-function renderRecentActivityChart(data, theme) {
-  disposeChart('recentActivityChart');
+/**
+ * Lists the streaks of the heatmap data below the calendar, most recent first.
+ * Picking a streak outlines its days; picking it again clears the outline.
+ * @param {Object} data - The heatmap data, with the streak history and the minimum daily time of a streak day
+ * @param {Object} marked - The outlined streaks, see markedStreaks()
+ */
+function renderStreakHistory(data, marked) {
+  const history = data.streakHistory || [];
+  const minimum = data.streaks.minimumSeconds || 0;
+  document.getElementById('streak-history-note').textContent = [
+    t('streaks.legend'),
+    minimum > 0 ? t('streaks.minimum', {duration: formatDuration(minimum)}) : t('streaks.anyActivity')
+  ].join(' · ');
+
+  const list = document.getElementById('streak-list');
+  const focused = list.contains(document.activeElement) ? document.activeElement.dataset.streak : null;
+  if (history.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'streak-empty';
+    empty.textContent = t('streaks.none');
+    list.replaceChildren(empty);
+    return;
+  }
+
+  list.replaceChildren(...history.map(streak => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'streak-item';
+    button.dataset.streak = streak.start;
+    button.setAttribute('aria-pressed', String(streak === marked.selected));
+
+    const dates = document.createElement('span');
+    dates.className = 'streak-dates';
+    dates.textContent = streak.start === streak.end
+        ? formatDate(streak.start)
+        : `${formatDate(streak.start)} – ${formatDate(streak.end)}`;
+    const days = document.createElement('span');
+    days.className = 'streak-days';
+    days.textContent = t('streaks.days', {days: formatNumber(streak.days)});
+    const hours = document.createElement('span');
+    hours.className = 'streak-hours';
+    hours.textContent = t('chart.hoursValue', {hours: formatNumber(streak.seconds / 3600, 1)});
+    button.append(dates, days, hours);
+
+    for (const kind of ['current', 'longest']) {
+      if (marked[kind] === streak) {
+        const badge = document.createElement('span');
+        badge.className = 'streak-badge';
+        badge.textContent = t(`streaks.${kind}`);
+        dates.append(badge);
+      }
+    }
+
+    const item = document.createElement('li');
+    item.append(button);
+    return item;
+  }));
+
+  // Picking a streak re-renders the list, so keep the focus on the picked entry
+  if (focused) {
+    const button = list.querySelector(`[data-streak="${focused}"]`);
+    if (button) button.focus();
+  }
+}
 
-  const chartDom = document.getElementById('recentActivityChart');
-  if (!chartDom) return;
+/**
+ * Wires up the streak history of the heatmap, which re-renders the heatmap from the last data without a request.
+ */
+function initStreakHistory() {
+  document.getElementById('streak-list').addEventListener('click', event => {
+    const button = event.target.closest('[data-streak]');
+    const data = lastChartData.yearlyActivity;
+    if (!button || !data || !currentTheme) return;
+    selectedStreak = selectedStreak === button.dataset.streak ? null : button.dataset.streak;
+    renderYearlyActivityHeatmap(data, currentRange, currentTheme);
+  });
+}
 
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.recentActivityChart = echarts.init(chartDom, chartTheme);
+/**
+ * Renders the daily coding activity trend for the selected range.
+ * @param {Array<Object>} data - Array of daily data points
+ * @param {Object} theme - Theme colors
+ * @param {Object} [previous] - Data of the previous period in compare mode, overlaid day by day
+ */
+function renderRecentActivityChart(data, theme, previous) {
+  const chart = getOrInitChart('recentActivityChart', theme);
+  if (!chart) return;
 
-  const dates = data.map(item => item.date);
+  const colors = chartColors(theme).trend;
+  const dates = data.map(item => formatDate(item.fullDate, {month: '2-digit', day: '2-digit'}));
   const values = data.map(item => (item.seconds / 3600).toFixed(2));
+  const previousData = previous ? previous.data : [];
 
   const option = {
     backgroundColor: 'transparent',
     title: {
-      text: 'Coding Activity (Last 30 Days)',
+      text: t('recent.title'),
       left: 'center',
       top: 0,
       textStyle: {color: theme.foreground}
@@ -302,61 +1552,73 @@ function renderRecentActivityChart(data, theme) {
         if (!params || params.length === 0) return '';
         const item = params[0];
         const rawData = data[item.dataIndex];
-        const hours = Math.floor(item.value);
-        const minutes = Math.round((item.value - hours) * 60);
-        let timeStr = '';
-        if (hours > 0) timeStr += `${hours}h `;
-        timeStr += `${minutes}m`;
-        return `${rawData.fullDate}<br/>Time: ${timeStr}`;
+        // Rounded to whole minutes
+        const timeStr = formatDuration(Math.round(item.value * 60) * 60);
+
+        const previousDay = previousData[item.dataIndex];
+        const previousStr = previousDay
+            ? '<br/>' + t('recent.previousDay', {
+              date: formatDate(previousDay.fullDate),
+              duration: formatDuration(previousDay.seconds)
+            })
+            : '';
+        return `${formatDate(rawData.fullDate)}<br/>${t('chart.time', {duration: timeStr})}${previousStr}`;
       }
     },
     grid: {left: '3%', right: '4%', bottom: 20, top: 60, containLabel: true},
+    // Long ranges (e.g. "All time") can be explored with the mouse wheel
+    dataZoom: [{type: 'inside'}],
     xAxis: {
       type: 'category',
       boundaryGap: false,
       data: dates,
-      axisLabel: {color: theme.secondary, interval: 2},
+      axisLabel: {color: theme.secondary},
       axisLine: {lineStyle: {color: theme.secondary}}
     },
     yAxis: {
       type: 'value',
-      name: 'Hours',
+      name: t('chart.hours'),
       nameTextStyle: {color: theme.secondary},
-      axisLabel: {color: theme.secondary, formatter: '{value} h'},
+      axisLabel: {color: theme.secondary, formatter: value => t('chart.hoursShort', {hours: formatNumber(value, 1)})},
       splitLine: {
         lineStyle: {color: theme.isDark ? '#333' : '#e0e0e0', type: 'dashed'}
       }
     },
     series: [
       {
-        name: 'Coding Time',
+        name: t('recent.series'),
         type: 'line',
         smooth: true,
         symbol: 'none',
         lineStyle: {
           width: 3,
           color: new echarts.graphic.LinearGradient(0, 0, 1, 0, [
-            {offset: 0, color: '#5470c6'},
-            {offset: 1, color: '#91cc75'}
+            {offset: 0, color: colors.line[0]},
+            {offset: 1, color: colors.line[1]}
           ])
         },
         areaStyle: {
           opacity: 0.2,
           color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
-            {offset: 0, color: '#5470c6'},
-            {offset: 1, color: 'rgba(145, 204, 117, 0.1)'}
+            {offset: 0, color: colors.area[0]},
+            {offset: 1, color: colors.area[1]}
           ])
         },
         emphasis: {
           focus: 'series',
-          itemStyle: {color: '#91cc75', borderColor: '#fff', borderWidth: 2}
+          itemStyle: {color: colors.point, borderColor: '#fff', borderWidth: 2}
         },
         data: values
-      }
+      },
+      ...(previous ? [previousPeriodSeries(
+          previousData.slice(0, data.length).map(item => (item.seconds / 3600).toFixed(2)), theme
+      )] : [])
     ]
   };
 
-  chartInstances.recentActivityChart.setOption(option);
+  // replaceMerge drops the previous-period series when compare mode is switched off
+  chart.setOption(option, {replaceMerge: ['series']});
+  bindDayClick('recentActivityChart', data);
 }
 
 /**
@@ -365,29 +1627,28 @@ function renderRecentActivityChart(data, theme) {
  * @param {Object} theme - Theme colors
  */
 function renderDailyHourHeatmap(data, theme) {
-  disposeChart('dailyHourHeatmap');
-
-  const chartDom = document.getElementById('dailyHourHeatmap');
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.dailyHourHeatmap = echarts.init(chartDom, chartTheme);
+  const chart = getOrInitChart('dailyHourHeatmap', theme);
+  if (!chart) return;
 
-  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  const days = getWeekdayNames();
   const hours = Array.from({length: 24}, (_, i) => i);
 
   const chartData = data.map(item => [
     item.hour,
-    item.dayOfWeek - 1,
+    getWeekdayIndex(item.dayOfWeek),
     item.seconds
   ]);
 
   const maxSeconds = Math.max(...chartData.map(item => item[2]), 1);
+  const colors = chartColors(theme).intensity;
+  const thresholds = heatmapThresholds(chartData.map(item => item[2]), heatmapScale.hourly, colors.length - 1);
 
   const option = {
     backgroundColor: 'transparent',
     title: {
       top: 0,
       left: 'center',
-      text: 'Weekly Coding Activity by Hour',
+      text: t('weekly.title'),
       textStyle: {
         color: theme.foreground
       }
@@ -397,14 +1658,15 @@ function renderDailyHourHeatmap(data, theme) {
       formatter: function (p) {
         const hour = p.data[0];
         const day = days[p.data[1]];
-        const hours = (p.data[2] / 3600).toFixed(3);
-        return `${day} ${hour}:00 - ${hours} hours`;
+        const hours = formatNumber(p.data[2] / 3600, 3);
+        return `${day} ${formatTimeOfDay(hour)} - ${t('chart.hoursValue', {hours})}`;
       }
     },
     grid: {
       top: 60,
       left: 100,
-      right: 70,
+      // The piecewise legend has longer labels than the continuous one
+      right: thresholds ? 130 : 70,
       bottom: 20
     },
     xAxis: {
@@ -415,7 +1677,7 @@ function renderDailyHourHeatmap(data, theme) {
       },
       axisLabel: {
         color: theme.secondary,
-        formatter: '{value}:00'
+        formatter: value => formatTimeOfDay(Number(value))
       }
     },
     yAxis: {
@@ -428,7 +1690,17 @@ function renderDailyHourHeatmap(data, theme) {
         color: theme.secondary
       }
     },
-    visualMap: {
+    visualMap: thresholds ? {
+      type: 'piecewise',
+      orient: 'vertical',
+      right: 10,
+      top: 'center',
+      pieces: scalePieces(thresholds, colors, 0),
+      textStyle: {
+        color: theme.secondary
+      }
+    } : {
+      type: 'continuous',
       min: 0,
       max: maxSeconds,
       calculable: true,
@@ -436,11 +1708,11 @@ function renderDailyHourHeatmap(data, theme) {
       right: 10,
       top: 'center',
       inRange: {
-        color: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39']
+        color: colors
       },
       text: [
-        (maxSeconds / 3600).toFixed(1) + ' h',
-        '0.0 h'
+        t('chart.hoursShort', {hours: formatNumber(maxSeconds / 3600, 1)}),
+        t('chart.hoursShort', {hours: formatNumber(0, 1)})
       ],
       textStyle: {
         color: theme.secondary
@@ -464,40 +1736,81 @@ function renderDailyHourHeatmap(data, theme) {
     }]
   };
 
-  chartInstances.dailyHourHeatmap.setOption(option);
+  // replaceMerge swaps the continuous and piecewise legends when the scale changes
+  chart.setOption(option, {replaceMerge: ['visualMap']});
+}
+
+/**
+ * Wires up the 30/60-minute toggle of the average hourly chart.
+ * Switching only re-buckets the data already received.
+ */
+function initHourlyGranularityToggle() {
+  document.querySelectorAll('#hourly-granularity [data-granularity]').forEach(button => {
+    button.addEventListener('click', () => {
+      hourlyGranularity = Number(button.dataset.granularity);
+      if (lastOverallHourly && currentTheme) {
+        renderOverallHourlyChart(
+            lastOverallHourly.data, lastOverallHourly.totalDays, currentTheme, lastOverallHourly.previous
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Checks whether the hourly data comes in half-hour slots.
+ * @param {Array<Object>} data - Array of data points with hour, minute and seconds
+ * @returns {boolean} True if any point starts at minute 30
+ */
+function isHalfHourData(data) {
+  return data.some(item => item.minute === 30);
 }
 
 /**
  * Renders the overall hourly distribution chart (24-hour coding pattern).
- * Shows average coding duration for each hour of the day.
- * @param {Array<Object>} data - Array of data points with hour and seconds
+ * Shows average coding duration per hour, or per half hour when the data has half-hour resolution
+ * and the 30-minute granularity is selected. In 60-minute mode the two halves of an hour are added up.
+ * @param {Array<Object>} data - Array of data points with hour, minute (0 or 30) and seconds
  * @param {number} totalDays - Total number of active days for averaging
  * @param {Object} theme - Theme colors
  */
-function renderOverallHourlyChart(data, totalDays, theme) {
-  disposeChart('overallHourlyChart');
-
-  const chartDom = document.getElementById('overallHourlyChart');
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.overallHourlyChart = echarts.init(chartDom, chartTheme);
-
-  // Create 24 full hours
-  const hours = Array.from({length: 24}, (_, i) =>
-      `${i.toString().padStart(2, '0')}:00`
-  );
-
-  const values = new Array(24).fill(0);
+function renderOverallHourlyChart(data, totalDays, theme, previous) {
+  const chart = getOrInitChart('overallHourlyChart', theme);
+  if (!chart) return;
+
+  const halfHourData = isHalfHourData(data);
+  const slotMinutes = halfHourData ? hourlyGranularity : 60;
+  const slotCount = 24 * 60 / slotMinutes;
+
+  document.querySelectorAll('#hourly-granularity [data-granularity]').forEach(button => {
+    const granularity = Number(button.dataset.granularity);
+    button.classList.toggle('active', granularity === slotMinutes);
+    button.disabled = granularity === 30 && !halfHourData;
+  });
 
-  // Fill in the actual data
-  for (const item of data) {
-    values[item.hour] = item.seconds / 3600; // Convert to hours
-  }
+  // Slot labels, e.g. 00:00, 00:30, 01:00, ... or 12:00 AM, 12:30 AM, ... on a 12-hour clock
+  const slotLabel = index => {
+    const minuteOfDay = index * slotMinutes;
+    return formatTimeOfDay(Math.floor(minuteOfDay / 60), minuteOfDay % 60);
+  };
+  const hours = Array.from({length: slotCount}, (_, i) => slotLabel(i));
+
+  // Fill in the actual data; in 60-minute mode both halves of an hour land in the same slot
+  const toSlotValues = items => {
+    const slotValues = new Array(slotCount).fill(0);
+    for (const item of items) {
+      const slot = Math.floor((item.hour * 60 + (item.minute || 0)) / slotMinutes);
+      slotValues[slot] += item.seconds / 3600; // Convert to hours
+    }
+    return slotValues;
+  };
+  const values = toSlotValues(data);
 
   const option = {
     backgroundColor: 'transparent',
     title: {
-      text: 'Average Hourly Coding Duration',
-      subtext: `Based on ${totalDays} active days`,
+      text: t(slotMinutes === 30 ? 'hourly.titleHalfHour' : 'hourly.title'),
+      subtext: t('hourly.averagedOver', {days: formatNumber(totalDays)}),
       left: 'center',
       top: 0,
       textStyle: {
@@ -512,17 +1825,13 @@ function renderOverallHourlyChart(data, totalDays, theme) {
       trigger: 'axis',
       formatter: function (params) {
         if (!params || params.length === 0) return '';
-        const timeLabel = params[0].axisValue;
-        const hours = Math.floor(params[0].value);
-        const minutes = Math.round((params[0].value - hours) * 60);
-        const seconds = Math.round(((params[0].value - hours) * 60 - minutes) * 60);
+        const timeLabel = `${params[0].axisValue} – ${slotLabel((params[0].dataIndex + 1) % slotCount)}`;
+        const timeStr = formatDuration(Math.round(params[0].value * 3600));
 
-        let timeStr = '';
-        if (hours > 0) timeStr += `${hours}h `;
-        if (minutes > 0) timeStr += `${minutes}m `;
-        if (seconds > 0 || timeStr === '') timeStr += `${seconds}s`;
-
-        return `${timeLabel}<br/>Average: ${timeStr}`;
+        const previousStr = params[1]
+            ? '<br/>' + t('chart.previousPeriodValue', {duration: formatDuration(Math.round(params[1].value * 3600))})
+            : '';
+        return `${timeLabel}<br/>${t('hourly.average', {duration: timeStr})}${previousStr}`;
       }
     },
     grid: {
@@ -536,7 +1845,8 @@ function renderOverallHourlyChart(data, totalDays, theme) {
       data: hours,
       axisLabel: {
         color: theme.secondary,
-        interval: 1
+        // Label every second hour in both modes
+        interval: slotMinutes === 30 ? 3 : 1
       },
       axisLine: {
         lineStyle: {
@@ -546,13 +1856,13 @@ function renderOverallHourlyChart(data, totalDays, theme) {
     },
     yAxis: {
       type: 'value',
-      name: 'Average Duration (hours)',
+      name: t('hourly.axis'),
       nameTextStyle: {
         color: theme.secondary
       },
       axisLabel: {
         color: theme.secondary,
-        formatter: '{value}h'
+        formatter: value => t('chart.hoursShort', {hours: formatNumber(value, 1)})
       },
       splitLine: {
         lineStyle: {
@@ -560,78 +1870,202 @@ function renderOverallHourlyChart(data, totalDays, theme) {
         }
       }
     },
-    series: [{
-      data: values,
-      type: 'bar',
-      itemStyle: {
-        color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
-          {offset: 0, color: '#83bff6'},
-          {offset: 1, color: '#188df0'}
-        ])
-      },
-      emphasis: {
+    series: [
+      {
+        data: values,
+        type: 'bar',
         itemStyle: {
-          color: '#188df0'
+          color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
+            {offset: 0, color: chartColors(theme).bars[0]},
+            {offset: 1, color: chartColors(theme).bars[1]}
+          ])
+        },
+        emphasis: {
+          itemStyle: {
+            color: chartColors(theme).bars[1]
+          }
         }
-      }
-    }]
+      },
+      ...(previous ? [previousPeriodSeries(toSlotValues(previous.data), theme)] : [])
+    ]
   };
 
-  chartInstances.overallHourlyChart.setOption(option);
+  // replaceMerge drops the previous-period series when compare mode is switched off
+  chart.setOption(option, {replaceMerge: ['series']});
 }
 
 /**
- * Renders the language distribution chart showing coding time by programming language.
- * @param {Array<Object>} data - Array of language usage data with language name and seconds
+ * Builds the dashed "ghost" line of the previous period shown in compare mode.
+ * @param {Array<number>} values - Values aligned with the x-axis of the chart
  * @param {Object} theme - Theme colors
+ * @returns {Object} The ECharts series
  */
-function renderLanguageDistribution(data, theme) {
-  disposeChart('languageDistributionChart');
+function previousPeriodSeries(values, theme) {
+  return {
+    name: t('chart.previousPeriod'),
+    type: 'line',
+    smooth: true,
+    symbol: 'none',
+    silent: true,
+    z: 1,
+    lineStyle: {width: 2, type: 'dashed', color: theme.secondary, opacity: 0.7},
+    itemStyle: {color: theme.secondary},
+    data: values
+  };
+}
 
-  const chartDom = document.getElementById('languageDistributionChart');
-  if (!chartDom) {
-    console.warn('Language distribution chart container not found');
-    return;
-  }
+/**
+ * Name field of the items of each distribution chart data, by chart key.
+ */
+const DISTRIBUTION_NAMES = {
+  languageDistribution: 'language',
+  projectDistribution: 'project',
+  ideDistribution: 'ide',
+  platformDistribution: 'platform'
+};
 
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.languageDistributionChart = echarts.init(chartDom, chartTheme);
+/**
+ * Lists the items of a distribution, largest first.
+ * @param {string} chartKey - The chart key of a distribution, e.g. 'languageDistribution'
+ * @param {Object} data - The distribution data, see LanguageDistributionDataProvider.kt
+ * @returns {Array<Object>} {name, seconds, sessions}
+ */
+function distributionItems(chartKey, data) {
+  return data.data
+      .map(item => ({name: item[DISTRIBUTION_NAMES[chartKey]], seconds: item.seconds, sessions: item.sessions}))
+      .sort((a, b) => b.seconds - a.seconds);
+}
+
+/**
+ * Splits the items of a distribution into those drawn on their own and those folded into "Others":
+ * items under the configured share of the total time and those beyond the configured number of items.
+ * @param {Array<Object>} items - {name, seconds}, largest first
+ * @returns {{shown: Array<Object>, others: Array<Object>}} The items, largest first
+ */
+function splitOthers(items) {
+  const total = items.reduce((sum, item) => sum + item.seconds, 0);
+  const shown = [];
+  const others = [];
+  items.forEach(item => {
+    const fits = (othersGrouping.top === 0 || shown.length < othersGrouping.top)
+        && total > 0 && (item.seconds / total) * 100 >= othersGrouping.minPercent;
+    (fits ? shown : others).push(item);
+  });
+  return {shown, others};
+}
 
-  // Transform data for chart: convert seconds to hours
-  const allData = data.map(item => ({
-    name: item.language,
-    value: item.seconds / 3600
-  })).sort((a, b) => b.value - a.value);
+/**
+ * Builds the slices of a distribution pie: the items drawn on their own and an "Others" slice,
+ * or only the items of "Others" while it is expanded.
+ * @param {string} chartKey - The key of the pie chart in chartInstances
+ * @param {Array<Object>} items - {name, seconds}, largest first
+ * @param {Array<string>} selected - Names in the filter, drawn as selected slices
+ * @returns {{pieData: Array<Object>, othersHours: ?number}} The slices, in hours,
+ *          and the hours of "Others" while it is expanded, null otherwise
+ */
+function distributionPieData(chartKey, items, selected) {
+  const {shown, others} = splitOthers(items);
+  const slice = item => ({name: item.name, value: item.seconds / 3600, selected: selected.includes(item.name)});
+  const othersHours = others.reduce((sum, item) => sum + item.seconds, 0) / 3600;
 
-  const totalHours = allData.reduce((sum, item) => sum + item.value, 0);
+  if (expandedOthers.has(chartKey) && others.length > 0) {
+    return {pieData: others.map(slice), othersHours};
+  }
+  const pieData = shown.map(slice);
+  if (othersHours > 0) {
+    pieData.push({name: t('chart.others'), value: othersHours, others: true});
+  }
+  return {pieData, othersHours: null};
+}
 
-  // Filter out languages with less than 0.1% usage
-  const minPercentage = 0.1;
-  const chartData = allData.filter(item => {
-    const percentage = (item.value / totalHours) * 100;
-    return percentage >= minPercentage;
-  });
+/**
+ * Expands the "Others" slice of a distribution pie into its items, or collapses it back,
+ * re-rendering the pie from the last data without a request.
+ * @param {string} chartKey - The key of the pie chart in chartInstances
+ * @param {boolean} expanded - True to show the items of "Others"
+ */
+function setOthersExpanded(chartKey, expanded) {
+  if (expanded) {
+    expandedOthers.add(chartKey);
+  } else {
+    expandedOthers.delete(chartKey);
+  }
+  const providerKey = EXPORTABLE_CHARTS[chartKey];
+  if (lastChartData[providerKey] && currentTheme) {
+    CHART_RENDERERS[providerKey](lastChartData[providerKey], {theme: currentTheme, range: currentRange});
+  }
+}
 
-  const displayedTotal = chartData.reduce((sum, item) => sum + item.value, 0);
-  const othersValue = totalHours - displayedTotal;
+/**
+ * Highlights the first slice of a distribution pie matching the search of its card and scrolls the legend to it.
+ * An item folded into "Others" expands it.
+ * @param {string} chartKey - The key of the pie chart in chartInstances
+ */
+function applyDistributionSearch(chartKey) {
+  const chart = chartInstances[chartKey];
+  const providerKey = EXPORTABLE_CHARTS[chartKey];
+  const query = distributionSearches[providerKey];
+  if (!chart || !lastChartData[providerKey]) return;
+
+  chart.dispatchAction({type: 'downplay', seriesIndex: 0});
+  if (!query) return;
+
+  const matches = name => name.toLocaleLowerCase().includes(query);
+  if (!expandedOthers.has(chartKey)) {
+    const {shown, others} = splitOthers(distributionItems(providerKey, lastChartData[providerKey]));
+    if (!shown.some(item => matches(item.name)) && others.some(item => matches(item.name))) {
+      // Re-rendering applies the search again, on the expanded pie
+      setOthersExpanded(chartKey, true);
+      return;
+    }
+  }
 
-  const pieData = chartData.map(item => ({
-    name: item.name,
-    value: item.value
-  }));
+  const index = chart.getOption().series[0].data.findIndex(item => !item.others && matches(item.name));
+  if (index >= 0) {
+    chart.dispatchAction({type: 'highlight', seriesIndex: 0, dataIndex: index});
+    chart.dispatchAction({type: 'legendScroll', scrollDataIndex: index});
+  }
+}
 
-  if (othersValue > 0) {
-    pieData.push({
-      name: 'Others',
-      value: othersValue
+/**
+ * Wires up the search boxes of the distribution cards.
+ */
+function initDistributionSearch() {
+  document.querySelectorAll('.charts-grid .card[data-card] .chart-search').forEach(input => {
+    const providerKey = input.closest('.card').dataset.card;
+    const chartKey = Object.keys(EXPORTABLE_CHARTS).find(key => EXPORTABLE_CHARTS[key] === providerKey);
+    input.addEventListener('input', () => {
+      distributionSearches[providerKey] = input.value.trim().toLocaleLowerCase();
+      applyDistributionSearch(chartKey);
+      if (tableViews.has(providerKey)) {
+        renderCardTable(providerKey);
+      }
     });
-  }
+  });
+}
+
+/**
+ * Renders the language distribution chart showing coding time by programming language.
+ * Clicking the "Others" slice expands it into a pie of the items folded into it.
+ * @param {Object} data - {data: [{language, seconds, sessions}]}, see LanguageDistributionDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderLanguageDistribution(data, theme) {
+  const chart = getOrInitChart('languageDistributionChart', theme);
+  if (!chart) return;
+
+  const items = distributionItems('languageDistribution', data);
+  const totalHours = items.reduce((sum, item) => sum + item.seconds, 0) / 3600;
+  const {pieData, othersHours} = distributionPieData('languageDistributionChart', items, activeFilters.LANGUAGE || []);
 
   const option = {
     backgroundColor: 'transparent',
+    color: chartColors(theme).palette,
     title: {
-      text: 'Language Distribution',
-      subtext: `Total: ${totalHours.toFixed(2)} hours`,
+      text: t('language.title'),
+      subtext: othersHours === null
+          ? t('chart.totalHours', {hours: formatNumber(totalHours, 2)})
+          : t('chart.othersExpanded', {count: pieData.length, hours: formatNumber(othersHours, 2)}),
       left: 'center',
       top: 0,
       textStyle: {
@@ -645,9 +2079,9 @@ function renderLanguageDistribution(data, theme) {
     tooltip: {
       trigger: 'item',
       formatter: function (params) {
-        const hours = params.value.toFixed(2);
-        const percentage = ((params.value / totalHours) * 100).toFixed(2);
-        return `${params.name}<br/>Time: ${hours}h (${percentage}%)`;
+        const hours = formatNumber(params.value, 2);
+        const percent = formatNumber((params.value / totalHours) * 100, 2);
+        return `${params.name}<br/>${t('chart.time', {duration: t('chart.share', {hours, percent})})}`;
       }
     },
     // Adjust grid to make chart more compact
@@ -658,6 +2092,15 @@ function renderLanguageDistribution(data, theme) {
       bottom: 20,
       containLabel: true
     },
+    // Way back from the expanded "Others" to every item
+    graphic: othersHours === null || offscreenChart ? [] : [{
+      type: 'text',
+      left: 10,
+      top: 10,
+      cursor: 'pointer',
+      style: {text: t('chart.othersBack'), fill: theme.secondary, fontSize: 12},
+      onclick: () => setOthersExpanded('languageDistributionChart', false)
+    }],
     legend: {
       type: 'scroll',
       orient: 'vertical',
@@ -673,8 +2116,7 @@ function renderLanguageDistribution(data, theme) {
       formatter: function (name) {
         const item = pieData.find(d => d.name === name);
         if (item) {
-          const percentage = ((item.value / totalHours) * 100).toFixed(2);
-          return `${name} (${percentage}%)`;
+          return `${name} (${formatNumber((item.value / totalHours) * 100, 2)}%)`;
         }
         return name;
       }
@@ -683,6 +2125,7 @@ function renderLanguageDistribution(data, theme) {
       {
         type: 'pie',
         radius: ['45%', '70%'],  // Slightly larger
+        selectedMode: 'multiple',  // Selected slices mirror the language filter
         center: ['40%', '55%'],  // Adjusted position - more centered with legend
         avoidLabelOverlap: false,
         itemStyle: {
@@ -713,286 +2156,1823 @@ function renderLanguageDistribution(data, theme) {
     ]
   };
 
-  chartInstances.languageDistributionChart.setOption(option);
+  chart.setOption(option, {replaceMerge: ['graphic']});
+  bindFilterClick('languageDistributionChart', 'LANGUAGE');
+  if (!offscreenChart) {
+    applyDistributionSearch('languageDistributionChart');
+  }
+}
+
+/**
+ * Most languages drawn as their own series in the language trend; the others are summed up.
+ */
+const LANGUAGE_TREND_TOP = 8;
+
+/**
+ * Groups stacked series like the distribution pies: series under the configured share of the total time,
+ * and those beyond the top ones, are summed into a single "Others" series.
+ * @param {Array<Object>} series - [{name, seconds: [per period]}], largest first
+ * @param {number} top - Most series kept on their own
+ * @returns {Array<Object>} [{name, seconds, others}]
+ */
+function groupTopSeries(series, top) {
+  const total = series.reduce((sum, item) => sum + item.seconds.reduce((a, b) => a + b, 0), 0);
+  const minPercentage = othersGrouping.minPercent;
+  const grouped = [];
+  let others = null;
+
+  series.forEach((item, index) => {
+    const itemTotal = item.seconds.reduce((a, b) => a + b, 0);
+    if (index < top && (itemTotal / total) * 100 >= minPercentage) {
+      grouped.push({name: item.name, seconds: item.seconds});
+    } else if (itemTotal > 0) {
+      others = others || {name: t('chart.others'), seconds: item.seconds.map(() => 0), others: true};
+      item.seconds.forEach((seconds, period) => others.seconds[period] += seconds);
+    }
+  });
+
+  return others ? [...grouped, others] : grouped;
+}
+
+/**
+ * Groups the language trend series, see groupTopSeries.
+ * @param {Object} data - {bucket, periods, series}, see LanguageTrendDataProvider.kt
+ * @returns {Array<Object>} [{name, seconds, others}]
+ */
+function groupLanguageTrend(data) {
+  return groupTopSeries(
+      data.series.map(item => ({name: item.language, seconds: item.seconds})), LANGUAGE_TREND_TOP
+  );
+}
+
+/**
+ * Formats the start date of a language trend bucket, e.g. "01/05" for a week or "Jan 2026" for a month.
+ * @param {string} period - YYYY-MM-DD
+ * @param {string} bucket - 'week' or 'month'
+ * @returns {string} The formatted period
+ */
+function formatTrendPeriod(period, bucket) {
+  return bucket === 'month'
+      ? formatDate(period, {year: 'numeric', month: 'short'})
+      : formatDate(period, {month: '2-digit', day: '2-digit'});
+}
+
+/**
+ * Renders the language trend: coding time per language over the range, stacked per week or month.
+ * Clicking a legend item hides or shows its series.
+ * @param {Object} data - {bucket, periods, series}, see LanguageTrendDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderLanguageTrend(data, theme) {
+  const chart = getOrInitChart('languageTrendChart', theme);
+  if (!chart) return;
+
+  const series = groupLanguageTrend(data);
+  const bucketTitle = data.bucket === 'month' ? 'languageTrend.byMonth' : 'languageTrend.byWeek';
+
+  const option = {
+    backgroundColor: 'transparent',
+    color: chartColors(theme).palette,
+    title: {
+      text: t('languageTrend.title'),
+      subtext: t(bucketTitle),
+      left: 'center',
+      top: 0,
+      textStyle: {color: theme.foreground},
+      subtextStyle: {color: theme.secondary, fontSize: 12}
+    },
+    tooltip: {
+      trigger: 'axis',
+      formatter: function (params) {
+        if (!params || params.length === 0) return '';
+        const period = data.periods[params[0].dataIndex];
+        const header = data.bucket === 'month'
+            ? formatTrendPeriod(period, data.bucket)
+            : t('languageTrend.weekOf', {date: formatDate(period)});
+        // Largest first; languages without time in the period are left out
+        const items = params
+            .map(item => ({item, seconds: series[item.seriesIndex].seconds[item.dataIndex]}))
+            .filter(entry => entry.seconds > 0)
+            .sort((a, b) => b.seconds - a.seconds);
+        const lines = items.map(({item, seconds}) => `${item.marker}${item.seriesName}: ${formatDuration(seconds)}`);
+        const totalSeconds = items.reduce((sum, entry) => sum + entry.seconds, 0);
+        const total = items.length > 1
+            ? '<br/>' + t('languageTrend.total', {duration: formatDuration(totalSeconds)})
+            : '';
+        return `${header}<br/>${lines.join('<br/>')}${total}`;
+      }
+    },
+    legend: {
+      type: 'scroll',
+      bottom: 0,
+      textStyle: {color: theme.secondary, fontSize: 12},
+      itemWidth: 14,
+      itemHeight: 14,
+      pageTextStyle: {color: theme.secondary}
+    },
+    grid: {left: '3%', right: '4%', bottom: 40, top: 60, containLabel: true},
+    xAxis: {
+      type: 'category',
+      boundaryGap: false,
+      data: data.periods.map(period => formatTrendPeriod(period, data.bucket)),
+      axisLabel: {color: theme.secondary},
+      axisLine: {lineStyle: {color: theme.secondary}}
+    },
+    yAxis: {
+      type: 'value',
+      name: t('chart.hours'),
+      nameTextStyle: {color: theme.secondary},
+      axisLabel: {color: theme.secondary, formatter: value => t('chart.hoursShort', {hours: formatNumber(value, 1)})},
+      splitLine: {
+        lineStyle: {color: theme.isDark ? '#333' : '#e0e0e0', type: 'dashed'}
+      }
+    },
+    series: series.map(item => ({
+      name: item.name,
+      type: 'line',
+      stack: 'languages',
+      smooth: true,
+      symbol: 'none',
+      lineStyle: {width: 1},
+      areaStyle: {opacity: 0.8},
+      emphasis: {focus: 'series'},
+      data: item.seconds.map(seconds => (seconds / 3600).toFixed(2))
+    }))
+  };
+
+  // replaceMerge drops the series of languages no longer in the range
+  chart.setOption(option, {replaceMerge: ['series']});
+}
+
+/**
+ * Renders the project distribution chart showing coding time by project.
+ * Clicking the "Others" slice expands it into a pie of the items folded into it.
+ * @param {Object} data - {data: [{project, seconds, sessions}]}, see ProjectDistributionDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderProjectDistribution(data, theme) {
+  const chart = getOrInitChart('projectDistributionChart', theme);
+  if (!chart) return;
+
+  const items = distributionItems('projectDistribution', data);
+  const totalHours = items.reduce((sum, item) => sum + item.seconds, 0) / 3600;
+  const {pieData, othersHours} = distributionPieData('projectDistributionChart', items, activeFilters.PROJECT || []);
+
+  const option = {
+    backgroundColor: 'transparent',
+    color: chartColors(theme).palette,
+    title: {
+      text: t('project.title'),
+      subtext: othersHours === null
+          ? t('chart.totalHours', {hours: formatNumber(totalHours, 2)})
+          : t('chart.othersExpanded', {count: pieData.length, hours: formatNumber(othersHours, 2)}),
+      left: 'center',
+      top: 0,
+      textStyle: {
+        color: theme.foreground
+      },
+      subtextStyle: {
+        color: theme.secondary,
+        fontSize: 12
+      }
+    },
+    tooltip: {
+      trigger: 'item',
+      formatter: function (params) {
+        const hours = formatNumber(params.value, 2);
+        const percent = formatNumber((params.value / totalHours) * 100, 2);
+        return `${params.name}<br/>${t('chart.time', {duration: t('chart.share', {hours, percent})})}`;
+      }
+    },
+    grid: {
+      left: '5%',
+      right: '5%',
+      top: 60,
+      bottom: 20,
+      containLabel: true
+    },
+    // Way back from the expanded "Others" to every item
+    graphic: othersHours === null || offscreenChart ? [] : [{
+      type: 'text',
+      left: 10,
+      top: 10,
+      cursor: 'pointer',
+      style: {text: t('chart.othersBack'), fill: theme.secondary, fontSize: 12},
+      onclick: () => setOthersExpanded('projectDistributionChart', false)
+    }],
+    legend: {
+      type: 'scroll',
+      orient: 'vertical',
+      right: '5%',
+      top: 'middle',
+      textStyle: {
+        color: theme.secondary,
+        fontSize: 12
+      },
+      itemWidth: 14,
+      itemHeight: 14,
+      itemGap: 8,
+      formatter: function (name) {
+        const item = pieData.find(d => d.name === name);
+        if (item) {
+          return `${name} (${formatNumber((item.value / totalHours) * 100, 2)}%)`;
+        }
+        return name;
+      }
+    },
+    series: [
+      {
+        type: 'pie',
+        radius: ['45%', '70%'],
+        selectedMode: 'multiple',  // Selected slices mirror the project filter
+        center: ['40%', '55%'],
+        avoidLabelOverlap: false,
+        itemStyle: {
+          borderRadius: 8,
+          borderColor: theme.isDark ? '#333' : '#fff',
+          borderWidth: 2
+        },
+        label: {
+          show: false,
+          position: 'center'
+        },
+        emphasis: {
+          label: {
+            show: true,
+            fontSize: 18,
+            fontWeight: 'bold',
+            formatter: function (params) {
+              return params.name;
+            },
+            color: theme.foreground
+          }
+        },
+        labelLine: {
+          show: false
+        },
+        data: pieData
+      }
+    ]
+  };
+
+  chart.setOption(option, {replaceMerge: ['graphic']});
+  bindFilterClick('projectDistributionChart', 'PROJECT');
+  if (!offscreenChart) {
+    applyDistributionSearch('projectDistributionChart');
+  }
+}
+
+/**
+ * Most projects drawn as their own series in the project timeline; the others are summed up.
+ */
+const PROJECT_TIMELINE_TOP = 10;
+
+/**
+ * Wires up the bucket switch of the project timeline, which re-renders from the last data without a request.
+ */
+function initProjectTimelineBucketToggle() {
+  document.querySelectorAll('#project-timeline-bucket [data-bucket]').forEach(button => {
+    button.addEventListener('click', () => {
+      projectTimelineBucket = button.dataset.bucket;
+      const data = lastChartData.projectTimeline;
+      if (data && currentTheme) {
+        renderProjectTimeline(data, currentTheme);
+        if (tableViews.has('projectTimeline')) {
+          renderCardTable('projectTimeline');
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Sums the daily project times into buckets.
+ * Every bucket of the range is listed, clipped to the range, so a partial first or last week covers only its days.
+ * @param {Object} data - {start, end, data: [{date, project, seconds}]}, see ProjectTimelineDataProvider.kt
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @returns {Object} {periods: [{start, end}], series: [{name, seconds: [per period]}]}, largest series first
+ */
+function bucketProjectTimeline(data, bucket) {
+  const bucketStart = date => {
+    const start = new Date(date);
+    if (bucket === 'week') {
+      start.setDate(start.getDate() - (start.getDay() - firstDayOfWeek + 7) % 7);
+    } else if (bucket === 'month') {
+      start.setDate(1);
+    }
+    return start;
+  };
+  const nextBucket = start => {
+    const next = new Date(start);
+    if (bucket === 'month') {
+      next.setMonth(next.getMonth() + 1);
+    } else {
+      next.setDate(next.getDate() + (bucket === 'week' ? 7 : 1));
+    }
+    return next;
+  };
+
+  const rangeStart = parseLocalDate(data.start);
+  const rangeEnd = parseLocalDate(data.end);
+  const periods = [];
+  const periodIndex = {};
+  for (let start = bucketStart(rangeStart); start <= rangeEnd; start = nextBucket(start)) {
+    const last = nextBucket(start);
+    last.setDate(last.getDate() - 1);
+    periodIndex[toLocalDateString(start)] = periods.length;
+    periods.push({
+      start: toLocalDateString(start < rangeStart ? rangeStart : start),
+      end: toLocalDateString(last > rangeEnd ? rangeEnd : last)
+    });
+  }
+
+  const seconds = {};
+  for (const item of data.data) {
+    const index = periodIndex[toLocalDateString(bucketStart(parseLocalDate(item.date)))];
+    if (index === undefined) continue;
+    seconds[item.project] = seconds[item.project] || periods.map(() => 0);
+    seconds[item.project][index] += item.seconds;
+  }
+
+  const total = values => values.reduce((a, b) => a + b, 0);
+  const series = Object.entries(seconds)
+      .map(([name, values]) => ({name, seconds: values}))
+      .sort((a, b) => total(b.seconds) - total(a.seconds));
+  return {periods, series};
+}
+
+/**
+ * Formats a project timeline bucket, e.g. "Jan 5, 2026" for a day, "01/05 – 01/11" for a week or "Jan 2026" for a month.
+ * @param {Object} period - {start, end} ISO dates
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @returns {string} The formatted period
+ */
+function formatTimelinePeriod(period, bucket) {
+  if (bucket === 'day') {
+    return formatDate(period.start);
+  }
+  if (bucket === 'month') {
+    return formatDate(period.start, {year: 'numeric', month: 'short'});
+  }
+  const options = {month: '2-digit', day: '2-digit'};
+  return `${formatDate(period.start, options)} – ${formatDate(period.end, options)}`;
+}
+
+/**
+ * Renders the project timeline: hours per project stacked per day, week or month.
+ * Clicking a bar segment opens the sessions of that project in that bucket.
+ * @param {Object} data - {start, end, data: [{date, project, seconds}]}, see ProjectTimelineDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderProjectTimeline(data, theme) {
+  const chart = getOrInitChart('projectTimelineChart', theme);
+  if (!chart) return;
+
+  document.querySelectorAll('#project-timeline-bucket [data-bucket]').forEach(button => {
+    button.classList.toggle('active', button.dataset.bucket === projectTimelineBucket);
+  });
+
+  const bucket = projectTimelineBucket;
+  const {periods, series: allSeries} = bucketProjectTimeline(data, bucket);
+  const series = groupTopSeries(allSeries, PROJECT_TIMELINE_TOP);
+  const totalSeconds = allSeries.reduce((sum, item) => sum + item.seconds.reduce((a, b) => a + b, 0), 0);
+
+  const option = {
+    backgroundColor: 'transparent',
+    color: chartColors(theme).palette,
+    title: {
+      text: t('projectTimeline.title'),
+      subtext: t('chart.totalHours', {hours: formatNumber(totalSeconds / 3600, 2)}),
+      left: 'center',
+      top: 0,
+      textStyle: {color: theme.foreground},
+      subtextStyle: {color: theme.secondary, fontSize: 12}
+    },
+    tooltip: {
+      trigger: 'axis',
+      axisPointer: {type: 'shadow'},
+      formatter: function (params) {
+        if (!params || params.length === 0) return '';
+        const index = params[0].dataIndex;
+        // Largest first; projects without time in the period are left out
+        const lines = params
+            .map(item => ({item, seconds: series[item.seriesIndex].seconds[index]}))
+            .filter(entry => entry.seconds > 0)
+            .sort((a, b) => b.seconds - a.seconds)
+            .map(({item, seconds}) => `${item.marker}${item.seriesName}: ${formatDuration(seconds)}`);
+        return [formatTimelinePeriod(periods[index], bucket), ...lines].join('<br/>');
+      }
+    },
+    legend: {
+      type: 'scroll',
+      bottom: 0,
+      textStyle: {color: theme.secondary, fontSize: 12},
+      itemWidth: 14,
+      itemHeight: 14,
+      pageTextStyle: {color: theme.secondary}
+    },
+    grid: {left: '3%', right: '4%', bottom: 40, top: 60, containLabel: true},
+    // Long ranges by day can be explored with the mouse wheel
+    dataZoom: [{type: 'inside'}],
+    xAxis: {
+      type: 'category',
+      data: periods.map(period => bucket === 'week'
+          ? formatDate(period.start, {month: '2-digit', day: '2-digit'})
+          : formatTimelinePeriod(period, bucket)),
+      axisLabel: {color: theme.secondary},
+      axisLine: {lineStyle: {color: theme.secondary}}
+    },
+    yAxis: {
+      type: 'value',
+      name: t('chart.hours'),
+      nameTextStyle: {color: theme.secondary},
+      axisLabel: {color: theme.secondary, formatter: value => t('chart.hoursShort', {hours: formatNumber(value, 1)})},
+      splitLine: {
+        lineStyle: {color: theme.isDark ? '#333' : '#e0e0e0', type: 'dashed'}
+      }
+    },
+    series: series.map(item => ({
+      name: item.name,
+      type: 'bar',
+      stack: 'projects',
+      emphasis: {focus: 'series'},
+      cursor: item.others ? 'default' : 'pointer',
+      data: item.seconds.map(seconds => (seconds / 3600).toFixed(2))
+    }))
+  };
+
+  // replaceMerge drops the series of projects no longer in the range
+  chart.setOption(option, {replaceMerge: ['series']});
+  // The aggregated "Others" series has no single project to list the sessions of
+  onChartEvent('projectTimelineChart', 'click', params => {
+    const item = series[params.seriesIndex];
+    if (item && !item.others) {
+      openProjectSessions(item.name, periods[params.dataIndex], bucket);
+    }
+  });
+}
+
+/**
+ * Distribution pies of the environment sessions were recorded in, keyed by chart key:
+ * their chart container, the dimension a click filters by and the message key of their title.
+ */
+const ENVIRONMENT_DISTRIBUTIONS = {
+  ideDistribution: {chartKey: 'ideDistributionChart', dimension: 'IDE', title: 'ide.title'},
+  platformDistribution: {chartKey: 'platformDistributionChart', dimension: 'PLATFORM', title: 'platform.title'}
+};
+
+/**
+ * Renders the coding time per IDE or per operating system as a pie like the language distribution.
+ * Clicking a slice toggles its filter, clicking the "Others" slice expands it.
+ * @param {string} providerKey - 'ideDistribution' or 'platformDistribution'
+ * @param {Object} data - {data: [{ide or platform, seconds, sessions}]}, see IdeDistributionDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderEnvironmentDistribution(providerKey, data, theme) {
+  const {chartKey, dimension, title} = ENVIRONMENT_DISTRIBUTIONS[providerKey];
+  const chart = getOrInitChart(chartKey, theme);
+  if (!chart) return;
+
+  const items = distributionItems(providerKey, data);
+  const totalHours = items.reduce((sum, item) => sum + item.seconds, 0) / 3600;
+  const {pieData, othersHours} = distributionPieData(chartKey, items, activeFilters[dimension] || []);
+
+  const option = {
+    backgroundColor: 'transparent',
+    color: chartColors(theme).palette,
+    title: {
+      text: t(title),
+      subtext: othersHours === null
+          ? t('chart.totalHours', {hours: formatNumber(totalHours, 2)})
+          : t('chart.othersExpanded', {count: pieData.length, hours: formatNumber(othersHours, 2)}),
+      left: 'center',
+      top: 0,
+      textStyle: {color: theme.foreground},
+      subtextStyle: {color: theme.secondary, fontSize: 12}
+    },
+    tooltip: {
+      trigger: 'item',
+      formatter: function (params) {
+        const hours = formatNumber(params.value, 2);
+        const percent = formatNumber((params.value / totalHours) * 100, 2);
+        return `${params.name}<br/>${t('chart.time', {duration: t('chart.share', {hours, percent})})}`;
+      }
+    },
+    graphic: othersHours === null || offscreenChart ? [] : [{
+      type: 'text',
+      left: 10,
+      top: 10,
+      cursor: 'pointer',
+      style: {text: t('chart.othersBack'), fill: theme.secondary, fontSize: 12},
+      onclick: () => setOthersExpanded(chartKey, false)
+    }],
+    legend: {
+      type: 'scroll',
+      orient: 'vertical',
+      right: '5%',
+      top: 'middle',
+      textStyle: {color: theme.secondary, fontSize: 12},
+      itemWidth: 14,
+      itemHeight: 14,
+      itemGap: 8,
+      formatter: function (name) {
+        const item = pieData.find(d => d.name === name);
+        return item ? `${name} (${formatNumber((item.value / totalHours) * 100, 2)}%)` : name;
+      }
+    },
+    series: [
+      {
+        type: 'pie',
+        radius: ['45%', '70%'],
+        selectedMode: 'multiple',  // Selected slices mirror the filter
+        center: ['40%', '55%'],
+        avoidLabelOverlap: false,
+        itemStyle: {
+          borderRadius: 8,
+          borderColor: theme.isDark ? '#333' : '#fff',
+          borderWidth: 2
+        },
+        label: {show: false, position: 'center'},
+        emphasis: {
+          label: {show: true, fontSize: 18, fontWeight: 'bold', color: theme.foreground}
+        },
+        labelLine: {show: false},
+        data: pieData
+      }
+    ]
+  };
+
+  chart.setOption(option, {replaceMerge: ['graphic']});
+  bindFilterClick(chartKey, dimension);
+}
+
+/**
+ * Most languages drawn as their own series in the IDE × language breakdown; the others are summed up.
+ */
+const IDE_LANGUAGE_TOP = 8;
+
+/**
+ * Arranges the IDE × language breakdown as one stacked bar per IDE, largest first,
+ * with one series per language, grouped like the language trend (see groupTopSeries).
+ * @param {Object} data - {data: [{ide, language, seconds}]}, see IdeLanguageDataProvider.kt
+ * @returns {{ides: Array<string>, series: Array<Object>}} The IDEs and [{name, seconds: [per IDE], others}]
+ */
+function groupIdeLanguage(data) {
+  const ideTotals = new Map();
+  const languageTotals = new Map();
+  data.data.forEach(item => {
+    ideTotals.set(item.ide, (ideTotals.get(item.ide) || 0) + item.seconds);
+    languageTotals.set(item.language, (languageTotals.get(item.language) || 0) + item.seconds);
+  });
+
+  const ides = [...ideTotals.keys()].sort((a, b) => ideTotals.get(b) - ideTotals.get(a));
+  const languages = [...languageTotals.keys()].sort((a, b) => languageTotals.get(b) - languageTotals.get(a));
+  const series = languages.map(language => ({name: language, seconds: ides.map(() => 0)}));
+  data.data.forEach(item => {
+    series[languages.indexOf(item.language)].seconds[ides.indexOf(item.ide)] += item.seconds;
+  });
+  return {ides, series: groupTopSeries(series, IDE_LANGUAGE_TOP)};
+}
+
+/**
+ * Renders the IDE × language breakdown: the coding time of every IDE, stacked by language.
+ * Clicking a bar toggles the filter of its IDE.
+ * @param {Object} data - {data: [{ide, language, seconds}]}, see IdeLanguageDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderIdeLanguage(data, theme) {
+  const chart = getOrInitChart('ideLanguageChart', theme);
+  if (!chart) return;
+
+  const {ides, series} = groupIdeLanguage(data);
+  const selected = activeFilters.IDE || [];
+
+  const option = {
+    backgroundColor: 'transparent',
+    color: chartColors(theme).palette,
+    title: {
+      text: t('ideLanguage.title'),
+      left: 'center',
+      top: 0,
+      textStyle: {color: theme.foreground}
+    },
+    tooltip: {
+      trigger: 'axis',
+      axisPointer: {type: 'shadow'},
+      formatter: function (params) {
+        if (!params || params.length === 0) return '';
+        const index = params[0].dataIndex;
+        // Largest first; languages not used in the IDE are left out
+        const items = params
+            .map(item => ({item, seconds: series[item.seriesIndex].seconds[index]}))
+            .filter(entry => entry.seconds > 0)
+            .sort((a, b) => b.seconds - a.seconds);
+        const lines = items.map(({item, seconds}) => `${item.marker}${item.seriesName}: ${formatDuration(seconds)}`);
+        const totalSeconds = items.reduce((sum, entry) => sum + entry.seconds, 0);
+        const total = items.length > 1
+            ? '<br/>' + t('ideLanguage.total', {duration: formatDuration(totalSeconds)})
+            : '';
+        return `${ides[index]}<br/>${lines.join('<br/>')}${total}`;
+      }
+    },
+    legend: {
+      type: 'scroll',
+      bottom: 0,
+      textStyle: {color: theme.secondary, fontSize: 12},
+      itemWidth: 14,
+      itemHeight: 14,
+      pageTextStyle: {color: theme.secondary}
+    },
+    grid: {left: '3%', right: '4%', bottom: 40, top: 40, containLabel: true},
+    xAxis: {
+      type: 'value',
+      name: t('chart.hours'),
+      nameTextStyle: {color: theme.secondary},
+      axisLabel: {color: theme.secondary, formatter: value => t('chart.hoursShort', {hours: formatNumber(value, 1)})},
+      splitLine: {
+        lineStyle: {color: theme.isDark ? '#333' : '#e0e0e0', type: 'dashed'}
+      }
+    },
+    yAxis: {
+      type: 'category',
+      inverse: true,  // Largest IDE on top
+      data: ides,
+      axisLabel: {
+        color: theme.secondary,
+        // IDEs in the filter are emphasized like the selected slices of the pies
+        formatter: ide => selected.includes(ide) ? `{selected|${ide}}` : ide,
+        rich: {selected: {color: theme.foreground, fontWeight: 'bold'}}
+      },
+      axisLine: {lineStyle: {color: theme.secondary}}
+    },
+    series: series.map(item => ({
+      name: item.name,
+      type: 'bar',
+      stack: 'languages',
+      barMaxWidth: 32,
+      emphasis: {focus: 'series'},
+      data: item.seconds.map(seconds => (seconds / 3600).toFixed(2))
+    }))
+  };
+
+  // replaceMerge drops the series of languages no longer in the range
+  chart.setOption(option, {replaceMerge: ['series']});
+  onChartEvent('ideLanguageChart', 'click', params => toggleFilter('IDE', ides[params.dataIndex]));
+}
+
+/**
+ * Name of a time of day bucket with its first and last minute on the configured clock,
+ * e.g. "🌞 Morning (06:00-11:59)" or "Night shift (22:00-05:59)".
+ * @param {Object} bucket - {name, start, end} with "HH:mm" times, the end excluded
+ * @param {boolean} custom - False for the default buckets, whose names are in the message catalog
+ * @returns {string} The label
+ */
+function timeOfDayLabel(bucket, custom) {
+  const minuteOfDay = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = minuteOfDay(bucket.start);
+  const last = (minuteOfDay(bucket.end) + 1439) % 1440;
+  return t('timeOfDay.label', {
+    name: custom ? bucket.name : t(`timeOfDay.${bucket.name}`),
+    start: formatTimeOfDay(Math.floor(start / 60), start % 60),
+    end: formatTimeOfDay(Math.floor(last / 60), last % 60)
+  });
+}
+
+/**
+ * Lays out the time of day distribution in the order of the buckets defined in the settings.
+ * Time outside every bucket is listed last when there is any.
+ * @param {Object} data - {data, buckets, custom}, see TimeOfDayDistributionDataProvider.kt
+ * @param {Object} [theme] - Theme colors; without them the buckets have no color
+ * @returns {Array<Object>} {label, seconds, color} per bucket
+ */
+function timeOfDayBuckets(data, theme) {
+  const seconds = {};
+  data.data.forEach(item => {
+    seconds[item.timeOfDay] = (seconds[item.timeOfDay] || 0) + (item.seconds || 0);
+  });
+  const colors = chartColors(theme);
+  // The palette's time of day colors first, then its categorical colors
+  const fallbackColors = [...colors.timeOfDay, ...colors.palette.slice(colors.timeOfDay.length)];
+
+  const buckets = data.buckets.map((bucket, index) => ({
+    label: timeOfDayLabel(bucket, data.custom),
+    seconds: seconds[bucket.name] || 0,
+    color: bucket.color || fallbackColors[index % fallbackColors.length]
+  }));
+  if (seconds['']) {
+    buckets.push({label: t('timeOfDay.unassigned'), seconds: seconds[''], color: theme ? theme.secondary : ''});
+  }
+  return buckets;
+}
+
+/**
+ * Renders the time of day distribution chart showing coding time by time periods.
+ * Displays as a horizontal bar chart for better readability.
+ * @param {Object} data - {data, buckets, custom}, see TimeOfDayDistributionDataProvider.kt
+ * @param {Object} theme - Theme colors
+ */
+function renderTimeOfDayDistribution(data, theme) {
+  const chart = getOrInitChart('timeOfDayDistributionChart', theme);
+  if (!chart) return;
+
+  const buckets = timeOfDayBuckets(data, theme);
+  const totalSeconds = buckets.reduce((sum, bucket) => sum + bucket.seconds, 0);
+  const chartData = buckets.map(bucket => ({
+    name: bucket.label,
+    value: bucket.seconds / 3600,
+    percentage: totalSeconds > 0 ? (bucket.seconds / totalSeconds) * 100 : 0,
+    color: bucket.color
+  }));
+
+  const option = {
+    backgroundColor: 'transparent',
+    title: {
+      text: t('timeOfDay.title'),
+      left: 'center',
+      top: 0,
+      textStyle: {
+        color: theme.foreground
+      },
+    },
+    tooltip: {
+      trigger: 'axis',
+      axisPointer: {
+        type: 'shadow'
+      },
+      formatter: function (params) {
+        if (!params || params.length === 0) return '';
+        const data = params[0];
+        const hours = formatNumber(data.value, 2);
+        const percent = formatNumber(chartData[data.dataIndex].percentage, 2);
+        return `${data.name}<br/>${t('chart.time', {duration: t('chart.share', {hours, percent})})}`;
+      }
+    },
+    grid: {
+      left: 160,
+      right: 160,
+      top: 50,
+      bottom: 20,
+      containLabel: false
+    },
+    xAxis: {
+      type: 'value',
+      name: t('chart.hours'),
+      nameTextStyle: {
+        color: theme.secondary
+      },
+      axisLabel: {
+        color: theme.secondary,
+        formatter: value => t('chart.hoursShort', {hours: formatNumber(value, 1)})
+      },
+      splitLine: {
+        lineStyle: {
+          color: theme.isDark ? '#333' : '#e0e0e0'
+        }
+      }
+    },
+    yAxis: {
+      type: 'category',
+      data: chartData.map(item => item.name),
+      inverse: true,  // 🔑 Add this line to reverse Y axis order
+      axisLabel: {
+        color: theme.secondary,
+        fontSize: 12
+      },
+      axisLine: {
+        lineStyle: {
+          color: theme.secondary
+        }
+      }
+    },
+    series: [
+      {
+        type: 'bar',
+        data: chartData.map(item => ({
+          value: item.value,
+          itemStyle: {
+            color: item.color
+          }
+        })),
+        barWidth: '60%',
+        label: {
+          show: true,
+          position: 'right',
+          formatter: function (params) {
+            const percentage = chartData[params.dataIndex].percentage;
+            return t('chart.share', {hours: formatNumber(params.value, 2), percent: formatNumber(percentage, 2)});
+          },
+          color: theme.foreground,
+          fontSize: 11
+        },
+        emphasis: {
+          itemStyle: {
+            shadowBlur: 10,
+            shadowColor: 'rgba(0, 0, 0, 0.5)'
+          }
+        }
+      }
+    ]
+  };
+
+  chart.setOption(option);
+}
+
+/**
+ * Opens the day-detail panel when the daily activity chart is clicked.
+ * The line has no symbols to click on, so the click position is mapped to the nearest day.
+ * @param {string} chartKey - The key of the line chart in chartInstances
+ * @param {Array<Object>} data - The daily data points with their fullDate
+ */
+function bindDayClick(chartKey, data) {
+  const chart = chartInstances[chartKey];
+  onChartEvent(chartKey, 'click', event => {
+    const point = [event.offsetX, event.offsetY];
+    if (!chart.containPixel('grid', point)) {
+      return;
+    }
+    const index = Math.round(chart.convertFromPixel({seriesIndex: 0}, point)[0]);
+    if (data[index]) {
+      openDayDetail(data[index].fullDate);
+    }
+  }, true);
+}
+
+/**
+ * Wires up closing the day-detail panel (close button, backdrop click, Escape).
+ */
+function initDayDetail() {
+  const overlay = document.getElementById('day-detail');
+  document.getElementById('day-detail-close').addEventListener('click', closeDayDetail);
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) {
+      closeDayDetail();
+    }
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && !overlay.hidden) {
+      closeDayDetail();
+    }
+  });
+}
+
+/**
+ * Opens the day-detail panel and loads the sessions of the day from the IDE.
+ * @param {string} date - The ISO date of the day
+ */
+function openDayDetail(date) {
+  if (!ideBridge.isAvailable()) {
+    // The sessions of a day are loaded from the IDE, which a standalone report does not have
+    return;
+  }
+
+  document.getElementById('day-detail-title').textContent = formatDate(date, {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  });
+  document.getElementById('day-detail-subtitle').textContent = t('dayDetail.loading');
+  document.getElementById('day-project-totals').replaceChildren();
+  disposeChart('dayTimelineChart');
+  document.getElementById('day-detail').hidden = false;
+
+  ideBridge.request('dayDetail', {date})
+      .then(detail => renderDayDetail(detail, currentTheme))
+      .catch(error => {
+        document.getElementById('day-detail-subtitle').textContent = t('dayDetail.failed', {message: error.message});
+      });
+}
+
+function closeDayDetail() {
+  document.getElementById('day-detail').hidden = true;
+  disposeChart('dayTimelineChart');
+}
+
+/**
+ * Renders a day as a Gantt-style timeline with one row per project, plus the per-project totals.
+ * Each bar is one coding session, labelled with its language and IDE.
+ * @param {Object} detail - {date, sessions: [{project, language, ide, start, end, seconds}], projects, totalSeconds}
+ * @param {Object} theme - Theme colors
+ */
+function renderDayDetail(detail, theme) {
+  // A late response for a panel that was closed in the meantime is ignored
+  if (document.getElementById('day-detail').hidden) {
+    return;
+  }
+
+  const sessions = detail.sessions;
+  const projects = detail.projects.map(item => item.project);
+  const palette = chartColors(theme).palette;
+  const colorOf = project => palette[projects.indexOf(project) % palette.length];
+
+  document.getElementById('day-detail-subtitle').textContent = sessions.length === 0
+      ? t('dayDetail.empty')
+      : t(sessions.length === 1 ? 'dayDetail.summaryOne' : 'dayDetail.summaryOther', {
+        duration: formatDuration(detail.totalSeconds),
+        count: formatNumber(sessions.length)
+      });
+
+  const totals = document.getElementById('day-project-totals');
+  totals.replaceChildren(...detail.projects.map(item => {
+    const row = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'day-project-swatch';
+    swatch.style.backgroundColor = colorOf(item.project);
+    const name = document.createElement('span');
+    name.className = 'day-project-name';
+    name.textContent = item.project;
+    name.title = item.project;
+    const time = document.createElement('span');
+    time.className = 'day-project-time';
+    time.textContent = formatDuration(item.seconds);
+    row.append(swatch, name, time);
+    return row;
+  }));
+
+  const chartDom = document.getElementById('dayTimelineChart');
+  if (sessions.length === 0) {
+    chartDom.style.height = '0';
+    return;
+  }
+  chartDom.style.height = `${Math.max(140, projects.length * 40 + 60)}px`;
+
+  disposeChart('dayTimelineChart');
+  const chartTheme = theme && theme.isDark ? 'dark' : 'default';
+  chartInstances.dayTimelineChart = echarts.init(chartDom, chartTheme);
+
+  const dayStart = parseLocalDate(detail.date);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  const chartData = sessions.map(session => ({
+    value: [projects.indexOf(session.project), new Date(session.start).getTime(), new Date(session.end).getTime()],
+    itemStyle: {color: colorOf(session.project)}
+  }));
+
+  const option = {
+    backgroundColor: 'transparent',
+    tooltip: {
+      formatter: function (params) {
+        const session = sessions[params.dataIndex];
+        const start = formatClockTime(new Date(session.start));
+        const end = formatClockTime(new Date(session.end));
+        return `${session.project}<br/>${session.language} · ${session.ide}<br/>`
+            + `${start} – ${end} (${formatDuration(session.seconds)})`;
+      }
+    },
+    grid: {left: 10, right: 20, top: 10, bottom: 30, containLabel: true},
+    xAxis: {
+      type: 'time',
+      min: dayStart.getTime(),
+      max: dayEnd.getTime(),
+      axisLabel: {
+        color: theme ? theme.secondary : undefined,
+        formatter: value => formatClockTime(new Date(value))
+      },
+      splitLine: {
+        show: true,
+        lineStyle: {color: theme && theme.isDark ? '#333' : '#e0e0e0', type: 'dashed'}
+      }
+    },
+    yAxis: {
+      type: 'category',
+      inverse: true,
+      data: projects,
+      axisLabel: {
+        color: theme ? theme.secondary : undefined,
+        width: 120,
+        overflow: 'truncate'
+      }
+    },
+    dataZoom: [{type: 'inside', filterMode: 'weakFilter'}],
+    series: [{
+      type: 'custom',
+      encode: {x: [1, 2], y: 0},
+      renderItem: function (params, api) {
+        const session = sessions[params.dataIndex];
+        const categoryIndex = api.value(0);
+        const start = api.coord([api.value(1), categoryIndex]);
+        const end = api.coord([api.value(2), categoryIndex]);
+        const height = api.size([0, 1])[1] * 0.6;
+
+        const rect = echarts.graphic.clipRectByRect({
+          x: start[0],
+          y: start[1] - height / 2,
+          // Keep very short sessions visible
+          width: Math.max(end[0] - start[0], 2),
+          height: height
+        }, {
+          x: params.coordSys.x,
+          y: params.coordSys.y,
+          width: params.coordSys.width,
+          height: params.coordSys.height
+        });
+        if (!rect) {
+          return null;
+        }
+
+        return {
+          type: 'rect',
+          shape: rect,
+          style: api.style(),
+          textContent: {
+            style: {
+              text: rect.width > 40 ? `${session.language} · ${session.ide}` : '',
+              fill: '#fff',
+              fontSize: 11,
+              width: rect.width - 6,
+              overflow: 'truncate'
+            }
+          },
+          textConfig: {position: 'inside'}
+        };
+      },
+      data: chartData
+    }]
+  };
+
+  chartInstances.dayTimelineChart.setOption(option);
+}
+
+/**
+ * Wires up closing the project sessions panel, like the day-detail panel.
+ */
+function initProjectSessions() {
+  const overlay = document.getElementById('project-sessions');
+  document.getElementById('project-sessions-close').addEventListener('click', closeProjectSessions);
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) {
+      closeProjectSessions();
+    }
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && !overlay.hidden) {
+      closeProjectSessions();
+    }
+  });
+}
+
+/**
+ * Opens the project sessions panel and loads the sessions of a project within a timeline bucket from the IDE.
+ * @param {string} project - The project name
+ * @param {Object} period - {start, end} ISO dates, both inclusive
+ * @param {string} bucket - 'day', 'week' or 'month', to format the period
+ */
+function openProjectSessions(project, period, bucket) {
+  if (!ideBridge.isAvailable()) {
+    // The sessions are loaded from the IDE, which a standalone report does not have
+    return;
+  }
+
+  document.getElementById('project-sessions-title').textContent =
+      t('projectSessions.title', {project, period: formatTimelinePeriod(period, bucket)});
+  document.getElementById('project-sessions-subtitle').textContent = t('dayDetail.loading');
+  document.getElementById('project-sessions-list').replaceChildren();
+  document.getElementById('project-sessions').hidden = false;
+
+  ideBridge.request('projectSessions', {project, start: period.start, end: period.end})
+      .then(renderProjectSessions)
+      .catch(error => {
+        document.getElementById('project-sessions-subtitle').textContent =
+            t('dayDetail.failed', {message: error.message});
+      });
+}
+
+function closeProjectSessions() {
+  document.getElementById('project-sessions').hidden = true;
+}
+
+/**
+ * Lists the sessions of a project, one row per session with its day, time, language, IDE and duration.
+ * @param {Object} detail - {project, start, end, sessions: [{language, ide, start, end, seconds}], totalSeconds}
+ */
+function renderProjectSessions(detail) {
+  // A late response for a panel that was closed in the meantime is ignored
+  if (document.getElementById('project-sessions').hidden) {
+    return;
+  }
+
+  const sessions = detail.sessions;
+  document.getElementById('project-sessions-subtitle').textContent = sessions.length === 0
+      ? t('projectSessions.empty')
+      : t(sessions.length === 1 ? 'dayDetail.summaryOne' : 'dayDetail.summaryOther', {
+        duration: formatDuration(detail.totalSeconds),
+        count: formatNumber(sessions.length)
+      });
+  if (sessions.length === 0) {
+    return;
+  }
+
+  const table = document.createElement('table');
+  const header = table.createTHead().insertRow();
+  [['table.date'], ['table.time'], ['table.language'], ['table.ide'], ['table.codingTime', true]]
+      .forEach(([label, numeric]) => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = t(label);
+        cell.classList.toggle('numeric', Boolean(numeric));
+        header.append(cell);
+      });
+
+  const body = table.createTBody();
+  for (const session of sessions) {
+    const start = new Date(session.start);
+    const row = body.insertRow();
+    row.insertCell().textContent = formatDate(toLocalDateString(start));
+    row.insertCell().textContent = `${formatClockTime(start)} – ${formatClockTime(new Date(session.end))}`;
+    row.insertCell().textContent = session.language;
+    row.insertCell().textContent = session.ide;
+    const duration = row.insertCell();
+    duration.className = 'numeric';
+    duration.textContent = formatDuration(session.seconds);
+  }
+  document.getElementById('project-sessions-list').replaceChildren(table);
+}
+
+/**
+ * Wires up the export buttons of the cards and the dashboard, and the menu they share.
+ * The menu offers PNG at 1x/2x and SVG, on a light or dark background.
+ */
+function initExportMenu() {
+  const menu = document.getElementById('export-menu');
+
+  document.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', event => {
+      event.stopPropagation();
+      if (!menu.hidden && exportTarget === button.dataset.export) {
+        closeExportMenu();
+      } else {
+        openExportMenu(button);
+      }
+    });
+  });
+  menu.querySelectorAll('[data-background]').forEach(button => {
+    button.addEventListener('click', () => {
+      exportBackground = button.dataset.background;
+      renderExportBackgrounds();
+    });
+  });
+  menu.querySelectorAll('[data-format]').forEach(item => {
+    item.addEventListener('click', () => {
+      const target = exportTarget;
+      closeExportMenu();
+      const theme = exportTheme(exportBackground, currentTheme || {});
+      exportImage(target, item.dataset.format, Number(item.dataset.scale || 1), theme);
+    });
+  });
+
+  menu.addEventListener('click', event => event.stopPropagation());
+  document.addEventListener('click', closeExportMenu);
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+      closeExportMenu();
+    }
+  });
+}
+
+/**
+ * Opens the export menu below the button that was clicked.
+ * @param {HTMLElement} button - The export button, its data-export naming what is exported
+ */
+function openExportMenu(button) {
+  const menu = document.getElementById('export-menu');
+  exportTarget = button.dataset.export;
+  exportBackground = exportBackground || (currentTheme && currentTheme.isDark ? 'dark' : 'light');
+  renderExportBackgrounds();
+
+  menu.hidden = false;
+  const rect = button.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.left = `${Math.max(8, rect.right - menu.offsetWidth)}px`;
+}
+
+function closeExportMenu() {
+  document.getElementById('export-menu').hidden = true;
+  exportTarget = null;
+}
+
+/**
+ * Export colors of a background, with the accent, palette and high contrast of the dashboard.
+ * @param {string} background - 'light' or 'dark'
+ * @param {Object} source - Theme colors of the dashboard
+ * @returns {Object} Theme colors
+ */
+function exportTheme(background, source) {
+  const theme = {...EXPORT_THEMES[background], accent: source.accent, palette: source.palette};
+  return source.highContrast ? {...theme, secondary: theme.foreground, highContrast: true} : theme;
+}
+
+function renderExportBackgrounds() {
+  document.querySelectorAll('#export-menu [data-background]').forEach(button => {
+    const selected = button.dataset.background === exportBackground;
+    button.classList.toggle('active', selected);
+    button.setAttribute('aria-pressed', String(selected));
+  });
+}
+
+/**
+ * Orders, hides and sizes the chart cards as in a layout from the IDE.
+ * @param {Array<Object>} layout - [{card, hidden, wide}] in display order
+ */
+function applyLayout(layout) {
+  const changed = JSON.stringify(layout) !== JSON.stringify(currentLayout);
+  currentLayout = layout;
+
+  const grid = document.querySelector('.charts-grid');
+  for (const {card, hidden, wide} of layout) {
+    const element = grid.querySelector(`.card[data-card="${card}"]`);
+    if (element) {
+      // Appending every card in layout order sorts them
+      grid.appendChild(element);
+      element.hidden = hidden;
+      element.classList.toggle('card-wide', wide);
+    }
+  }
+
+  renderLayoutMenu();
+  if (changed) {
+    resizeCharts();
+  }
+}
+
+/**
+ * Reads the layout as currently arranged on the page.
+ * @returns {Array<Object>} [{card, hidden, wide}] in display order
+ */
+function readLayout() {
+  return [...document.querySelectorAll('.charts-grid .card[data-card]')].map(element => ({
+    card: element.dataset.card,
+    hidden: element.hidden,
+    wide: element.classList.contains('card-wide')
+  }));
+}
+
+/**
+ * Stores a layout in the IDE settings and renders the returned payload,
+ * which includes the data of cards that were just shown again.
+ * @param {Array<Object>} cards - [{card, hidden, wide}] in display order, empty to reset the default layout
+ */
+function saveLayout(cards) {
+  requestPayload('saveLayout', {cards})
+      .catch(error => console.warn('Layout request failed:', error.message));
+}
+
+/**
+ * Wires up the layout menu, the width toggles and the drag handles of the cards.
+ * Changes are applied on the page right away and then stored through the IDE.
+ */
+function initLayoutControls() {
+  const menu = document.getElementById('layout-menu');
+  const button = document.getElementById('layout-button');
+
+  button.addEventListener('click', event => {
+    event.stopPropagation();
+    if (menu.hidden) {
+      menu.hidden = false;
+      const rect = button.getBoundingClientRect();
+      menu.style.top = `${rect.bottom + 4}px`;
+      menu.style.left = `${Math.max(8, rect.right - menu.offsetWidth)}px`;
+    } else {
+      menu.hidden = true;
+    }
+  });
+  menu.addEventListener('click', event => event.stopPropagation());
+  document.addEventListener('click', () => {
+    menu.hidden = true;
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+      menu.hidden = true;
+    }
+  });
+
+  document.getElementById('layout-reset').addEventListener('click', () => {
+    menu.hidden = true;
+    saveLayout([]);
+  });
+
+  document.querySelectorAll('.card-width').forEach(toggle => {
+    toggle.addEventListener('click', () => {
+      toggle.closest('.card').classList.toggle('card-wide');
+      resizeCharts();
+      saveLayout(readLayout());
+    });
+  });
+
+  document.querySelectorAll('.card-drag').forEach(handle => {
+    handle.addEventListener('pointerdown', event => startCardDrag(handle, event));
+    handle.addEventListener('keydown', event => moveCardWithKey(handle.closest('.card'), event));
+  });
+}
+
+/**
+ * Lists the cards in the layout menu, each with a checkbox showing or hiding it.
+ */
+function renderLayoutMenu() {
+  const list = document.getElementById('layout-cards');
+  list.replaceChildren(...currentLayout.map(({card, hidden}) => {
+    const label = document.createElement('label');
+    label.className = 'export-item layout-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !hidden;
+    checkbox.addEventListener('change', () => {
+      document.querySelector(`.charts-grid .card[data-card="${card}"]`).hidden = !checkbox.checked;
+      saveLayout(readLayout());
+    });
+
+    label.append(checkbox, t(CARD_TITLES[card]));
+    return label;
+  }));
+}
+
+/**
+ * Moves a card while its drag handle is held, swapping places with the card under the pointer.
+ * Uses pointer events rather than HTML drag and drop, which the IDE's embedded browser does not always deliver.
+ * @param {HTMLElement} handle - The drag handle of the card
+ * @param {PointerEvent} event - The pointerdown event
+ */
+function startCardDrag(handle, event) {
+  if (event.button !== 0) return;
+  event.preventDefault();
+
+  const card = handle.closest('.card');
+  const grid = card.parentElement;
+  const orderBefore = readLayout().map(item => item.card).join();
+  handle.setPointerCapture(event.pointerId);
+  card.classList.add('dragging');
+
+  const move = moveEvent => {
+    const target = document.elementFromPoint(moveEvent.clientX, moveEvent.clientY)?.closest('.card[data-card]');
+    if (!target || target === card || target.parentElement !== grid) return;
+    // Moving forward lands after the target, moving backward before it
+    const cards = [...grid.children];
+    grid.insertBefore(card, cards.indexOf(target) > cards.indexOf(card) ? target.nextSibling : target);
+  };
+  const end = () => {
+    handle.removeEventListener('pointermove', move);
+    handle.removeEventListener('pointerup', end);
+    handle.removeEventListener('pointercancel', end);
+    card.classList.remove('dragging');
+    if (readLayout().map(item => item.card).join() !== orderBefore) {
+      resizeCharts();
+      saveLayout(readLayout());
+    }
+  };
+
+  handle.addEventListener('pointermove', move);
+  handle.addEventListener('pointerup', end);
+  handle.addEventListener('pointercancel', end);
+}
+
+/**
+ * Lets the drag handle move its card with the arrow keys: left/up moves it earlier, right/down later.
+ * @param {HTMLElement} card - The card of the focused handle
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function moveCardWithKey(card, event) {
+  const backward = event.key === 'ArrowLeft' || event.key === 'ArrowUp';
+  const forward = event.key === 'ArrowRight' || event.key === 'ArrowDown';
+  if (!backward && !forward) return;
+  event.preventDefault();
+
+  const cards = [...card.parentElement.querySelectorAll('.card[data-card]:not([hidden])')];
+  const neighbor = cards[cards.indexOf(card) + (forward ? 1 : -1)];
+  if (!neighbor) return;
+
+  card.parentElement.insertBefore(card, forward ? neighbor.nextSibling : neighbor);
+  card.querySelector('.card-drag').focus();
+  resizeCharts();
+  saveLayout(readLayout());
+}
+
+/**
+ * Wires up the table toggles of the chart cards and the arrow keys moving the focus between cards.
+ */
+function initDataTables() {
+  document.querySelectorAll('.charts-grid .card[data-card]').forEach(card => {
+    card.querySelector('.card-table-toggle').addEventListener('click', () => {
+      setTableView(card, !card.classList.contains('table-view'));
+    });
+    card.addEventListener('keydown', event => focusCardWithKey(card, event));
+  });
+  labelCards();
+}
+
+/**
+ * Names every chart card and its chart for screen readers, in the current locale.
+ */
+function labelCards() {
+  document.querySelectorAll('.charts-grid .card[data-card]').forEach(card => {
+    const title = t(CARD_TITLES[card.dataset.card]);
+    card.setAttribute('aria-label', title);
+    card.querySelector('[role="img"]').setAttribute('aria-label', t('table.chartLabel', {title}));
+  });
+}
+
+/**
+ * Switches a card between its chart and its data table.
+ * @param {HTMLElement} card - The chart card
+ * @param {boolean} showTable - True for the table, false for the chart
+ */
+function setTableView(card, showTable) {
+  const chartKey = card.dataset.card;
+  if (showTable) {
+    tableViews.add(chartKey);
+  } else {
+    tableViews.delete(chartKey);
+  }
+
+  card.classList.toggle('table-view', showTable);
+  card.querySelector('[role="img"]').hidden = showTable;
+  card.querySelector('.card-table').hidden = !showTable;
+
+  const toggle = card.querySelector('.card-table-toggle');
+  const label = showTable ? 'table.showChart' : 'table.show';
+  toggle.setAttribute('aria-pressed', String(showTable));
+  // Keep the attributes localizePage() reads in sync, so a locale change keeps the right label
+  toggle.dataset.i18nTitle = label;
+  toggle.dataset.i18nAriaLabel = label;
+  toggle.title = t(label);
+  toggle.setAttribute('aria-label', t(label));
+
+  if (showTable) {
+    renderCardTable(chartKey);
+  } else {
+    // The chart was not laid out while hidden
+    resizeCharts();
+  }
+}
+
+/**
+ * Renders the data table of a card from the last data of its provider, in the card's sort order.
+ * @param {string} chartKey - The chart key of the provider
+ */
+function renderCardTable(chartKey) {
+  const card = document.querySelector(`.charts-grid .card[data-card="${chartKey}"]`);
+  const data = lastChartData[chartKey];
+  if (!card || !data) return;
+
+  const {columns, rows: allRows} = TABLE_BUILDERS[chartKey](data);
+  // The search box of a distribution card narrows its list down by name
+  const query = distributionSearches[chartKey];
+  const rows = query ? allRows.filter(row => String(row[0].text).toLocaleLowerCase().includes(query)) : allRows;
+  const sort = tableSorts[chartKey];
+  if (sort) {
+    const direction = sort.descending ? -1 : 1;
+    rows.sort((a, b) => compareCellValues(a[sort.column].value, b[sort.column].value) * direction);
+  }
+
+  const table = document.createElement('table');
+  table.createCaption().textContent = t(CARD_TITLES[chartKey]);
+
+  const headRow = table.createTHead().insertRow();
+  columns.forEach((column, index) => {
+    const header = document.createElement('th');
+    header.scope = 'col';
+    header.classList.toggle('numeric', Boolean(column.numeric));
+    header.setAttribute('aria-sort', sort && sort.column === index ? (sort.descending ? 'descending' : 'ascending') : 'none');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = column.label;
+    button.addEventListener('click', () => {
+      const current = tableSorts[chartKey];
+      // A new column starts with the most time first, or alphabetically for text
+      tableSorts[chartKey] = current && current.column === index
+          ? {column: index, descending: !current.descending}
+          : {column: index, descending: Boolean(column.numeric)};
+      renderCardTable(chartKey);
+      card.querySelectorAll('.card-table th button')[index].focus();
+    });
+
+    header.appendChild(button);
+    headRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(row => {
+    const tableRow = body.insertRow();
+    row.forEach((cell, index) => {
+      // The first cell names the row
+      const element = document.createElement(index === 0 ? 'th' : 'td');
+      if (index === 0) {
+        element.scope = 'row';
+      }
+      element.classList.toggle('numeric', Boolean(columns[index].numeric));
+      element.textContent = cell.text;
+      tableRow.appendChild(element);
+    });
+  });
+  if (rows.length === 0) {
+    const cell = body.insertRow().insertCell();
+    cell.colSpan = columns.length;
+    cell.textContent = t('table.empty');
+  }
+
+  card.querySelector('.card-table').replaceChildren(table);
+}
+
+function compareCellValues(a, b) {
+  return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b), currentLocale);
+}
+
+/**
+ * A table of named coding times with their share of the total, e.g. languages.
+ * Items with a session count are listed with their rank and sessions as well.
+ * @param {string} label - Header of the name column
+ * @param {Array<Object>} items - {label, seconds, sessions?}, largest first when ranked
+ * @returns {Object} {columns, rows}, see TABLE_BUILDERS
+ */
+function shareTable(label, items) {
+  const total = items.reduce((sum, item) => sum + item.seconds, 0);
+  const ranked = items.some(item => item.sessions !== undefined);
+  const columns = [{label}, {label: t('table.codingTime'), numeric: true}, {label: t('table.share'), numeric: true}];
+  return {
+    columns: ranked
+        ? [columns[0], {label: t('table.rank'), numeric: true}, ...columns.slice(1), {label: t('table.sessions'), numeric: true}]
+        : columns,
+    rows: items.map((item, index) => {
+      const share = total > 0 ? item.seconds / total * 100 : 0;
+      const cells = [durationCell(item.seconds), {text: `${formatNumber(share, 1)}%`, value: share}];
+      const name = {text: item.label, value: item.label};
+      return ranked
+          ? [name, {text: formatNumber(index + 1), value: index + 1}, ...cells,
+            {text: formatNumber(item.sessions || 0), value: item.sessions || 0}]
+          : [name, ...cells];
+    })
+  };
+}
+
+function durationCell(seconds) {
+  return {text: formatDuration(Math.round(seconds)), value: seconds};
+}
+
+function dateCell(isoDate) {
+  return {text: formatDate(isoDate), value: isoDate};
 }
 
 /**
- * Renders the project distribution chart showing coding time by project.
- * @param {Array<Object>} data - Array of project usage data with project name and seconds
- * @param {Object} theme - Theme colors
+ * Moves the focus between chart cards with the arrow keys, Home and End while a card itself is focused.
+ * @param {HTMLElement} card - The focused card
+ * @param {KeyboardEvent} event - The keydown event
  */
-function renderProjectDistribution(data, theme) {
-  disposeChart('projectDistributionChart');
+function focusCardWithKey(card, event) {
+  if (event.target !== card) return;
+
+  const cards = [...document.querySelectorAll('.charts-grid .card[data-card]:not([hidden])')];
+  const index = cards.indexOf(card);
+  const targets = {
+    ArrowRight: cards[index + 1],
+    ArrowDown: cards[index + 1],
+    ArrowLeft: cards[index - 1],
+    ArrowUp: cards[index - 1],
+    Home: cards[0],
+    End: cards[cards.length - 1]
+  };
+  if (!(event.key in targets)) return;
 
-  const chartDom = document.getElementById('projectDistributionChart');
-  if (!chartDom) {
-    console.warn('Project distribution chart container not found');
+  event.preventDefault();
+  if (targets[event.key]) {
+    targets[event.key].focus();
+  }
+}
+
+/**
+ * Draws a chart or the whole dashboard as an image and lets the IDE save it through its file chooser.
+ * @param {string} target - A chart container id, or 'dashboard'
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} scale - Pixel ratio of a PNG (1 or 2)
+ * @param {Object} theme - Export colors, see exportTheme
+ */
+async function exportImage(target, format, scale, theme) {
+  if (!currentTheme) {
+    // Nothing rendered yet
     return;
   }
 
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.projectDistributionChart = echarts.init(chartDom, chartTheme);
+  try {
+    const image = target === 'dashboard'
+        ? await drawDashboardImage(format, scale, theme)
+        : drawChartImage(target, format, scale, theme);
+    // PNGs travel as base64 without the data URL prefix, SVGs as markup
+    const data = format === 'png' ? image.substring(image.indexOf(',') + 1) : image;
+    const name = target === 'dashboard' ? 'code-time-dashboard' : `code-time-${target}`;
+
+    await ideBridge.request('saveImage', {
+      fileName: `${name}-${toLocalDateString(new Date())}.${format}`,
+      format,
+      data
+    }, {timeout: SAVE_IMAGE_TIMEOUT_MS});
+  } catch (e) {
+    console.warn(`Failed to export ${target} as ${format}:`, e.message);
+  }
+}
 
-  // Transform data for chart
-  const allData = data.map(item => ({
-    name: item.project,
-    value: item.seconds / 3600
-  })).sort((a, b) => b.value - a.value);
+/**
+ * Draws a single chart as an image.
+ * @param {string} chartKey - The chart container id
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} scale - Pixel ratio of a PNG
+ * @param {Object} theme - Export colors, see exportTheme
+ * @returns {string} A PNG data URL or the SVG markup
+ */
+function drawChartImage(chartKey, format, scale, theme) {
+  const chart = drawOffscreenChart(chartKey, format === 'svg' ? 'svg' : 'canvas', theme);
+  try {
+    chart.setOption({backgroundColor: theme.background});
+    return format === 'svg'
+        ? chart.renderToSVGString()
+        : chart.getDataURL({type: 'png', pixelRatio: scale, backgroundColor: theme.background});
+  } finally {
+    chart.dispose();
+  }
+}
 
-  const totalHours = allData.reduce((sum, item) => sum + item.value, 0);
+/**
+ * Draws a chart again from its last data into a detached instance of the same size,
+ * so the export gets its own colors and renderer without touching the live chart.
+ * @param {string} chartKey - The chart container id
+ * @param {string} renderer - 'canvas' or 'svg'
+ * @param {Object} theme - Export colors, see exportTheme
+ * @returns {Object} The ECharts instance, to be disposed by the caller
+ */
+function drawOffscreenChart(chartKey, renderer, theme) {
+  const providerKey = EXPORTABLE_CHARTS[chartKey];
+  const container = document.getElementById(chartKey);
+  if (!lastChartData[providerKey]) {
+    throw new Error(`No data to export for ${chartKey}`);
+  }
 
-  const minPercentage = 0.1;
-  const chartData = allData.filter(item => {
-    const percentage = (item.value / totalHours) * 100;
-    return percentage >= minPercentage;
+  const chart = echarts.init(document.createElement('div'), theme.isDark ? 'dark' : 'default', {
+    renderer,
+    width: container.clientWidth,
+    height: container.clientHeight
   });
+  chart.setOption({animation: false});
 
-  const displayedTotal = chartData.reduce((sum, item) => sum + item.value, 0);
-  const othersValue = totalHours - displayedTotal;
+  offscreenChart = {chartKey, chart};
+  try {
+    CHART_RENDERERS[providerKey](lastChartData[providerKey], {theme, range: currentRange});
+  } catch (e) {
+    chart.dispose();
+    throw e;
+  } finally {
+    offscreenChart = null;
+  }
+  return chart;
+}
 
-  const pieData = chartData.map(item => ({
-    name: item.name,
-    value: item.value
-  }));
+/**
+ * Draws the summary cards and every visible chart as one SVG laid out like the dashboard,
+ * rasterized when a PNG is requested.
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} scale - Pixel ratio of a PNG
+ * @param {Object} theme - Export colors, see exportTheme
+ * @returns {Promise<string>} A PNG data URL or the SVG markup
+ */
+async function drawDashboardImage(format, scale, theme) {
+  const padding = 24;
+  const headerHeight = 40;
+  const summaryCards = [...document.querySelectorAll('#summary-dashboard .summary-card')];
+  const chartContainers = Object.keys(EXPORTABLE_CHARTS)
+      .map(chartKey => document.getElementById(chartKey))
+      .filter(container => container && container.offsetWidth > 0 && lastChartData[EXPORTABLE_CHARTS[container.id]]);
+
+  const rects = [...summaryCards, ...chartContainers].map(element => element.getBoundingClientRect());
+  const left = Math.min(...rects.map(rect => rect.left));
+  const top = Math.min(...rects.map(rect => rect.top));
+  const width = Math.max(...rects.map(rect => rect.right)) - left + padding * 2;
+  const height = Math.max(...rects.map(rect => rect.bottom)) - top + padding * 2 + headerHeight;
+  const offset = rect => ({x: rect.left - left + padding, y: rect.top - top + padding + headerHeight});
+
+  const range = currentRange ? `${formatDate(currentRange.start)} – ${formatDate(currentRange.end)}` : '';
+  const parts = [
+    `<rect width="${width}" height="${height}" fill="${theme.background}"/>`,
+    `<text x="${padding}" y="${padding + 16}" fill="${theme.foreground}" font-size="18" font-weight="600">Code Time Tracker</text>`,
+    `<text x="${width - padding}" y="${padding + 16}" fill="${theme.secondary}" font-size="13" text-anchor="end">${escapeXml(range)}</text>`
+  ];
+
+  summaryCards.forEach(card => {
+    const rect = card.getBoundingClientRect();
+    const {x, y} = offset(rect);
+    const label = card.querySelector('.metric-label').textContent;
+    const value = card.querySelector('.metric-value').textContent;
+    parts.push(
+        `<rect x="${x + 0.5}" y="${y + 0.5}" width="${rect.width - 1}" height="${rect.height - 1}" rx="12" fill="none" stroke="${theme.border}"/>`,
+        `<text x="${x + 20}" y="${y + rect.height / 2 - 4}" fill="${theme.secondary}" font-size="12">${escapeXml(label)}</text>`,
+        `<text x="${x + 20}" y="${y + rect.height / 2 + 16}" fill="${theme.foreground}" font-size="18" font-weight="600">${escapeXml(value)}</text>`
+    );
+  });
 
-  if (othersValue > 0) {
-    pieData.push({
-      name: 'Others',
-      value: othersValue
-    });
-  }
+  chartContainers.forEach(container => {
+    const {x, y} = offset(container.getBoundingClientRect());
+    const chart = drawOffscreenChart(container.id, 'svg', theme);
+    try {
+      parts.push(chart.renderToSVGString().replace('<svg', `<svg x="${x}" y="${y}"`));
+    } finally {
+      chart.dispose();
+    }
+  });
 
-  const option = {
-    backgroundColor: 'transparent',
-    title: {
-      text: 'Project Distribution',
-      subtext: `Total: ${totalHours.toFixed(2)} hours`,
-      left: 'center',
-      top: 0,
-      textStyle: {
-        color: theme.foreground
-      },
-      subtextStyle: {
-        color: theme.secondary,
-        fontSize: 12
-      }
-    },
-    tooltip: {
-      trigger: 'item',
-      formatter: function (params) {
-        const hours = params.value.toFixed(2);
-        const percentage = ((params.value / totalHours) * 100).toFixed(2);
-        return `${params.name}<br/>Time: ${hours}h (${percentage}%)`;
-      }
-    },
-    grid: {
-      left: '5%',
-      right: '5%',
-      top: 60,
-      bottom: 20,
-      containLabel: true
-    },
-    legend: {
-      type: 'scroll',
-      orient: 'vertical',
-      right: '5%',
-      top: 'middle',
-      textStyle: {
-        color: theme.secondary,
-        fontSize: 12
-      },
-      itemWidth: 14,
-      itemHeight: 14,
-      itemGap: 8,
-      formatter: function (name) {
-        const item = pieData.find(d => d.name === name);
-        if (item) {
-          const percentage = ((item.value / totalHours) * 100).toFixed(2);
-          return `${name} (${percentage}%)`;
-        }
-        return name;
-      }
-    },
-    series: [
-      {
-        type: 'pie',
-        radius: ['45%', '70%'],
-        center: ['40%', '55%'],
-        avoidLabelOverlap: false,
-        itemStyle: {
-          borderRadius: 8,
-          borderColor: theme.isDark ? '#333' : '#fff',
-          borderWidth: 2
-        },
-        label: {
-          show: false,
-          position: 'center'
-        },
-        emphasis: {
-          label: {
-            show: true,
-            fontSize: 18,
-            fontWeight: 'bold',
-            formatter: function (params) {
-              return params.name;
-            },
-            color: theme.foreground
-          }
-        },
-        labelLine: {
-          show: false
-        },
-        data: pieData
-      }
-    ]
-  };
+  const font = getComputedStyle(document.body).fontFamily.replace(/"/g, "'");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" `
+      + `viewBox="0 0 ${width} ${height}" font-family="${escapeXml(font)}">${parts.join('')}</svg>`;
+  return format === 'svg' ? svg : rasterizeSvg(svg, width, height, scale);
+}
+
+/**
+ * Rasterizes SVG markup into a PNG.
+ * @param {string} svg - The SVG markup
+ * @param {number} width - Width of the SVG in CSS pixels
+ * @param {number} height - Height of the SVG in CSS pixels
+ * @param {number} scale - Pixel ratio of the PNG
+ * @returns {Promise<string>} The PNG data URL
+ */
+function rasterizeSvg(svg, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = () => reject(new Error('Failed to rasterize the dashboard image'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
 
-  chartInstances.projectDistributionChart.setOption(option);
+/**
+ * Escapes text for use in SVG markup.
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[char]);
 }
 
 /**
- * Renders the time of day distribution chart showing coding time by time periods.
- * Displays as a horizontal bar chart for better readability.
- * @param {Array<Object>} data - Array of time of day usage data
+ * Returns the chart instance for a container, creating it on first use.
+ * Instances are kept across refreshes so setOption merges new data into the live chart,
+ * which animates the transition and keeps zoom, legend selection and hover state.
+ * An ECharts theme cannot be switched on a live instance, so a theme change re-creates the chart.
+ * While a chart is exported, its offscreen instance is returned instead.
+ * @param {string} chartKey - The key of the chart in chartInstances (also its container id)
  * @param {Object} theme - Theme colors
+ * @returns {Object|null} The ECharts instance, or null if the container does not exist
  */
-function renderTimeOfDayDistribution(data, theme) {
-  disposeChart('timeOfDayDistributionChart');
-
-  const chartDom = document.getElementById('timeOfDayDistributionChart');
-  if (!chartDom) {
-    console.warn('Time of day distribution chart container not found');
-    return;
+function getOrInitChart(chartKey, theme) {
+  if (offscreenChart && offscreenChart.chartKey === chartKey) {
+    return offscreenChart.chart;
   }
 
-  const chartTheme = theme.isDark ? 'dark' : 'default';
-  chartInstances.timeOfDayDistributionChart = echarts.init(chartDom, chartTheme);
-
-  // Define time period order (from morning to night) and labels with emojis
-  const timePeriodOrder = ['Morning', 'Daytime', 'Evening', 'Night'];
-  const timePeriodLabels = {
-    'Morning': '🌞 Morning (06:00-11:59)',
-    'Daytime': '🌆 Daytime (12:00-17:59)',
-    'Evening': '🌃 Evening (18:00-23:59)',
-    'Night': '🌙 Night (00:00-05:59)'
-  };
-
-  // Define colors for each time period (by index order)
-  const timePeriodColors = ['#91cc75', '#fac858', '#ee6666', '#5470c6'];
+  const chartTheme = theme && theme.isDark ? 'dark' : 'default';
+  if (chartInstances[chartKey] && chartInstanceThemes[chartKey] === chartTheme) {
+    return chartInstances[chartKey];
+  }
 
-  // Create data map and calculate total
-  const dataMap = {};
-  let totalSeconds = 0;
-  data.forEach(item => {
-    const seconds = item.seconds || 0;
-    dataMap[item.timeOfDay] = seconds;
-    totalSeconds += seconds;
-  });
+  disposeChart(chartKey);
+  const chartDom = document.getElementById(chartKey);
+  if (!chartDom) {
+    console.warn(`Chart container not found: ${chartKey}`);
+    return null;
+  }
+  chartInstances[chartKey] = echarts.init(chartDom, chartTheme, {renderer: chartRenderer});
+  chartInstanceThemes[chartKey] = chartTheme;
+  return chartInstances[chartKey];
+}
 
-  // Prepare chart data in correct order
-  const chartData = timePeriodOrder.map((period, index) => {
-    const seconds = dataMap[period] || 0;
-    const hours = seconds / 3600;
-    const percentage = totalSeconds > 0 ? (seconds / totalSeconds) * 100 : 0;
-    return {
-      name: timePeriodLabels[period],
-      value: hours,
-      percentage: percentage,
-      color: timePeriodColors[index]
-    };
-  });
+/**
+ * Binds an event handler to a chart, replacing the handler bound by the previous render.
+ * Handlers capture the data of their render, so a reused instance must not keep stale ones.
+ * @param {string} chartKey - The key of the chart in chartInstances
+ * @param {string} eventName - The event, e.g. 'click'
+ * @param {Function} handler - The handler
+ * @param {boolean} [onCanvas] - Listen on the zrender canvas (any click) instead of chart elements
+ */
+function onChartEvent(chartKey, eventName, handler, onCanvas = false) {
+  if (offscreenChart) {
+    // An exported image is not interactive
+    return;
+  }
 
-  const option = {
-    backgroundColor: 'transparent',
-    title: {
-      text: 'Time of Day Distribution',
-      left: 'center',
-      top: 0,
-      textStyle: {
-        color: theme.foreground
-      },
-    },
-    tooltip: {
-      trigger: 'axis',
-      axisPointer: {
-        type: 'shadow'
-      },
-      formatter: function (params) {
-        if (!params || params.length === 0) return '';
-        const data = params[0];
-        const hours = data.value.toFixed(2);
-        const percentage = chartData[data.dataIndex].percentage.toFixed(2);
-        return `${data.name}<br/>Time: ${hours}h (${percentage}%)`;
-      }
-    },
-    grid: {
-      left: 160,
-      right: 160,
-      top: 50,
-      bottom: 20,
-      containLabel: false
-    },
-    xAxis: {
-      type: 'value',
-      name: 'Hours',
-      nameTextStyle: {
-        color: theme.secondary
-      },
-      axisLabel: {
-        color: theme.secondary,
-        formatter: '{value}h'
-      },
-      splitLine: {
-        lineStyle: {
-          color: theme.isDark ? '#333' : '#e0e0e0'
-        }
-      }
-    },
-    yAxis: {
-      type: 'category',
-      data: chartData.map(item => item.name),
-      inverse: true,  // 🔑 Add this line to reverse Y axis order
-      axisLabel: {
-        color: theme.secondary,
-        fontSize: 12
-      },
-      axisLine: {
-        lineStyle: {
-          color: theme.secondary
-        }
-      }
-    },
-    series: [
-      {
-        type: 'bar',
-        data: chartData.map(item => ({
-          value: item.value,
-          itemStyle: {
-            color: item.color
-          }
-        })),
-        barWidth: '60%',
-        label: {
-          show: true,
-          position: 'right',
-          formatter: function (params) {
-            const percentage = chartData[params.dataIndex].percentage;
-            return `${params.value.toFixed(2)}h (${percentage.toFixed(2)}%)`;
-          },
-          color: theme.foreground,
-          fontSize: 11
-        },
-        emphasis: {
-          itemStyle: {
-            shadowBlur: 10,
-            shadowColor: 'rgba(0, 0, 0, 0.5)'
-          }
-        }
-      }
-    ]
-  };
+  const chart = chartInstances[chartKey];
+  const target = onCanvas ? chart.getZr() : chart;
+  const handlerId = `${onCanvas ? 'zr:' : ''}${eventName}`;
+  const handlers = chartHandlers[chartKey] || (chartHandlers[chartKey] = {});
 
-  chartInstances.timeOfDayDistributionChart.setOption(option);
+  if (handlers[handlerId]) {
+    target.off(eventName, handlers[handlerId]);
+  }
+  handlers[handlerId] = handler;
+  target.on(eventName, handler);
 }
 
 /**
@@ -1004,6 +3984,8 @@ function disposeChart(chartKey) {
     chartInstances[chartKey].dispose();
     chartInstances[chartKey] = null;
   }
+  delete chartInstanceThemes[chartKey];
+  delete chartHandlers[chartKey];
 }
 
 /**
@@ -1020,11 +4002,13 @@ function disposeChart(chartKey) {
  * - 7337 seconds → "2h 2m 17s"
  * - 90061 seconds → "25h 1m 1s"
  *
+ * The units come from the message catalog, e.g. "2小时 2分 17秒" in Chinese.
+ *
  * @param {number} seconds - Duration in seconds
  * @returns {string} Formatted duration string
  */
 function formatDuration(seconds) {
-  if (seconds === 0) return '0s';
+  if (seconds === 0) return t('duration.seconds', {n: 0});
 
   // Calculate total hours directly (do not extract days)
   const hours = Math.floor(seconds / 3600);
@@ -1034,26 +4018,77 @@ function formatDuration(seconds) {
   const parts = [];
 
   if (hours > 0) {
-    parts.push(`${hours}h`);
+    parts.push(t('duration.hours', {n: formatNumber(hours)}));
   }
   if (minutes > 0) {
-    parts.push(`${minutes}m`);
+    parts.push(t('duration.minutes', {n: minutes}));
   }
   if (secs > 0) {
-    parts.push(`${secs}s`);
+    parts.push(t('duration.seconds', {n: secs}));
   }
 
   // Fallback: if all components are zero (shouldn't happen), return "0s"
-  return parts.length > 0 ? parts.join(' ') : '0s';
+  return parts.length > 0 ? parts.join(' ') : t('duration.seconds', {n: 0});
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ * Using toISOString() would use UTC time, which causes the "latest cell is yesterday" bug
+ * when the user is in a timezone ahead of UTC (e.g. UTC+8) and it's a new day locally but not yet in UTC.
+ *
+ * @param {Date} date - The date to format
+ * @returns {string} The local ISO date
+ */
+function toLocalDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Formats the time of a date on the configured clock.
+ *
+ * @param {Date} date - The date to format
+ * @returns {string} The local time, e.g. "09:05" or "9:05 AM"
+ */
+function formatClockTime(date) {
+  return formatTimeOfDay(date.getHours(), date.getMinutes());
 }
 
+/**
+ * Parses a YYYY-MM-DD string as a local date (new Date('YYYY-MM-DD') would parse it as UTC).
+ *
+ * @param {string} isoDate - The ISO date string
+ * @returns {Date} The date at local midnight
+ */
+function parseLocalDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+initRangePicker();
+initFilterBar();
+initDayDetail();
+initProjectSessions();
+initHourlyGranularityToggle();
+initProjectTimelineBucketToggle();
+initHeatmapYearSelect();
+initDistributionSearch();
+initStreakHistory();
+initExportMenu();
+initLayoutControls();
+initDataTables();
+
 /**
  * Resize all active charts when window is resized.
  */
-window.addEventListener('resize', function () {
+window.addEventListener('resize', resizeCharts);
+
+function resizeCharts() {
   for (const chart of Object.values(chartInstances)) {
     if (chart) {
       chart.resize();
     }
   }
-});
+}
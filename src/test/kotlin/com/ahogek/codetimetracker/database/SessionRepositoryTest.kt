@@ -1,6 +1,8 @@
 package com.ahogek.codetimetracker.database
 
 import com.ahogek.codetimetracker.model.CodingSession
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
 import org.assertj.core.api.Assertions.assertThat
 import org.junit.jupiter.api.AfterEach
 import org.junit.jupiter.api.BeforeEach
@@ -146,6 +148,38 @@ class SessionRepositoryTest {
         assertThat(sessions.first().projectName).isEqualTo("Project2")
     }
 
+    @Test
+    fun `getSessions should apply the filter after the time range`() {
+        val session1 = CodingSession(
+            sessionUuid = UUID.randomUUID().toString(),
+            userId = "test-user",
+            projectName = "Project1",
+            language = "Kotlin",
+            platform = "macOS",
+            ideName = "IntelliJ IDEA",
+            startTime = LocalDateTime.of(2026, 1, 1, 10, 0),
+            endTime = LocalDateTime.of(2026, 1, 1, 12, 0),
+            lastModified = LocalDateTime.now()
+        )
+        val session2 = session1.copy(
+            sessionUuid = UUID.randomUUID().toString(),
+            projectName = "Project2",
+            startTime = LocalDateTime.of(2026, 1, 1, 14, 0),
+            endTime = LocalDateTime.of(2026, 1, 1, 16, 0)
+        )
+
+        sessionRepository.importSessions(listOf(session1, session2))
+
+        val sessions = sessionRepository.getSessions(
+            startTime = LocalDateTime.of(2026, 1, 1, 0, 0),
+            endTime = LocalDateTime.of(2026, 1, 2, 0, 0),
+            filter = SessionFilter(mapOf(SessionDimension.PROJECT to setOf("Project2")))
+        )
+
+        assertThat(sessions).hasSize(1)
+        assertThat(sessions.first().projectName).isEqualTo("Project2")
+    }
+
     @Test
     fun `getAllSessionUuids should return all UUIDs`() {
         val uuid1 = UUID.randomUUID().toString()
@@ -1,6 +1,9 @@
 package com.ahogek.codetimetracker.database
 
 import com.ahogek.codetimetracker.model.CodingSession
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.model.TimeOfDayBucket
 import org.assertj.core.api.Assertions.assertThat
 import org.junit.jupiter.api.AfterEach
 import org.junit.jupiter.api.BeforeEach
@@ -8,7 +11,9 @@ import org.junit.jupiter.api.Test
 import org.junit.jupiter.api.io.TempDir
 import java.nio.file.Path
 import java.time.Duration
+import java.time.LocalDate
 import java.time.LocalDateTime
+import java.time.LocalTime
 import java.util.*
 
 class StatsRepositoryTest {
@@ -177,6 +182,50 @@ class StatsRepositoryTest {
         assertThat(javaUsage.totalDuration.toHours()).isEqualTo(1)
     }
 
+    @Test
+    fun `getDailyLanguageUsage should split languages by day`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("Project1", "Kotlin", LocalDateTime.of(2026, 1, 1, 23, 0), LocalDateTime.of(2026, 1, 2, 1, 0)),
+                session("Project1", "Java", LocalDateTime.of(2026, 1, 2, 9, 0), LocalDateTime.of(2026, 1, 2, 10, 0)),
+                session("Project2", "Kotlin", LocalDateTime.of(2026, 1, 2, 14, 0), LocalDateTime.of(2026, 1, 2, 15, 0))
+            )
+        )
+
+        val usages = statsRepository.getDailyLanguageUsage(
+            LocalDateTime.of(2026, 1, 1, 0, 0),
+            LocalDateTime.of(2026, 1, 3, 0, 0)
+        )
+
+        assertThat(usages.map { Triple(it.date, it.language, it.totalDuration.toMinutes()) }).containsExactlyInAnyOrder(
+            Triple(LocalDate.of(2026, 1, 1), "Kotlin", 60L),
+            Triple(LocalDate.of(2026, 1, 2), "Kotlin", 120L),
+            Triple(LocalDate.of(2026, 1, 2), "Java", 60L)
+        )
+    }
+
+    @Test
+    fun `getDailyProjectUsage should respect the filter`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("Project1", "Kotlin", LocalDateTime.of(2026, 1, 5, 9, 0), LocalDateTime.of(2026, 1, 5, 11, 0)),
+                session("Project1", "Java", LocalDateTime.of(2026, 1, 6, 9, 0), LocalDateTime.of(2026, 1, 6, 10, 0)),
+                session("Project2", "Kotlin", LocalDateTime.of(2026, 1, 6, 14, 0), LocalDateTime.of(2026, 1, 6, 15, 0))
+            )
+        )
+
+        val usages = statsRepository.getDailyProjectUsage(
+            LocalDateTime.of(2026, 1, 5, 0, 0),
+            LocalDateTime.of(2026, 1, 7, 0, 0),
+            SessionFilter(mapOf(SessionDimension.LANGUAGE to setOf("Kotlin")))
+        )
+
+        assertThat(usages.map { Triple(it.date, it.projectName, it.totalDuration.toHours()) }).containsExactly(
+            Triple(LocalDate.of(2026, 1, 5), "Project1", 2L),
+            Triple(LocalDate.of(2026, 1, 6), "Project2", 1L)
+        )
+    }
+
     @Test
     fun `getProjectDistribution should calculate distribution correctly`() {
         sessionRepository.importSessions(
@@ -216,6 +265,28 @@ class StatsRepositoryTest {
         assertThat(projectB.totalDuration.toHours()).isEqualTo(2)
     }
 
+    @Test
+    fun `distributions should count the sessions overlapping the range`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("ProjectA", "Kotlin", LocalDateTime.of(2026, 1, 1, 10, 0), LocalDateTime.of(2026, 1, 1, 11, 0)),
+                session("ProjectA", "Java", LocalDateTime.of(2026, 1, 1, 23, 0), LocalDateTime.of(2026, 1, 2, 1, 0)),
+                session("ProjectB", "Kotlin", LocalDateTime.of(2026, 1, 2, 9, 0), LocalDateTime.of(2026, 1, 2, 10, 0)),
+                session("ProjectB", "Kotlin", LocalDateTime.of(2026, 1, 3, 9, 0), LocalDateTime.of(2026, 1, 3, 10, 0))
+            )
+        )
+        val start = LocalDateTime.of(2026, 1, 2, 0, 0)
+        val end = LocalDateTime.of(2026, 1, 3, 0, 0)
+
+        val projects = statsRepository.getProjectDistribution(start, end)
+        assertThat(projects.associate { it.projectName to it.sessionCount })
+            .containsExactlyInAnyOrderEntriesOf(mapOf("ProjectA" to 1, "ProjectB" to 1))
+
+        val languages = statsRepository.getLanguageDistribution(start, end)
+        assertThat(languages.associate { it.language to it.sessionCount })
+            .containsExactlyInAnyOrderEntriesOf(mapOf("Java" to 1, "Kotlin" to 1))
+    }
+
     @Test
     fun `getTimeOfDayDistribution should categorize correctly`() {
         sessionRepository.importSessions(
@@ -283,6 +354,27 @@ class StatsRepositoryTest {
         assertThat(eveningUsage.totalDuration.toHours()).isEqualTo(2)
     }
 
+    @Test
+    fun `getTimeOfDayDistribution should follow custom buckets wrapping past midnight`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("Project1", "Kotlin", LocalDateTime.of(2026, 1, 1, 21, 0), LocalDateTime.of(2026, 1, 2, 3, 0)),
+                session("Project1", "Kotlin", LocalDateTime.of(2026, 1, 2, 9, 30), LocalDateTime.of(2026, 1, 2, 11, 0))
+            )
+        )
+        val buckets = listOf(
+            TimeOfDayBucket("Late shift", LocalTime.of(22, 0), LocalTime.of(2, 0)),
+            TimeOfDayBucket("Standup", LocalTime.of(9, 30), LocalTime.of(10, 0))
+        )
+
+        val distribution = statsRepository.getTimeOfDayDistribution(buckets = buckets)
+            .associate { it.timeOfDay to it.totalDuration.toMinutes() }
+
+        assertThat(distribution).containsExactlyInAnyOrderEntriesOf(
+            mapOf("Late shift" to 240L, "Standup" to 30L, TimeOfDayBucket.UNASSIGNED to 180L)
+        )
+    }
+
     @Test
     fun `getDailyCodingTimeForHeatmap should return daily summaries`() {
         sessionRepository.importSessions(
@@ -342,4 +434,176 @@ class StatsRepositoryTest {
         assertThat(result.distribution).isNotEmpty
         assertThat(result.totalDays).isGreaterThan(0)
     }
+
+    @Test
+    fun `getOverallHourlyDistributionWithTotalDays should split into half hours`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("Project1", "Kotlin", LocalDateTime.of(2026, 1, 1, 10, 15), LocalDateTime.of(2026, 1, 1, 11, 0))
+            )
+        )
+
+        val result = statsRepository.getOverallHourlyDistributionWithTotalDays(halfHour = true)
+
+        assertThat(result.distribution.map { Triple(it.hour, it.minute, it.totalDuration.toMinutes()) })
+            .containsExactly(Triple(10, 0, 15L), Triple(10, 30, 30L))
+    }
+
+    @Test
+    fun `getGoalStreaks should only count days meeting the daily goal`() {
+        val today = LocalDate.now()
+        sessionRepository.importSessions(
+            listOf(day(1, 120), day(2, 90), day(3, 30), day(4, 60), day(5, 120), day(6, 75))
+        )
+
+        val streaks = statsRepository.getGoalStreaks(
+            today.minusDays(10).atStartOfDay(),
+            today.plusDays(1).atStartOfDay(),
+            Duration.ofHours(1)
+        )
+
+        assertThat(streaks.currentStreak).isEqualTo(2)
+        assertThat(streaks.maxStreak).isEqualTo(3)
+    }
+
+    @Test
+    fun `getStreakHistory should list streaks of days meeting the minimum, most recent first`() {
+        val today = LocalDate.now()
+        sessionRepository.importSessions(
+            listOf(day(1, 30), day(2, 20), day(3, 1), day(4, 60), day(5, 15), day(6, 45), day(8, 30))
+        )
+
+        val history = statsRepository.getStreakHistory(
+            today.minusDays(10).atStartOfDay(),
+            today.plusDays(1).atStartOfDay(),
+            Duration.ofMinutes(15)
+        )
+
+        assertThat(history.map { it.startDate to it.endDate }).containsExactly(
+            today.minusDays(2) to today.minusDays(1),
+            today.minusDays(6) to today.minusDays(4),
+            today.minusDays(8) to today.minusDays(8)
+        )
+        assertThat(history.map { it.days }).containsExactly(2, 3, 1)
+        assertThat(history[1].totalDuration).isEqualTo(Duration.ofMinutes(120))
+    }
+
+    @Test
+    fun `filter should OR values within a dimension and AND across dimensions`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("ProjectA", "Kotlin", LocalDateTime.of(2026, 1, 1, 10, 0), LocalDateTime.of(2026, 1, 1, 11, 0)),
+                session("ProjectB", "Kotlin", LocalDateTime.of(2026, 1, 2, 10, 0), LocalDateTime.of(2026, 1, 2, 12, 0)),
+                session("ProjectB", "Java", LocalDateTime.of(2026, 1, 3, 10, 0), LocalDateTime.of(2026, 1, 3, 14, 0)),
+                session("ProjectC", "Kotlin", LocalDateTime.of(2026, 1, 4, 10, 0), LocalDateTime.of(2026, 1, 4, 18, 0))
+            )
+        )
+
+        val projects = SessionFilter(mapOf(SessionDimension.PROJECT to setOf("ProjectA", "ProjectB")))
+        assertThat(statsRepository.getTotalCodingTime(filter = projects).toHours()).isEqualTo(7)
+
+        val projectsInKotlin = SessionFilter(
+            mapOf(
+                SessionDimension.PROJECT to setOf("ProjectA", "ProjectB"),
+                SessionDimension.LANGUAGE to setOf("Kotlin")
+            )
+        )
+        assertThat(statsRepository.getTotalCodingTime(filter = projectsInKotlin).toHours()).isEqualTo(3)
+    }
+
+    @Test
+    fun `filter should bind after the time range parameters`() {
+        sessionRepository.importSessions(
+            listOf(
+                session("ProjectA", "Kotlin", LocalDateTime.of(2026, 1, 1, 10, 0), LocalDateTime.of(2026, 1, 1, 12, 0)),
+                session("ProjectA", "Java", LocalDateTime.of(2026, 1, 2, 10, 0), LocalDateTime.of(2026, 1, 2, 11, 0)),
+                session("ProjectB", "Kotlin", LocalDateTime.of(2026, 1, 2, 14, 0), LocalDateTime.of(2026, 1, 2, 17, 0))
+            )
+        )
+        val filter = SessionFilter(mapOf(SessionDimension.PROJECT to setOf("ProjectA")))
+
+        val distribution = statsRepository.getLanguageDistribution(
+            LocalDateTime.of(2026, 1, 2, 0, 0),
+            LocalDateTime.of(2026, 1, 3, 0, 0),
+            filter
+        )
+        assertThat(distribution).hasSize(1)
+        assertThat(distribution.first().language).isEqualTo("Java")
+
+        val heatmapData = statsRepository.getDailyCodingTimeForHeatmap(
+            LocalDateTime.of(2026, 1, 1, 0, 0),
+            LocalDateTime.of(2026, 1, 3, 0, 0),
+            filter
+        )
+        assertThat(heatmapData.map { it.totalDuration.toHours() }).containsExactly(2L, 1L)
+    }
+
+    @Test
+    fun `getDistribution should sum the time per IDE and platform`() {
+        val day = LocalDate.of(2026, 1, 1)
+        sessionRepository.importSessions(
+            listOf(
+                session("ProjectA", "Kotlin", day.atTime(9, 0), day.atTime(11, 0)),
+                session("ProjectA", "Python", day.atTime(13, 0), day.atTime(14, 0))
+                    .copy(ideName = "PyCharm", platform = "Linux"),
+                session("ProjectB", "Kotlin", day.atTime(15, 0), day.atTime(16, 0)).copy(platform = "Linux")
+            )
+        )
+
+        val ides = statsRepository.getDistribution(SessionDimension.IDE)
+        assertThat(ides.map { Triple(it.value, it.totalDuration.toHours(), it.sessionCount) }).containsExactly(
+            Triple("IntelliJ IDEA", 3L, 2),
+            Triple("PyCharm", 1L, 1)
+        )
+
+        val filter = SessionFilter(mapOf(SessionDimension.IDE to setOf("IntelliJ IDEA")))
+        val platforms = statsRepository.getDistribution(SessionDimension.PLATFORM, filter = filter)
+        assertThat(platforms.associate { it.value to it.totalDuration.toHours() })
+            .containsExactlyInAnyOrderEntriesOf(mapOf("macOS" to 2L, "Linux" to 1L))
+    }
+
+    @Test
+    fun `getIdeLanguageUsage should sum the time per IDE and language`() {
+        val day = LocalDate.of(2026, 1, 1)
+        sessionRepository.importSessions(
+            listOf(
+                session("ProjectA", "Kotlin", day.atTime(9, 0), day.atTime(11, 0)),
+                session("ProjectB", "Kotlin", day.atTime(11, 0), day.atTime(12, 0)),
+                session("ProjectA", "Java", day.atTime(13, 0), day.atTime(14, 0)),
+                session("ProjectC", "Python", day.atTime(15, 0), day.atTime(16, 0)).copy(ideName = "PyCharm")
+            )
+        )
+
+        val usages = statsRepository.getIdeLanguageUsage(day.atStartOfDay(), day.plusDays(1).atStartOfDay())
+
+        assertThat(usages.first().language).isEqualTo("Kotlin")
+        assertThat(usages.map { Triple(it.ideName, it.language, it.totalDuration.toHours()) })
+            .containsExactlyInAnyOrder(
+                Triple("IntelliJ IDEA", "Kotlin", 3L),
+                Triple("IntelliJ IDEA", "Java", 1L),
+                Triple("PyCharm", "Python", 1L)
+            )
+    }
+
+    private fun session(
+        projectName: String,
+        language: String,
+        startTime: LocalDateTime,
+        endTime: LocalDateTime
+    ) = CodingSession(
+        sessionUuid = UUID.randomUUID().toString(),
+        userId = "test-user",
+        projectName = projectName,
+        language = language,
+        platform = "macOS",
+        ideName = "IntelliJ IDEA",
+        startTime = startTime,
+        endTime = endTime,
+        lastModified = LocalDateTime.now()
+    )
+
+    private fun day(daysAgo: Long, minutes: Long): CodingSession {
+        val start = LocalDate.now().minusDays(daysAgo).atTime(10, 0)
+        return session("Project1", "Kotlin", start, start.plusMinutes(minutes))
+    }
 }
@@ -0,0 +1,44 @@
+package com.ahogek.codetimetracker.settings
+
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+import java.time.LocalTime
+
+class DashboardSettingsTest {
+
+    @Test
+    fun `parseHeatmapThresholds should accept commas and spaces`() {
+        assertThat(DashboardSettings.parseHeatmapThresholds("30, 60 120,240")).containsExactly(30, 60, 120, 240)
+        assertThat(DashboardSettings.parseHeatmapThresholds(DashboardSettings.DEFAULT_DAILY_THRESHOLDS)).hasSize(5)
+        assertThat(DashboardSettings.parseHeatmapThresholds(DashboardSettings.DEFAULT_HOURLY_THRESHOLDS)).hasSize(4)
+    }
+
+    @Test
+    fun `parseHeatmapThresholds should reject invalid thresholds`() {
+        assertThat(DashboardSettings.parseHeatmapThresholds("")).isNull()
+        assertThat(DashboardSettings.parseHeatmapThresholds("30, abc")).isNull()
+        assertThat(DashboardSettings.parseHeatmapThresholds("0, 30")).isNull()
+        assertThat(DashboardSettings.parseHeatmapThresholds("60, 30")).isNull()
+        assertThat(DashboardSettings.parseHeatmapThresholds("1 2 3 4 5 6 7 8 9")).isNull()
+    }
+
+    @Test
+    fun `parseTimeOfDay should accept times up to midnight at the end of the day`() {
+        assertThat(DashboardSettings.parseTimeOfDay("6:30")).isEqualTo(LocalTime.of(6, 30))
+        assertThat(DashboardSettings.parseTimeOfDay(" 22:00 ")).isEqualTo(LocalTime.of(22, 0))
+        assertThat(DashboardSettings.parseTimeOfDay("24:00")).isEqualTo(LocalTime.MIDNIGHT)
+        assertThat(DashboardSettings.parseTimeOfDay("24:30")).isNull()
+        assertThat(DashboardSettings.parseTimeOfDay("12:60")).isNull()
+        assertThat(DashboardSettings.parseTimeOfDay("noon")).isNull()
+    }
+
+    @Test
+    fun `toBucket should reject a period without a name or with an invalid color`() {
+        val night = DashboardSettings.TimeOfDayPeriod("Night shift", "22:00", "6:00", "#336699")
+        assertThat(night.toBucket()?.start).isEqualTo(LocalTime.of(22, 0))
+        assertThat(night.copy(color = "").toBucket()).isNotNull
+        assertThat(night.copy(color = "blue").toBucket()).isNull()
+        assertThat(night.copy(name = " ").toBucket()).isNull()
+        assertThat(night.copy(end = "").toBucket()).isNull()
+    }
+}
@@ -0,0 +1,70 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import com.ahogek.codetimetracker.settings.DashboardSettings.ProjectGoal
+import com.ahogek.codetimetracker.settings.DashboardSettings.ProjectMappingEntry
+import com.ahogek.codetimetracker.settings.DashboardSettings.TimeOfDayPeriod
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+
+class CardSettingsTest {
+
+    @Test
+    fun `affectedCharts should list the charts reading the changed settings`() {
+        val settings = DashboardSettings.State()
+        val previous = CardSettings.snapshot(settings)
+
+        settings.heatmapYear = "2025"
+        settings.timeOfDayPeriods.add(TimeOfDayPeriod("Night shift", "22:00", "6:00"))
+        settings.projectGoals.add(ProjectGoal("shop", dailyMinutes = 60))
+
+        assertThat(CardSettings.affectedCharts(previous, CardSettings.snapshot(settings)))
+            .containsExactlyInAnyOrder("yearlyActivity", "timeOfDayDistribution", "goals")
+    }
+
+    @Test
+    fun `affectedCharts should refresh the goals before the heatmap marking them`() {
+        val settings = DashboardSettings.State()
+        val previous = CardSettings.snapshot(settings)
+
+        settings.heatmapYear = "all"
+        settings.dailyGoalMinutes = 120
+
+        assertThat(CardSettings.affectedCharts(previous, CardSettings.snapshot(settings)))
+            .containsExactly("goals", "yearlyActivity")
+    }
+
+    @Test
+    fun `affectedCharts should be empty when nothing changed`() {
+        val settings = DashboardSettings.State()
+
+        assertThat(CardSettings.affectedCharts(CardSettings.snapshot(settings), CardSettings.snapshot(settings)))
+            .isEmpty()
+    }
+
+    @Test
+    fun `projectNamesChanged should follow the project mappings and the grouping`() {
+        val settings = DashboardSettings.State()
+        val previous = CardSettings.snapshot(settings)
+        settings.dailyGoalMinutes = 60
+        assertThat(CardSettings.projectNamesChanged(previous, CardSettings.snapshot(settings))).isFalse()
+
+        settings.groupProjects = true
+        assertThat(CardSettings.projectNamesChanged(previous, CardSettings.snapshot(settings))).isTrue()
+
+        val grouped = CardSettings.snapshot(settings)
+        settings.projectMappings.add(ProjectMappingEntry("shop-old", alias = "shop"))
+        assertThat(CardSettings.projectNamesChanged(grouped, CardSettings.snapshot(settings))).isTrue()
+    }
+
+    @Test
+    fun `affectedCharts should be null when a dashboard-wide setting changed`() {
+        val settings = DashboardSettings.State()
+        val previous = CardSettings.snapshot(settings)
+
+        settings.streakMinimumMinutes = 30
+        settings.use24HourClock = false
+
+        assertThat(CardSettings.affectedCharts(previous, CardSettings.snapshot(settings))).isNull()
+    }
+}
@@ -0,0 +1,37 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.settings.DashboardSettings.CardLayout
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+
+class DashboardLayoutTest {
+
+    @Test
+    fun `resolve should return the default layout when nothing is saved`() {
+        val layout = DashboardLayout.resolve(emptyList())
+
+        assertThat(layout.map { it.card }).isEqualTo(DashboardLayout.CARDS)
+        assertThat(layout).allMatch { !it.hidden && !it.wide }
+    }
+
+    @Test
+    fun `resolve should keep the saved order and append missing cards`() {
+        val saved = listOf(
+            CardLayout("projectDistribution", wide = true),
+            CardLayout("removedChart"),
+            CardLayout("yearlyActivity", hidden = true),
+            CardLayout("projectDistribution")
+        )
+
+        val layout = DashboardLayout.resolve(saved)
+
+        assertThat(layout.take(2)).containsExactly(
+            CardLayout("projectDistribution", wide = true),
+            CardLayout("yearlyActivity", hidden = true)
+        )
+        assertThat(layout.drop(2).map { it.card }).isEqualTo(
+            DashboardLayout.CARDS - setOf("projectDistribution", "yearlyActivity")
+        )
+        assertThat(DashboardLayout.hiddenCards(layout)).containsExactly("yearlyActivity")
+    }
+}
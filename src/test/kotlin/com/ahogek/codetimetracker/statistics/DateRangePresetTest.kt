@@ -0,0 +1,113 @@
+package com.ahogek.codetimetracker.statistics
+
+import org.assertj.core.api.Assertions.assertThat
+import org.assertj.core.api.Assertions.assertThatThrownBy
+import org.junit.jupiter.api.Test
+import java.time.LocalDate
+import java.time.LocalDateTime
+
+class DateRangePresetTest {
+
+    private val today = LocalDate.of(2026, 2, 16)
+
+    @Test
+    fun `LAST_7_DAYS should include today and end at midnight`() {
+        val range = DateRangePreset.LAST_7_DAYS.resolve(today)
+
+        assertThat(range.start).isEqualTo(LocalDateTime.of(2026, 2, 10, 0, 0))
+        assertThat(range.end).isEqualTo(LocalDateTime.of(2026, 2, 17, 0, 0))
+    }
+
+    @Test
+    fun `LAST_QUARTER should cover the previous calendar quarter`() {
+        val range = DateRangePreset.LAST_QUARTER.resolve(today)
+
+        assertThat(range.start).isEqualTo(LocalDateTime.of(2025, 10, 1, 0, 0))
+        assertThat(range.end).isEqualTo(LocalDateTime.of(2026, 1, 1, 0, 0))
+    }
+
+    @Test
+    fun `THIS_YEAR should stop at the end of today`() {
+        val range = DateRangePreset.THIS_YEAR.resolve(today)
+
+        assertThat(range.start).isEqualTo(LocalDateTime.of(2026, 1, 1, 0, 0))
+        assertThat(range.end).isEqualTo(LocalDateTime.of(2026, 2, 17, 0, 0))
+    }
+
+    @Test
+    fun `previous of LAST_7_DAYS should be the seven days before`() {
+        val previous = DateRangePreset.LAST_7_DAYS.previous(DateRangePreset.LAST_7_DAYS.resolve(today))
+
+        assertThat(previous?.start).isEqualTo(LocalDateTime.of(2026, 2, 3, 0, 0))
+        assertThat(previous?.end).isEqualTo(LocalDateTime.of(2026, 2, 10, 0, 0))
+    }
+
+    @Test
+    fun `previous of THIS_MONTH should cover the same days of the previous month`() {
+        val previous = DateRangePreset.THIS_MONTH.previous(DateRangePreset.THIS_MONTH.resolve(today))
+
+        assertThat(previous?.start).isEqualTo(LocalDateTime.of(2026, 1, 1, 0, 0))
+        assertThat(previous?.end).isEqualTo(LocalDateTime.of(2026, 1, 17, 0, 0))
+    }
+
+    @Test
+    fun `previous of THIS_MONTH should keep the last day of a shorter previous month`() {
+        val may30 = LocalDate.of(2026, 5, 30)
+        val previous = DateRangePreset.THIS_MONTH.previous(DateRangePreset.THIS_MONTH.resolve(may30))
+
+        assertThat(previous?.start).isEqualTo(LocalDateTime.of(2026, 4, 1, 0, 0))
+        assertThat(previous?.end).isEqualTo(LocalDateTime.of(2026, 5, 1, 0, 0))
+    }
+
+    @Test
+    fun `previous of THIS_MONTH should include February 28th at the end of March in a non-leap year`() {
+        val march30 = LocalDate.of(2026, 3, 30)
+        val previous = DateRangePreset.THIS_MONTH.previous(DateRangePreset.THIS_MONTH.resolve(march30))
+
+        assertThat(previous?.start).isEqualTo(LocalDateTime.of(2026, 2, 1, 0, 0))
+        assertThat(previous?.end).isEqualTo(LocalDateTime.of(2026, 3, 1, 0, 0))
+    }
+
+    @Test
+    fun `previous of ALL_TIME should be null`() {
+        assertThat(DateRangePreset.ALL_TIME.previous(DateRangePreset.ALL_TIME.resolve(today))).isNull()
+    }
+
+    @Test
+    fun `ALL_TIME should resolve to an open range`() {
+        val range = DateRangePreset.ALL_TIME.resolve(today)
+
+        assertThat(range.start).isNull()
+        assertThat(range.end).isNull()
+    }
+
+    @Test
+    fun `CUSTOM should include both end dates`() {
+        val range = DateRangePreset.CUSTOM.resolve(
+            today,
+            customStart = LocalDate.of(2025, 12, 1),
+            customEnd = LocalDate.of(2025, 12, 14)
+        )
+
+        assertThat(range.start).isEqualTo(LocalDateTime.of(2025, 12, 1, 0, 0))
+        assertThat(range.end).isEqualTo(LocalDateTime.of(2025, 12, 15, 0, 0))
+    }
+
+    @Test
+    fun `CUSTOM should reject reversed dates`() {
+        assertThatThrownBy {
+            DateRangePreset.CUSTOM.resolve(
+                today,
+                customStart = LocalDate.of(2025, 12, 14),
+                customEnd = LocalDate.of(2025, 12, 1)
+            )
+        }.isInstanceOf(IllegalArgumentException::class.java)
+    }
+
+    @Test
+    fun `fromString should fall back to ALL_TIME`() {
+        assertThat(DateRangePreset.fromString("LAST_30_DAYS")).isEqualTo(DateRangePreset.LAST_30_DAYS)
+        assertThat(DateRangePreset.fromString("unknown")).isEqualTo(DateRangePreset.ALL_TIME)
+        assertThat(DateRangePreset.fromString(null)).isEqualTo(DateRangePreset.ALL_TIME)
+    }
+}
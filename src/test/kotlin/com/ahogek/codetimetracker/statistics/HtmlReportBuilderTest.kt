@@ -0,0 +1,58 @@
+package com.ahogek.codetimetracker.statistics
+
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+import java.time.LocalDateTime
+
+class HtmlReportBuilderTest {
+
+    @Test
+    fun `build should inline every web view resource`() {
+        val html = HtmlReportBuilder.build("""{"range":{}}""", LocalDateTime.of(2026, 2, 16, 18, 30))
+
+        assertThat(html).doesNotContain("<script src=", "<link href=")
+        assertThat(html).contains("<title>Code Time Tracker Report</title>")
+        assertThat(html).contains("""renderReport('{"range":{}}', '2026-02-16 18:30');""")
+    }
+
+    @Test
+    fun `build should keep the payload from closing its script element`() {
+        val html = HtmlReportBuilder.build("""{"project":"</script><b>"}""", LocalDateTime.of(2026, 2, 16, 18, 30))
+
+        assertThat(html).contains("""renderReport('{"project":"<\/script><b>"}'""")
+    }
+
+    @Test
+    fun `anonymizeProjects should number projects by coding time`() {
+        val payload = mapOf(
+            "filter" to mapOf("PROJECT" to listOf("beta"), "LANGUAGE" to listOf("Kotlin")),
+            "goals" to mapOf("projects" to listOf(mapOf("project" to "gamma"), mapOf("project" to "alpha"))),
+            "languageDistribution" to mapOf("data" to listOf(mapOf("language" to "alpha", "seconds" to 5L))),
+            "projectDistribution" to mapOf(
+                "data" to listOf(
+                    mapOf("project" to "alpha", "seconds" to 90L),
+                    mapOf("project" to "beta", "seconds" to 30L)
+                )
+            )
+        )
+
+        val anonymized = HtmlReportBuilder.anonymizeProjects(payload)
+
+        assertThat(anonymized["projectDistribution"]).isEqualTo(
+            mapOf(
+                "data" to listOf(
+                    mapOf("project" to "Project 1", "seconds" to 90L),
+                    mapOf("project" to "Project 2", "seconds" to 30L)
+                )
+            )
+        )
+        assertThat(anonymized["filter"]).isEqualTo(
+            mapOf("PROJECT" to listOf("Project 2"), "LANGUAGE" to listOf("Kotlin"))
+        )
+        assertThat(anonymized["goals"]).isEqualTo(
+            mapOf("projects" to listOf(mapOf("project" to "Project 3"), mapOf("project" to "Project 1")))
+        )
+        // Only project fields are replaced, even when a language has the same name
+        assertThat(anonymized["languageDistribution"]).isEqualTo(payload["languageDistribution"])
+    }
+}
@@ -0,0 +1,55 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.model.DailyLanguageUsage
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+import java.time.DayOfWeek
+import java.time.Duration
+import java.time.LocalDate
+
+class LanguageTrendDataProviderTest {
+
+    @Test
+    fun `buildTrend should sum short ranges by week`() {
+        // 2026-01-01 is a Thursday
+        val usages = listOf(
+            usage(LocalDate.of(2026, 1, 1), "Java", 1),
+            usage(LocalDate.of(2026, 1, 2), "Kotlin", 2),
+            usage(LocalDate.of(2026, 1, 14), "Kotlin", 3)
+        )
+
+        val trend = LanguageTrendDataProvider.buildTrend(
+            usages, LocalDate.of(2026, 1, 1), LocalDate.of(2026, 1, 14), DayOfWeek.MONDAY
+        )
+
+        assertThat(trend["bucket"]).isEqualTo("week")
+        assertThat(trend["periods"]).isEqualTo(listOf("2025-12-29", "2026-01-05", "2026-01-12"))
+        assertThat(trend["series"]).isEqualTo(
+            listOf(
+                mapOf("language" to "Kotlin", "seconds" to listOf(7200L, 0L, 10800L)),
+                mapOf("language" to "Java", "seconds" to listOf(3600L, 0L, 0L))
+            )
+        )
+    }
+
+    @Test
+    fun `buildTrend should sum long ranges by month`() {
+        val usages = listOf(
+            usage(LocalDate.of(2025, 3, 10), "Kotlin", 1),
+            usage(LocalDate.of(2025, 3, 20), "Kotlin", 1)
+        )
+
+        val trend = LanguageTrendDataProvider.buildTrend(
+            usages, LocalDate.of(2025, 1, 15), LocalDate.of(2025, 12, 31), DayOfWeek.MONDAY
+        )
+
+        assertThat(trend["bucket"]).isEqualTo("month")
+        assertThat(trend["periods"] as List<*>).hasSize(12).startsWith("2025-01-01").endsWith("2025-12-01")
+        assertThat(trend["series"]).isEqualTo(
+            listOf(mapOf("language" to "Kotlin", "seconds" to List(12) { if (it == 2) 7200L else 0L }))
+        )
+    }
+
+    private fun usage(date: LocalDate, language: String, hours: Long) =
+        DailyLanguageUsage(date, language, Duration.ofHours(hours))
+}
@@ -0,0 +1,64 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.model.SessionDimension
+import com.ahogek.codetimetracker.model.SessionFilter
+import com.ahogek.codetimetracker.settings.DashboardSettings.ProjectMappingEntry
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+
+class ProjectMappingTest {
+
+    private val entries = listOf(
+        ProjectMappingEntry("shop-old", alias = "shop", group = "Client A"),
+        ProjectMappingEntry("shop-clone", alias = "shop"),
+        ProjectMappingEntry("billing", group = "Client A"),
+        ProjectMappingEntry("libfoo", group = "Open source")
+    )
+
+    @Test
+    fun `shownName should merge aliases and keep unmapped projects`() {
+        val mapping = ProjectMapping(entries, grouped = false)
+
+        assertThat(mapping.shownName("shop-old")).isEqualTo("shop")
+        assertThat(mapping.shownName("shop-clone")).isEqualTo("shop")
+        assertThat(mapping.shownName("billing")).isEqualTo("billing")
+        assertThat(mapping.shownName("other")).isEqualTo("other")
+    }
+
+    @Test
+    fun `shownName should sum projects into their groups when grouped`() {
+        val mapping = ProjectMapping(entries, grouped = true)
+
+        assertThat(mapping.shownName("shop-clone")).isEqualTo("Client A")
+        assertThat(mapping.shownName("billing")).isEqualTo("Client A")
+        assertThat(mapping.shownName("libfoo")).isEqualTo("Open source")
+        assertThat(mapping.shownName("other")).isEqualTo("other")
+        assertThat(mapping.hasGroups()).isTrue()
+    }
+
+    @Test
+    fun `recordedNames should list every project behind an alias or a group`() {
+        val mapping = ProjectMapping(entries + ProjectMappingEntry("shop-v2", alias = "shop"), grouped = true)
+
+        assertThat(mapping.recordedNames("shop")).containsExactlyInAnyOrder("shop", "shop-old", "shop-clone", "shop-v2")
+        assertThat(mapping.recordedNames("Client A"))
+            .containsExactlyInAnyOrder("Client A", "shop", "shop-old", "shop-clone", "shop-v2", "billing")
+        assertThat(mapping.recordedNames("shop-old")).isEmpty()
+        assertThat(mapping.recordedNames("other")).containsExactly("other")
+    }
+
+    @Test
+    fun `expandFilter should only replace the project values`() {
+        val mapping = ProjectMapping(entries, grouped = false)
+        val filter = SessionFilter(
+            mapOf(SessionDimension.PROJECT to setOf("shop"), SessionDimension.LANGUAGE to setOf("Kotlin"))
+        )
+
+        val expanded = mapping.expandFilter(filter)
+
+        assertThat(expanded.values[SessionDimension.PROJECT])
+            .containsExactlyInAnyOrder("shop", "shop-old", "shop-clone")
+        assertThat(expanded.values[SessionDimension.LANGUAGE]).containsExactly("Kotlin")
+        assertThat(ProjectMapping(emptyList(), grouped = true).expandFilter(filter)).isEqualTo(filter)
+    }
+}
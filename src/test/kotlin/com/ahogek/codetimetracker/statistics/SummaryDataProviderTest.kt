@@ -2,7 +2,9 @@ package com.ahogek.codetimetracker.statistics
 
 import org.junit.jupiter.api.Assertions.assertEquals
 import org.junit.jupiter.api.Test
+import java.time.DayOfWeek
 import java.time.LocalDate
+import java.time.LocalDateTime
 import java.time.temporal.ChronoUnit
 
 class SummaryDataProviderTest {
@@ -48,4 +50,41 @@ class SummaryDataProviderTest {
 
         assertEquals(8 * 60 * 60L, dailyAverageSeconds, "16 hours / 2 days = 8 hours")
     }
+
+    @Test
+    fun testPreviousPeriodsEndAtTheSamePointOfThePeriod() {
+        // Wednesday afternoon
+        val now = LocalDateTime.of(2026, 10, 21, 15, 30)
+
+        val periods = SummaryDataProvider.previousPeriods(now, DayOfWeek.MONDAY)
+
+        assertEquals(
+            LocalDateTime.of(2026, 10, 12, 0, 0) to LocalDateTime.of(2026, 10, 14, 15, 30),
+            periods.lastWeek,
+            "Last Monday up to last Wednesday 15:30"
+        )
+        assertEquals(
+            LocalDateTime.of(2026, 9, 1, 0, 0) to LocalDateTime.of(2026, 9, 21, 15, 30),
+            periods.lastMonth,
+            "September 1st up to September 21st 15:30"
+        )
+        assertEquals(
+            LocalDateTime.of(2025, 1, 1, 0, 0) to LocalDateTime.of(2025, 10, 21, 15, 30),
+            periods.lastYear,
+            "January 1st 2025 up to October 21st 2025 15:30"
+        )
+    }
+
+    @Test
+    fun testPreviousMonthIsClippedToItsLastDay() {
+        val now = LocalDateTime.of(2026, 3, 31, 10, 0)
+
+        val periods = SummaryDataProvider.previousPeriods(now, DayOfWeek.MONDAY)
+
+        assertEquals(
+            LocalDateTime.of(2026, 2, 1, 0, 0) to LocalDateTime.of(2026, 3, 1, 0, 0),
+            periods.lastMonth,
+            "February has no 31st, so the whole of it is compared"
+        )
+    }
 }
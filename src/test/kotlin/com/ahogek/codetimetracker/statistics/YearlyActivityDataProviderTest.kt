@@ -0,0 +1,27 @@
+package com.ahogek.codetimetracker.statistics
+
+import com.ahogek.codetimetracker.settings.DashboardSettings
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+
+class YearlyActivityDataProviderTest {
+
+    private val years = listOf(2024, 2025, 2026)
+
+    @Test
+    fun `shownYears should follow the selected range by default`() {
+        assertThat(YearlyActivityDataProvider.shownYears("", years)).isEmpty()
+    }
+
+    @Test
+    fun `shownYears should list every year most recent first`() {
+        assertThat(YearlyActivityDataProvider.shownYears(DashboardSettings.HEATMAP_ALL_YEARS, years))
+            .containsExactly(2026, 2025, 2024)
+    }
+
+    @Test
+    fun `shownYears should fall back to the range for a year without data`() {
+        assertThat(YearlyActivityDataProvider.shownYears("2025", years)).containsExactly(2025)
+        assertThat(YearlyActivityDataProvider.shownYears("2019", years)).isEmpty()
+    }
+}
@@ -0,0 +1,44 @@
+package com.ahogek.codetimetracker.util
+
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.Test
+import java.time.DayOfWeek
+import java.time.LocalDate
+
+class TimeRangeUtilsTest {
+
+    // Wednesday
+    private val referenceDate = LocalDate.of(2025, 12, 10)
+
+    @Test
+    fun `getWeekStart should default to Monday`() {
+        assertThat(TimeRangeUtils.getWeekStart(referenceDate)).isEqualTo(LocalDate.of(2025, 12, 8).atStartOfDay())
+        assertThat(TimeRangeUtils.getWeekEnd(referenceDate)).isEqualTo(LocalDate.of(2025, 12, 15).atStartOfDay())
+    }
+
+    @Test
+    fun `getWeekStart should follow the first day of week`() {
+        assertThat(TimeRangeUtils.getWeekStart(referenceDate, DayOfWeek.SUNDAY))
+            .isEqualTo(LocalDate.of(2025, 12, 7).atStartOfDay())
+        assertThat(TimeRangeUtils.getWeekStart(referenceDate, DayOfWeek.SATURDAY))
+            .isEqualTo(LocalDate.of(2025, 12, 6).atStartOfDay())
+    }
+
+    @Test
+    fun `getWeekEnd should include the first day of week when it is the reference date`() {
+        val sunday = LocalDate.of(2025, 12, 14)
+
+        assertThat(TimeRangeUtils.getWeekStart(sunday, DayOfWeek.SUNDAY)).isEqualTo(sunday.atStartOfDay())
+        assertThat(TimeRangeUtils.getWeekEnd(sunday, DayOfWeek.SUNDAY))
+            .isEqualTo(LocalDate.of(2025, 12, 21).atStartOfDay())
+        assertThat(TimeRangeUtils.getWeekEnd(sunday)).isEqualTo(LocalDate.of(2025, 12, 15).atStartOfDay())
+    }
+
+    @Test
+    fun `getQuarterStart should return the first day of the calendar quarter`() {
+        assertThat(TimeRangeUtils.getQuarterStart(LocalDate.of(2025, 12, 8)))
+            .isEqualTo(LocalDate.of(2025, 10, 1).atStartOfDay())
+        assertThat(TimeRangeUtils.getQuarterStart(LocalDate.of(2025, 1, 31)))
+            .isEqualTo(LocalDate.of(2025, 1, 1).atStartOfDay())
+    }
+}